@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Declarative alert rules evaluated before any notification is sent.  Rules are boolean
+ * expressions over analytics fields, combined with symbol allow/deny lists, a minimum market cap,
+ * an optional market-hours restriction and a per-symbol cooldown.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Rules file format:
+ * {
+ *   "rules": [
+ *     {"name": "strong negative", "when": "aggregate <= -0.3 and salience >= 0.4"},
+ *     {"name": "strong positive", "when": "aggregate >= 0.3 and entitySentiment.magnitude > 1"}
+ *   ],
+ *   "allow": [], "deny": ["SPY"],
+ *   "minMarketCap": 1000000000,
+ *   "marketHoursOnly": false,
+ *   "cooldownMinutes": 60
+ * }
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('./logger');
+const market = require('./market');
+
+const TOKEN_REGEX = /\s*(?:(-?\d+(?:\.\d+)?)|('[^']*'|"[^"]*")|(<=|>=|==|!=|<|>|\(|\))|([A-Za-z_][\w.]*))/y;
+
+/**
+ * Function that splits a rule expression into tokens
+ * @param {string} expression - rule expression
+ * @return {Array} array of {type, value} tokens
+ * @throws {Error} unrecognized characters in the expression
+ */
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN_REGEX.lastIndex = 0;
+    while (TOKEN_REGEX.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN_REGEX.lastIndex))) {
+            break;
+        }
+        const position = TOKEN_REGEX.lastIndex;
+        const match = TOKEN_REGEX.exec(expression);
+        if (!match) {
+            throw new Error(`unexpected character at ${position} in rule: ${expression}`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({'type' : 'literal', 'value' : parseFloat(match[1])});
+        }
+        else if (match[2] !== undefined) {
+            tokens.push({'type' : 'literal', 'value' : match[2].slice(1, -1)});
+        }
+        else if (match[3] !== undefined) {
+            tokens.push({'type' : 'operator', 'value' : match[3]});
+        }
+        else {
+            const word = match[4];
+            const lower = word.toLowerCase();
+            if (['and', 'or', 'not'].includes(lower)) {
+                tokens.push({'type' : 'operator', 'value' : lower});
+            }
+            else if (lower === 'true' || lower === 'false') {
+                tokens.push({'type' : 'literal', 'value' : lower === 'true'});
+            }
+            else {
+                tokens.push({'type' : 'field', 'value' : word});
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Function that keeps the cooldown evaluate() reserved for a symbol once its alert has been delivered
+ * @param {object} engine - rules engine from create() or load()
+ * @param {string} symbol - symbol whose alert was delivered
+ * @return none
+ */
+function commit(engine, symbol) {
+    engine.reservations.delete(symbol);
+}
+
+/**
+ * Function that compiles a rule expression into a predicate.  Grammar:
+ *   or := and ('or' and)*;  and := unary ('and' unary)*;  unary := 'not' unary | comparison
+ *   comparison := value (op value)?;  value := number | string | true | false | field | '(' or ')'
+ * Fields are dotted paths into the analytics object, e.g. data.marketCap.
+ * @param {string} expression - rule expression
+ * @return {function} predicate taking an analytics object and returning a boolean
+ * @throws {Error} syntax errors
+ */
+function compile(expression) {
+    const tokens = tokenize(expression);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOperator = value => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = value => {
+        if (!isOperator(value)) {
+            throw new Error(`expected '${value}' in rule: ${expression}`);
+        }
+        pos++;
+    };
+
+    const parseValue = () => {
+        const token = peek();
+        if (!token) {
+            throw new Error(`unexpected end of rule: ${expression}`);
+        }
+        if (isOperator('(')) {
+            pos++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        pos++;
+        if (token.type === 'literal') {
+            return () => token.value;
+        }
+        if (token.type === 'field') {
+            const path = token.value.split('.');
+            return analytics => path.reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]),
+                analytics);
+        }
+        throw new Error(`unexpected '${token.value}' in rule: ${expression}`);
+    };
+
+    const parseComparison = () => {
+        const left = parseValue();
+        const token = peek();
+        if (token && token.type === 'operator' && ['<', '<=', '>', '>=', '==', '!='].includes(token.value)) {
+            pos++;
+            const right = parseValue();
+            switch (token.value) {
+                case '<': return analytics => left(analytics) < right(analytics);
+                case '<=': return analytics => left(analytics) <= right(analytics);
+                case '>': return analytics => left(analytics) > right(analytics);
+                case '>=': return analytics => left(analytics) >= right(analytics);
+                case '==': return analytics => left(analytics) === right(analytics);
+                default: return analytics => left(analytics) !== right(analytics);
+            }
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOperator('not')) {
+            pos++;
+            const operand = parseUnary();
+            return analytics => !operand(analytics);
+        }
+        return parseComparison();
+    };
+
+    const parseAnd = () => {
+        let left = parseUnary();
+        while (isOperator('and')) {
+            pos++;
+            const a = left, b = parseUnary();
+            left = analytics => Boolean(a(analytics)) && Boolean(b(analytics));
+        }
+        return left;
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isOperator('or')) {
+            pos++;
+            const a = left, b = parseAnd();
+            left = analytics => Boolean(a(analytics)) || Boolean(b(analytics));
+        }
+        return left;
+    };
+
+    const predicate = parseOr();
+    if (pos < tokens.length) {
+        throw new Error(`unexpected '${tokens[pos].value}' in rule: ${expression}`);
+    }
+    return analytics => Boolean(predicate(analytics));
+}
+
+/**
+ * Function that builds a rules engine from a rules configuration object
+ * @param {object} config - rules configuration (see file overview)
+ * @return {object} engine with the configuration, compiled rules and cooldown state
+ * @throws {Error} rule syntax errors
+ */
+function create(config) {
+    config = config || {};
+    const rules = (config.rules || []).map((rule, index) => {
+        if (!rule || typeof rule.when !== 'string' || rule.when.trim().length === 0) {
+            throw new Error(`rule ${index + 1}: "when" is required`);
+        }
+        return {
+            'name' : rule.name || `rule ${index + 1}`,
+            'when' : rule.when,
+            'predicate' : compile(rule.when)
+        };
+    });
+    return {
+        'config' : config,
+        'rules' : rules,
+        'allow' : new Set((config.allow || []).map(symbol => symbol.toUpperCase())),
+        'deny' : new Set((config.deny || []).map(symbol => symbol.toUpperCase())),
+        'cooldowns' : new Map(),  //symbol to time of the last alert fired
+        'reservations' : new Map()  //symbol to its previous cooldown while a fired alert is being delivered
+    };
+}
+
+/**
+ * Function that decides whether an alert should be sent.  Checks run cheapest first and the first failure
+ * is reported as the reason.  A fired alert reserves the symbol's cooldown at once, so that a concurrent
+ * tweet about the same symbol is held; call commit() once the alert is delivered, or release() if it
+ * wasn't.
+ * @param {object} engine - rules engine from create() or load()
+ * @param {object} analytics - analytics object for one company, including stock data
+ * @param {Date} now - evaluation time, defaults to the current time
+ * @param {Date} postedAt - time the tweet was posted, checked against market hours; defaults to now
+ * @return {object} decision with fired (boolean), reason and, if fired, the matching rule name
+ */
+function evaluate(engine, analytics, now = new Date(), postedAt = now) {
+    const symbol = analytics.symbol;
+    const config = engine.config;
+    let decision;
+
+    if (engine.deny.has(symbol)) {
+        decision = {'fired' : false, 'reason' : 'symbol denied'};
+    }
+    else if (engine.allow.size > 0 && !engine.allow.has(symbol)) {
+        decision = {'fired' : false, 'reason' : 'symbol not in allow list'};
+    }
+    else if (config.minMarketCap && !(analytics.data && analytics.data.marketCap >= config.minMarketCap)) {
+        decision = {'fired' : false, 'reason' : `market cap below ${config.minMarketCap}`};
+    }
+    else if (config.marketHoursOnly && !market.isMarketHours(postedAt)) {
+        decision = {'fired' : false, 'reason' : 'outside market hours'};
+    }
+    else if (config.cooldownMinutes && engine.cooldowns.has(symbol) &&
+        now - engine.cooldowns.get(symbol) < config.cooldownMinutes * 60 * 1000) {
+        decision = {'fired' : false, 'reason' : `cooldown, last alert ${engine.cooldowns.get(symbol).toISOString()}`};
+    }
+    else if (engine.rules.length > 0) {
+        const rule = engine.rules.find(rule => rule.predicate(analytics));
+        decision = rule ? {'fired' : true, 'reason' : `matched ${rule.when}`, 'rule' : rule.name} :
+            {'fired' : false, 'reason' : 'no rule matched'};
+    }
+    else {
+        decision = {'fired' : true, 'reason' : 'no rules configured'};
+    }
+
+    if (decision.fired) {
+        engine.reservations.set(symbol, engine.cooldowns.get(symbol));
+        engine.cooldowns.set(symbol, now);
+        logger.info(`evaluate() - ${symbol} fired: ${decision.rule || ''} ${decision.reason}`);
+    }
+    else {
+        logger.info(`evaluate() - ${symbol} suppressed: ${decision.reason}`);
+    }
+    return decision;
+}
+
+/**
+ * Function that reads a rules file and builds a rules engine from it
+ * @param {string} file - path to the rules file
+ * @return {promise} rules engine; with no file configured every alert fires
+ * @throws {Error} propagates file system, JSON parse and rule syntax errors
+ */
+async function load(file) {
+    logger.debug(`load() file:${file}`);
+
+    if (!file) {
+        return create({});
+    }
+    try {
+        return create(JSON.parse(await fsp.readFile(file, 'utf8')));
+    }
+    catch (err) {
+        logger.error(`load() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that gives back the cooldown evaluate() reserved for a symbol whose alert was not delivered, so
+ * that dry runs and failed sends don't silence the symbol
+ * @param {object} engine - rules engine from create() or load()
+ * @param {string} symbol - symbol whose alert was not delivered
+ * @return none
+ */
+function release(engine, symbol) {
+    if (!engine.reservations.has(symbol)) {
+        return;
+    }
+    const previous = engine.reservations.get(symbol);
+    engine.reservations.delete(symbol);
+    if (previous) {
+        engine.cooldowns.set(symbol, previous);
+    }
+    else {
+        engine.cooldowns.delete(symbol);
+    }
+}
+
+module.exports = {
+    commit,
+    compile,
+    create,
+    evaluate,
+    load,
+    release
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Broker registry.  A broker is an object with a name plus quote(symbol) and
+ * submitOrder(order) functions.  An order is {symbol, side, quantity} with side buy or sell; submitOrder
+ * returns a promise for the fill {price, quantity, commission, filledAt, orderId}.  Position keeping,
+ * sizing and exits live in trader.js, so an adapter for a real brokerage only has to place market orders
+ * and quote prices.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('../logger');
+
+const BROKERS = {
+    'paper' : require('./paper')
+};
+
+/**
+ * Function that creates a broker by name
+ * @param {string} name - broker name: paper
+ * @param {object} options - broker-specific options
+ * @param {function} priceFn - function taking a symbol and returning a promise for its current price
+ * @return {object} broker
+ * @throws {Error} unknown broker name
+ */
+function create(name, options, priceFn) {
+    logger.debug(`create() broker:${name}`);
+
+    const broker = BROKERS[name];
+    if (!broker) {
+        throw new Error(`unknown broker: ${name}`);
+    }
+    return broker.create(options || {}, priceFn);
+}
+
+module.exports = {
+    create
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Paper-trading broker.  Orders fill immediately at the latest quote, adjusted against the
+ * trader by a fixed slippage, with an optional flat commission per order.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('../logger');
+
+const DEFAULT_SLIPPAGE = 0.0005;  //fraction of the price paid on a buy and given up on a sell
+
+/**
+ * Function that creates a paper broker
+ * @param {object} options - slippage (fraction of price) and commission (dollars per order)
+ * @param {function} priceFn - function taking a symbol and returning a promise for its current price
+ * @return {object} broker
+ */
+function create(options, priceFn) {
+    const slippage = options.slippage !== undefined ? options.slippage : DEFAULT_SLIPPAGE;
+    const commission = options.commission || 0;
+    let orderId = 0;
+
+    return {
+        'name' : 'paper',
+        'quote' : symbol => priceFn(symbol),
+        'submitOrder' : async order => {
+            logger.debug(`paper submitOrder() ${order.side} ${order.quantity} ${order.symbol}`);
+            const price = await priceFn(order.symbol);
+            if (typeof price !== 'number' || price <= 0) {
+                throw new Error(`no price for ${order.symbol}`);
+            }
+            return {
+                'orderId' : `paper-${Date.now()}-${++orderId}`,
+                'price' : price * (order.side === 'buy' ? 1 + slippage : 1 - slippage),
+                'quantity' : order.quantity,
+                'commission' : commission,
+                'filledAt' : new Date()
+            };
+        }
+    };
+}
+
+module.exports = {
+    create
+};
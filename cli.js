@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Command-line interface to the trade alert pipeline: streaming, one-off analysis, filter
+ * rule maintenance, scoring model comparison, symbol lookup, digests and a test alert (see USAGE).  Results go to
+ * stdout, as JSON with --json, and console logging to stderr.  The exit code is 0 on success, 1 on failure
+ * (including a failed delivery), 2 for a usage error and 3 for an invalid configuration.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('./logger');
+const config = require('./config');
+const twitterTrade = require('./twitterTrade');
+const watchlist = require('./watchlist');
+const notifiers = require('./notifiers');
+const resolver = require('./resolver');
+const iex = require('./iex');
+const tweets = require('./tweets');
+const scoring = require('./scoring');
+const store = require('./store');
+const digest = require('./digest');
+const preprocess = require('./preprocess');
+const sentimentProviders = require('./sentiment');
+
+const EXIT = {'ok' : 0, 'failure' : 1, 'usage' : 2, 'config' : 3};
+const VALUE_FLAGS = ['rules', 'group', 'expression', 'out'];  //flags followed by a value
+const TWITTER_SETTINGS = ['twitterKey', 'twitterSecret'];
+const ANALYSIS_SETTINGS = ['iexKey', 'googleKey', 'scoringExpression'];
+const NOTIFY_SETTINGS = ['recipientFile', 'sendgridKey'];
+
+const USAGE = `usage: node cli.js <command> [arguments] [--json]
+  run                                          stream tweets and send alerts
+  analyze "<text>" [--rules a,b] [--send]      run one tweet through the pipeline and print the decisions
+  analyze "<text>" --compare                   score one tweet with every sentiment provider side by side
+  rules list|sync|clear                        list, sync with the follow list, or delete the filter rules
+  scores compare <models> [--expression e]     rescore tracked alerts with scoring models (comma separated)
+  symbols lookup <name>                        resolve a company name or ticker to symbols
+  digest daily|weekly [--out dir] [--send]     summarize the time since the last scheduled digest, print it or
+                                               write and send it
+  test-alert [--group name]                    send a sample alert through the configured notifier`;
+
+/**
+ * Function that runs one tweet through the pipeline.  By default nothing is sent or stored; with --send
+ * the tweet is recorded and fired alerts are delivered only.  Nothing is traded, and the price samples
+ * scheduled for them are left in the store for the tracker of the filter process to take.  With --compare
+ * the tweet is instead scored by every sentiment provider, see compare().
+ * @param {Array} args - positional arguments: the tweet text
+ * @param {object} flags - rules (comma separated watch tags), send, compare
+ * @return {promise} object with the exit code and the array of decisions
+ * @throws {Error} usage, configuration and pipeline errors
+ */
+async function analyze(args, flags) {
+    logger.debug(`analyze()`);
+
+    const text = args.join(' ').trim();
+    if (text.length === 0) {
+        throw usageError('analyze requires the tweet text');
+    }
+    if (flags.compare) {
+        return compare(text);
+    }
+    const live = flags.send === true;
+    const settings = init(live ? ANALYSIS_SETTINGS.concat(NOTIFY_SETTINGS) : ANALYSIS_SETTINGS);
+    await twitterTrade.setup(settings, live);
+    const rules = flags.rules ? flags.rules.split(',').map(tag => tag.trim()) : [];
+    let decisions;
+    try {
+        decisions = await twitterTrade.processTweet({'text' : tweets.clean(text), 'rules' : rules}, live);
+    }
+    finally {
+        twitterTrade.close();
+    }
+    if (decisions === null) {
+        throw new Error('analysis failed, see log');
+    }
+    return {
+        'code' : EXIT.ok,
+        'result' : decisions,
+        'lines' : decisions.length === 0 ? ['no publicly traded companies found'] :
+            decisions.map(decision => `${decision.symbol}\t${decision.name}\taggregate ${decision.aggregate.toFixed(3)}` +
+                `\tconfidence ${decision.confidence}\tsignal ${direction(decision.signal)} ` +
+                `${decision.signal.strength.toFixed(2)} (${decision.signal.model})` +
+                `\t${decision.fired ? 'FIRED' : 'suppressed'}` +
+                `${decision.reason ? ` (${decision.reason})` : ''}`)
+    };
+}
+
+/**
+ * Function that scores one tweet with every sentiment provider so their results can be compared side by
+ * side.  The tweet is preprocessed as in the pipeline; a provider that fails (a missing Google key, for
+ * instance) reports its error instead of scores.
+ * @param {string} text - tweet text
+ * @return {promise} object with the exit code (failure if every provider failed), the results keyed by
+ * provider name and their lines
+ * @throws {Error} configuration and file system errors
+ */
+async function compare(text) {
+    logger.debug(`compare()`);
+
+    const settings = init([]);
+    const providers = sentimentProviders.names().map(name => sentimentProviders.create(name,
+        {'key' : settings.googleKey, 'baseUrl' : settings.googleUrl}));
+    const prepared = preprocess.prepare(tweets.clean(text), await preprocess.load(settings.handleFile));
+    const results = await sentimentProviders.compare(providers, prepared.text);
+    const score = sentiment => `${sentiment.score.toFixed(3)}/${sentiment.magnitude.toFixed(3)}`;
+    const lines = [];
+    for (const [name, result] of Object.entries(results)) {
+        if (result.error) {
+            lines.push(`${name}	error: ${result.error}`);
+            continue;
+        }
+        lines.push(`${name}	document ${score(result.documentSentiment)}`);
+        result.entitySentiment.forEach(entity => lines.push(`${name}	${entity.name}	${entity.type}` +
+            `	salience ${entity.salience.toFixed(3)}	sentiment ${score(entity.entitySentiment)}`));
+    }
+    return {
+        'code' : Object.values(results).some(result => !result.error) ? EXIT.ok : EXIT.failure,
+        'result' : results,
+        'lines' : lines
+    };
+}
+
+/**
+ * Function that names the direction of a signal
+ * @param {object} signal - signal from scoring.score()
+ * @return {string} up, down or flat
+ */
+function direction(signal) {
+    return signal.direction > 0 ? 'up' : (signal.direction < 0 ? 'down' : 'flat');
+}
+
+/**
+ * Function that loads the configuration, requiring the settings a command needs
+ * @param {Array} required - names of the settings the command can't run without
+ * @return {object} settings keyed by setting name
+ * @throws {Error} invalid configuration, with exitCode EXIT.config
+ */
+function init(required) {
+    try {
+        return config.init(required);
+    }
+    catch (err) {
+        throw Object.assign(err, {'exitCode' : EXIT.config});
+    }
+}
+
+/**
+ * Function that parses the command line into positional arguments and flags
+ * @param {Array} argv - arguments after the script name
+ * @return {object} object with args (array) and flags (object keyed by flag name, true or a value)
+ * @throws {Error} flag missing its value
+ */
+function parseArgs(argv) {
+    const args = [], flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.push(argv[i]);
+            continue;
+        }
+        const name = argv[i].slice(2);
+        if (VALUE_FLAGS.includes(name)) {
+            if (i + 1 >= argv.length) {
+                throw usageError(`--${name} requires a value`);
+            }
+            flags[name] = argv[++i];
+        }
+        else {
+            flags[name] = true;
+        }
+    }
+    return {'args' : args, 'flags' : flags};
+}
+
+/**
+ * Function that lists, syncs or clears the twitter filter rules
+ * @param {Array} args - positional arguments: list, sync or clear
+ * @return {promise} object with the exit code, the result and its lines for display
+ * @throws {Error} usage, configuration and HTTP errors
+ */
+async function rules(args) {
+    logger.debug(`rules() ${args[0]}`);
+
+    const action = args[0];
+    if (!['list', 'sync', 'clear'].includes(action)) {
+        throw usageError('rules requires list, sync or clear');
+    }
+    const settings = init(TWITTER_SETTINGS);
+    const urls = twitterTrade.endpoints(settings);
+    const url = urls.rules;
+    const token = await twitterTrade.getTwitterToken(urls.auth);
+    if (action === 'list') {
+        const list = (await twitterTrade.getRules(token, url)).data || [];
+        return {
+            'code' : EXIT.ok,
+            'result' : list,
+            'lines' : list.length === 0 ? ['no rules'] : list.map(rule => `${rule.id}\t${rule.tag || ''}\t${rule.value}`)
+        };
+    }
+    if (action === 'sync') {
+        const watch = await watchlist.load(settings.watchFile);
+        const changes = await twitterTrade.sync(token, url, watchlist.toRules(watch));
+        return {'code' : EXIT.ok, 'result' : changes, 'lines' : [`deleted ${changes.deleted}, added ${changes.added}`]};
+    }
+    const deleted = await twitterTrade.clear(token, url);
+    return {'code' : EXIT.ok, 'result' : {'deleted' : deleted}, 'lines' : [`deleted ${deleted}`]};
+}
+
+/**
+ * Function that starts the streaming process.  It runs until stopped and exits the process itself on a
+ * fatal error.
+ * @return {promise} never resolves while streaming
+ */
+async function run() {
+    await twitterTrade.filter();
+    return new Promise(() => {});
+}
+
+/**
+ * Function that rescores the stored alerts that have tracked price moves with several scoring models so
+ * their accuracy can be compared on the same tweets
+ * @param {Array} args - positional arguments: compare, then the comma separated model names
+ * @param {object} flags - expression (formula for the expression model)
+ * @return {promise} object with the exit code, the comparison rows and their lines
+ * @throws {Error} usage, configuration, model and database errors
+ */
+async function scores(args, flags) {
+    logger.debug(`scores() ${args[0]}`);
+
+    if (args[0] !== 'compare' || !args[1]) {
+        throw usageError('scores requires compare <models>');
+    }
+    const settings = init([]);
+    const models = args[1].split(',').map(name => name.trim()).filter(name => name.length > 0)
+        .map(name => scoring.create(name, flags.expression));
+    const db = store.open(settings.storeFile);
+    try {
+        const rows = scoring.compare(db, models);
+        return {
+            'code' : EXIT.ok,
+            'result' : rows,
+            'lines' : rows.length === 0 ? ['no tracked alerts to compare'] :
+                rows.map(row => `${row.model}\t${row.horizon}\tsamples ${row.samples}\taccuracy ` +
+                    `${row.accuracy === null ? 'n/a' : `${(row.accuracy * 100).toFixed(1)}%`}\tavg move ` +
+                    `${(row.averageMove * 100).toFixed(2)}%\tavg strength ${row.averageStrength.toFixed(2)}`)
+        };
+    }
+    finally {
+        db.close();
+    }
+}
+
+/**
+ * Function that builds a digest of the stored tweets and alerts since the last scheduled daily or weekly
+ * digest (see the digestTime setting).  The Markdown is printed unless --out or --send say where it goes.
+ * @param {Array} args - positional arguments: daily or weekly
+ * @param {object} flags - out (directory to write the .md and .html files to), send (deliver through the
+ * notifier to the digestGroups setting's groups)
+ * @return {promise} object with the exit code (failure if a delivery failed), the report and its lines
+ * @throws {Error} usage, configuration, template, file system and database errors
+ */
+async function sendDigest(args, flags) {
+    logger.debug(`sendDigest() ${args[0]}`);
+
+    if (!['daily', 'weekly'].includes(args[0])) {
+        throw usageError('digest requires daily or weekly');
+    }
+    const settings = init(flags.send ? NOTIFY_SETTINGS : []);
+    const notifier = flags.send ? await notifiers.load(settings.notifyFile, twitterTrade.notifyDefaults(settings)) : null;
+    const db = store.open(settings.storeFile);
+    try {
+        const result = await digest.run(db, args[0], {'time' : settings.digestTime, 'templateDir' : settings.templateDir,
+            'dir' : flags.out, 'notifier' : notifier, 'groups' : settings.digestGroups});
+        const lines = flags.out || flags.send ? result.files.concat(result.deliveries.map(delivery =>
+            `${delivery.group}\t${delivery.channel}\t${delivery.ok ? 'ok' : delivery.error}`)) :
+            [result.rendered.text.trimEnd()];
+        return {
+            'code' : result.deliveries.every(delivery => delivery.ok) ? EXIT.ok : EXIT.failure,
+            'result' : result.report,
+            'lines' : lines
+        };
+    }
+    finally {
+        db.close();
+    }
+}
+
+/**
+ * Function that resolves a company name or ticker against the IEX symbol list and the alias file
+ * @param {Array} args - positional arguments: lookup, then the name
+ * @return {promise} object with the exit code (failure if nothing matched), the resolution and its lines
+ * @throws {Error} usage, configuration, file system and HTTP errors
+ */
+async function symbols(args) {
+    logger.debug(`symbols() ${args[0]}`);
+
+    const name = args.slice(1).join(' ').trim();
+    if (args[0] !== 'lookup' || name.length === 0) {
+        throw usageError('symbols requires lookup <name>');
+    }
+    const settings = init(['iexKey']);
+    const index = resolver.buildIndex(await iex.fromConfig(settings).symbols(),
+        await resolver.loadAliases(settings.aliasFile));
+    const resolution = resolver.resolve(index, name.replace(/^\$/, ''), name);
+    if (!resolution) {
+        return {'code' : EXIT.failure, 'result' : null, 'lines' : [`no match for ${name}`]};
+    }
+    return {
+        'code' : EXIT.ok,
+        'result' : resolution,
+        'lines' : resolution.candidates.map(candidate => `${candidate.symbol}\t${candidate.name}` +
+            `\tconfidence ${candidate.confidence}\t${candidate.reason}`)
+            .concat(resolution.ambiguous ? ['ambiguous: the top candidates are close'] : [])
+    };
+}
+
+/**
+ * Function that sends a sample alert through the configured notifier so channels and recipients can be
+ * checked without waiting for a real tweet
+ * @param {Array} args - positional arguments, none
+ * @param {object} flags - group (recipient group, defaults to the notifier's default groups)
+ * @return {promise} object with the exit code (failure if any delivery failed), the deliveries and their lines
+ * @throws {Error} configuration, file system and JSON parse errors
+ */
+async function testAlert(args, flags) {
+    logger.debug(`testAlert()`);
+
+    const settings = init(NOTIFY_SETTINGS);
+    const notifier = await notifiers.load(settings.notifyFile, twitterTrade.notifyDefaults(settings));
+    const now = new Date();
+    const sample = {
+        'tweet' : 'This is a test alert from twitterTrade. Example Corp ($EXMP) shares look set to rise.',
+        'name' : 'Example Corp',
+        'symbol' : 'EXMP',
+        'type' : 'ORGANIZATION',
+        'salience' : 0.8,
+        'entitySentiment' : {'score' : 0.6, 'magnitude' : 1.5},
+        'documentSentiment' : {'score' : 0.5, 'magnitude' : 1.2},
+        'aggregate' : 0.9,
+        'confidence' : 1,
+        'ambiguous' : false,
+        'rules' : ['test'],
+        'author' : {'username' : 'twitterTrade', 'name' : 'Test alert'},
+        'createdAt' : now.toISOString(),
+        'cashtags' : ['EXMP'],
+        'data' : {'current_price' : 10.25, 'close' : 10, 'todayOpen' : 10.05, 'marketCap' : 1.5e9, 'marketOpen' : true}
+    };
+    const deliveries = await notifiers.notify(notifier, [sample], flags.group ? [flags.group] : undefined);
+    return {
+        'code' : deliveries.length > 0 && deliveries.every(delivery => delivery.ok) ? EXIT.ok : EXIT.failure,
+        'result' : deliveries,
+        'lines' : deliveries.length === 0 ? ['no channels selected'] :
+            deliveries.map(delivery => `${delivery.group}\t${delivery.channel}\t${delivery.ok ? 'ok' : delivery.error}`)
+    };
+}
+
+/**
+ * Function that creates a usage error
+ * @param {string} msg - what was wrong with the command line
+ * @return {Error} error with exitCode EXIT.usage
+ */
+function usageError(msg) {
+    return Object.assign(new Error(msg), {'exitCode' : EXIT.usage});
+}
+
+const COMMANDS = {
+    'run' : run,
+    'analyze' : analyze,
+    'rules' : rules,
+    'scores' : scores,
+    'symbols' : symbols,
+    'digest' : sendDigest,
+    'test-alert' : testAlert
+};
+
+/**
+ * Main function.  Runs the command and writes its result to stdout, as JSON with --json, then exits with
+ * the command's exit code.
+ */
+async function main() {
+    logger.consoleToStderr();
+    let json = false;
+    try {
+        const [command, ...rest] = process.argv.slice(2);
+        const parsed = parseArgs(rest);
+        json = parsed.flags.json === true;
+        if (!COMMANDS[command]) {
+            throw usageError(command ? `unknown command ${command}` : 'command required');
+        }
+        const outcome = await COMMANDS[command](parsed.args, parsed.flags);
+        console.log(json ? JSON.stringify(outcome.result, null, 4) : outcome.lines.join('\n'));
+        process.exitCode = outcome.code;
+    }
+    catch (err) {
+        const code = err.exitCode || EXIT.failure;  //not status, which HTTP errors carry
+        if (json) {
+            console.log(JSON.stringify({'error' : err.message, 'problems' : err.problems}, null, 4));
+        }
+        else {
+            console.error(code === EXIT.usage ? `${err.message}\n${USAGE}` : `error: ${err.message}`);
+        }
+        process.exitCode = code;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Central configuration.  Every setting is declared once in SCHEMA with its environment
+ * variable, type and default.  Settings come from an optional JSON file (CONFIG_FILE) keyed by setting
+ * name, with environment variables taking precedence.  All malformed, unknown and missing settings are
+ * reported together in one error.  Secret values are scrubbed from the log, and settings marked reload
+ * can be changed without a restart.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Config file format:
+ * {
+ *   "twitterApi": "v2",
+ *   "salienceFloor": 0.2,
+ *   "watchFile": "watch.json",
+ *   "trackHorizons": ["5m", "1h", "close"],
+ *   "logLevel": "info"
+ * }
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const logger = require('./logger');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];  //winston npm levels
+
+const usesSendGrid = settings => !settings.notifyFile;  //no notify file means SendGrid email to RECIPIENT_FILE
+
+const SCHEMA = {
+    'twitterKey' : {'env' : 'TWITTER_KEY', 'type' : 'string', 'secret' : true, 'required' : true},
+    'twitterSecret' : {'env' : 'TWITTER_SECRET', 'type' : 'string', 'secret' : true, 'required' : true},
+    'twitterApi' : {'env' : 'TWITTER_API', 'type' : 'enum', 'values' : ['v2', 'labs'], 'default' : 'v2'},
+    'streamTimeout' : {'env' : 'STREAM_TIMEOUT', 'type' : 'number', 'min' : 1, 'default' : 90},  //seconds
+    'googleKey' : {'env' : 'GOOGLE_KEY', 'type' : 'string', 'secret' : true,
+        'required' : settings => settings.sentimentProvider === 'google'},
+    'sentimentProvider' : {'env' : 'SENTIMENT_PROVIDER', 'type' : 'enum', 'values' : ['google', 'lexicon'],
+        'default' : 'google'},
+    'salienceFloor' : {'env' : 'SALIENCE_FLOOR', 'type' : 'number', 'min' : 0, 'max' : 1, 'default' : 0.1,
+        'reload' : true},
+    'scoringModel' : {'env' : 'SCORING_MODEL', 'type' : 'enum', 'values' : ['classic', 'salience', 'entity', 'document',
+        'expression'], 'default' : 'classic', 'reload' : true},  //see scoring.js
+    'scoringExpression' : {'env' : 'SCORING_EXPRESSION', 'type' : 'string', 'reload' : true,
+        'required' : settings => settings.scoringModel === 'expression'},
+    'aliasFile' : {'env' : 'ALIAS_FILE', 'type' : 'string'},
+    'handleFile' : {'env' : 'HANDLE_FILE', 'type' : 'string', 'reload' : true},  //company handles, see preprocess.js
+    'symbolFile' : {'env' : 'SYMBOL_FILE', 'type' : 'string'},  //replay only
+    'watchFile' : {'env' : 'WATCH_FILE', 'type' : 'string', 'reload' : true},
+    'alertRulesFile' : {'env' : 'ALERT_RULES_FILE', 'type' : 'string', 'reload' : true},
+    'notifyFile' : {'env' : 'NOTIFY_FILE', 'type' : 'string', 'reload' : true},
+    'recipientFile' : {'env' : 'RECIPIENT_FILE', 'type' : 'string', 'reload' : true, 'required' : usesSendGrid},
+    'templateDir' : {'env' : 'TEMPLATE_DIR', 'type' : 'string', 'reload' : true},
+    'sendgridKey' : {'env' : 'SENDGRID_KEY', 'type' : 'string', 'secret' : true, 'required' : usesSendGrid},
+    'sender' : {'env' : 'SENDER', 'type' : 'string', 'default' : 'twitterTrade@example.com', 'reload' : true},
+    'brokerFile' : {'env' : 'BROKER_FILE', 'type' : 'string'},
+    'storeFile' : {'env' : 'STORE_FILE', 'type' : 'string', 'default' : 'twitterTrade.db'},
+    'trackHorizons' : {'env' : 'TRACK_HORIZONS', 'type' : 'list', 'default' : ['5m', '1h', 'close', 'nextClose']},
+    'statusPort' : {'env' : 'STATUS_PORT', 'type' : 'integer', 'min' : 1, 'max' : 65535},
+    'statusHost' : {'env' : 'STATUS_HOST', 'type' : 'string', 'default' : '127.0.0.1'},
+    'statusToken' : {'env' : 'STATUS_TOKEN', 'type' : 'string', 'secret' : true},  //required by control requests
+    'iexKey' : {'env' : 'IEX_KEY', 'type' : 'string', 'secret' : true, 'required' : true},
+    'iexEnv' : {'env' : 'IEX_ENV', 'type' : 'enum', 'values' : ['production', 'sandbox'], 'default' : 'production'},
+    'iexSymbolCache' : {'env' : 'IEX_SYMBOL_CACHE', 'type' : 'string'},
+    'iexQuoteTtl' : {'env' : 'IEX_QUOTE_TTL', 'type' : 'number', 'min' : 0},  //seconds
+    'twitterUrl' : {'env' : 'TWITTER_URL', 'type' : 'string', 'default' : 'https://api.twitter.com/'},
+    'googleUrl' : {'env' : 'GOOGLE_URL', 'type' : 'string'},  //overrides https://language.googleapis.com/
+    'iexUrl' : {'env' : 'IEX_URL', 'type' : 'string'},  //overrides the iexEnv base url
+    'sendgridUrl' : {'env' : 'SENDGRID_URL', 'type' : 'string'},  //overrides the SendGrid mail send url
+    'queueConcurrency' : {'env' : 'QUEUE_CONCURRENCY', 'type' : 'integer', 'min' : 1, 'default' : 4},  //tweets at once
+    'queueSize' : {'env' : 'QUEUE_SIZE', 'type' : 'integer', 'min' : 1, 'default' : 500},  //tweets waiting, at most
+    'queueOverflow' : {'env' : 'QUEUE_OVERFLOW', 'type' : 'enum', 'values' : ['drop-oldest', 'drop-newest'],
+        'default' : 'drop-oldest'},
+    'googleConcurrency' : {'env' : 'GOOGLE_CONCURRENCY', 'type' : 'integer', 'min' : 1, 'default' : 4},
+    'iexConcurrency' : {'env' : 'IEX_CONCURRENCY', 'type' : 'integer', 'min' : 1, 'default' : 2},
+    'notifyConcurrency' : {'env' : 'NOTIFY_CONCURRENCY', 'type' : 'integer', 'min' : 1, 'default' : 2},
+    'retryAttempts' : {'env' : 'RETRY_ATTEMPTS', 'type' : 'integer', 'min' : 1, 'default' : 3},  //Google and IEX calls
+    'shutdownTimeout' : {'env' : 'SHUTDOWN_TIMEOUT', 'type' : 'number', 'min' : 0, 'default' : 30},  //seconds
+    'digestSchedule' : {'env' : 'DIGEST_SCHEDULE', 'type' : 'enum', 'values' : ['off', 'daily', 'weekly'],
+        'default' : 'off'},
+    'digestTime' : {'env' : 'DIGEST_TIME', 'type' : 'string', 'default' : '16:30'},  //HH:MM, market time zone
+    'digestDelivery' : {'env' : 'DIGEST_DELIVERY', 'type' : 'enum', 'values' : ['notify', 'file', 'both'],
+        'default' : 'notify', 'reload' : true},
+    'digestGroups' : {'env' : 'DIGEST_GROUPS', 'type' : 'list', 'default' : [], 'reload' : true},  //empty for defaults
+    'digestDir' : {'env' : 'DIGEST_DIR', 'type' : 'string', 'reload' : true,
+        'required' : settings => settings.digestDelivery !== 'notify'},
+    'logLevel' : {'env' : 'LOG_LEVEL', 'type' : 'enum', 'values' : LOG_LEVELS, 'default' : 'debug', 'reload' : true}
+};
+
+let g_current = null;  //settings in effect
+let g_file;  //config file g_current was loaded from
+
+/**
+ * Function that converts a raw file or environment value to a setting's type
+ * @param {object} spec - SCHEMA entry
+ * @param {*} raw - value from the config file or environment
+ * @return {*} typed value
+ * @throws {Error} value doesn't match the type or its limits
+ */
+function coerce(spec, raw) {
+    let value = raw;
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            value = typeof raw === 'string' && raw.trim().length > 0 ? Number(raw) : raw;
+            if (typeof value !== 'number' || !isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                throw new Error(`expected ${spec.type === 'integer' ? 'an integer' : 'a number'}, got ${raw}`);
+            }
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                throw new Error(`${value} is outside ${spec.min !== undefined ? spec.min : '-'}..` +
+                    `${spec.max !== undefined ? spec.max : '-'}`);
+            }
+            return value;
+        case 'list':
+            value = typeof raw === 'string' ? raw.split(',') : raw;
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                throw new Error(`expected a comma separated list, got ${JSON.stringify(raw)}`);
+            }
+            return value.map(item => item.trim()).filter(item => item.length > 0);
+        case 'enum':
+            if (!spec.values.includes(raw)) {
+                throw new Error(`expected one of ${spec.values.join(', ')}, got ${raw}`);
+            }
+            return raw;
+        default:
+            if (typeof raw !== 'string') {
+                throw new Error(`expected a string, got ${JSON.stringify(raw)}`);
+            }
+            return raw;
+    }
+}
+
+/**
+ * Function that returns the settings in effect, loading them from CONFIG_FILE and the environment on
+ * first use.  Required settings are not checked here; see init().
+ * @return {object} settings keyed by setting name
+ * @throws {Error} malformed or unknown settings
+ */
+function get() {
+    if (!g_current) {
+        init(false);
+    }
+    return g_current;
+}
+
+/**
+ * Function that loads the settings from CONFIG_FILE and the environment and puts them in effect
+ * @param {boolean|Array} strict - true to also require the settings the alert process can't run without,
+ * or an array of the names of the settings to require, for commands that only need some of them
+ * @return {object} settings keyed by setting name
+ * @throws {Error} every malformed, unknown or missing setting, listed in one message
+ */
+function init(strict) {
+    logger.debug(`init() strict:${strict}`);
+
+    g_file = process.env.CONFIG_FILE;
+    return use(load(g_file, process.env, strict));
+}
+
+/**
+ * Function that builds settings from a config file and environment variables, environment first, then
+ * file, then the schema default
+ * @param {string} file - optional path to a JSON config file
+ * @param {object} env - environment variables, normally process.env
+ * @param {boolean|Array} strict - also report required settings that are missing: true for all, or an
+ * array of setting names to check
+ * @return {object} settings keyed by setting name; unset settings without a default are null
+ * @throws {Error} every problem found, listed in the message and as an array in err.problems
+ */
+function load(file, env, strict) {
+    const problems = [];
+    let values = {};
+    if (file) {
+        try {
+            values = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                throw new Error('expected a JSON object');
+            }
+            Object.keys(values).filter(name => !SCHEMA[name])
+                .forEach(name => problems.push(`${file}: unknown setting ${name}`));
+        }
+        catch (err) {
+            problems.push(`${file}: ${err.message}`);
+            values = {};
+        }
+    }
+
+    const settings = {};
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const fromEnv = env[spec.env] !== undefined && env[spec.env] !== '';
+        const raw = fromEnv ? env[spec.env] : values[name];
+        settings[name] = spec.default !== undefined ? spec.default : null;
+        if (raw === undefined || raw === null) {
+            continue;
+        }
+        try {
+            settings[name] = coerce(spec, raw);
+        }
+        catch (err) {
+            problems.push(`${fromEnv ? spec.env : `${file}: ${name}`} - ${err.message}`);
+        }
+    }
+
+    if (strict) {
+        for (const [name, spec] of Object.entries(SCHEMA)) {
+            if (Array.isArray(strict) && !strict.includes(name)) {
+                continue;
+            }
+            const required = typeof spec.required === 'function' ? spec.required(settings) : spec.required;
+            if (required && (settings[name] === null || settings[name] === '')) {
+                problems.push(`${spec.env} (${name}) is required`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw Object.assign(new Error(`invalid configuration: ${problems.join('; ')}`), {'problems' : problems});
+    }
+    return settings;
+}
+
+/**
+ * Function that copies settings with secret values masked, for logging or the status API
+ * @param {object} settings - settings keyed by setting name
+ * @return {object} copy of the settings
+ */
+function redact(settings) {
+    const copy = Object.assign({}, settings);
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        if (spec.secret && copy[name]) {
+            copy[name] = '********';
+        }
+    }
+    return copy;
+}
+
+/**
+ * Function that rereads the config file and environment and works out which settings changed.  Only
+ * reload settings take the new value; changes to others are logged and left for the next restart.
+ * Nothing is put in effect here, so the caller can load whatever the new settings point at first.
+ * @return {object} settings (pass to use() to put them in effect), and the names of the settings
+ * changed and of those ignored until a restart
+ * @throws {Error} every malformed, unknown or missing setting, listed in one message
+ */
+function reload() {
+    logger.debug(`reload()`);
+
+    const previous = get();
+    const next = load(g_file, process.env, true);
+    const settings = Object.assign({}, previous);
+    const changed = [], ignored = [];
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        if (JSON.stringify(next[name]) === JSON.stringify(previous[name])) {
+            continue;
+        }
+        if (spec.reload) {
+            settings[name] = next[name];
+            changed.push(name);
+        }
+        else {
+            ignored.push(name);
+        }
+    }
+    if (ignored.length > 0) {
+        logger.warn(`reload() - changes to ${ignored.join(', ')} take effect after a restart`);
+    }
+    return {'settings' : settings, 'changed' : changed, 'ignored' : ignored};
+}
+
+/**
+ * Function that puts settings in effect: the log level is applied and secrets are registered for
+ * scrubbing from the log
+ * @param {object} settings - settings keyed by setting name, from load() or reload()
+ * @return {object} the settings
+ */
+function use(settings) {
+    g_current = settings;
+    logger.level = settings.logLevel;
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        if (spec.secret) {
+            logger.addSecret(settings[name]);
+        }
+    }
+    return settings;
+}
+
+module.exports = {
+    SCHEMA,
+    get,
+    init,
+    load,
+    redact,
+    reload,
+    use
+};
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Streaming connection manager.  Owns one long-lived streaming HTTP connection and moves
+ * it through explicit states (idle, connecting, streaming, backingOff, fatal, stopped).  Failures are
+ * classified and each class has its own backoff policy with jitter and a cap; a 401 discards the bearer
+ * token and fetches a new one; a retry budget bounds the number of consecutive failed attempts.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Events:
+ *   'state' (state, previous) - every state change
+ *   'connected' () - stream opened with a 200
+ *   'data' (chunk) - raw body chunk
+ *   'backoff' ({errorClass, error, delay, attempt}) - reconnect scheduled
+ *   'token' () - bearer token (re)acquired
+ *   'fatal' (err) - gave up; the manager stays in the fatal state
+ */
+
+'use strict';
+'use esversion 6';
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+const AbortController = require('abort-controller');
+const logger = require('./logger');
+
+const STALL_TIMEOUT = 90;  //seconds without data or heartbeat before the connection is aborted
+const MAX_RETRIES = 50;  //consecutive failed attempts before giving up
+
+//backoff policies by error class, in seconds: delay = min(max, initial * factor^(n-1) + step * (n-1)),
+//then reduced by up to jitter * delay at random.  Follows Twitter's reconnection guidance.
+const POLICIES = {
+    'stall' : {'initial' : 0, 'factor' : 1, 'step' : 0, 'max' : 0, 'jitter' : 0},  //self-induced abort, reconnect now
+    'network' : {'initial' : 0.25, 'factor' : 1, 'step' : 0.25, 'max' : 16, 'jitter' : 0.2},  //TCP/IP level errors
+    'server' : {'initial' : 5, 'factor' : 2, 'step' : 0, 'max' : 320, 'jitter' : 0.2},  //5xx
+    'rateLimit' : {'initial' : 60, 'factor' : 2, 'step' : 0, 'max' : 960, 'jitter' : 0.2},  //420, 429
+    'notModified' : {'initial' : 60, 'factor' : 1, 'step' : 0, 'max' : 60, 'jitter' : 0.2},  //304
+    'auth' : {'initial' : 0, 'factor' : 1, 'step' : 0, 'max' : 0, 'jitter' : 0}  //401, retried once with a new token
+};
+
+/**
+ * Function that classifies an HTTP response status
+ * @param {number} status - HTTP status code
+ * @return {string} error class, or null for a status that can't be retried
+ */
+function classifyStatus(status) {
+    if (status === 304) {
+        return 'notModified';
+    }
+    if (status === 401) {
+        return 'auth';
+    }
+    if (status === 420 || status === 429) {
+        return 'rateLimit';
+    }
+    if (status >= 500) {
+        return 'server';
+    }
+    return null;
+}
+
+/**
+ * Function that classifies a request or stream error
+ * @param {Error} err - error from fetch or the response body
+ * @return {string} error class
+ */
+function classifyError(err) {
+    if (err.name === 'AbortError') {
+        return 'stall';
+    }
+    return 'network';  //timeouts, resets, refused connections, DNS failures, premature close
+}
+
+/**
+ * Function that computes the delay before the next attempt
+ * @param {object} policy - backoff policy
+ * @param {number} failures - consecutive failures of this class, including this one
+ * @return {number} delay in seconds
+ */
+function delayFor(policy, failures) {
+    const base = Math.min(policy.max,
+        policy.initial * Math.pow(policy.factor, failures - 1) + policy.step * (failures - 1));
+    return base * (1 - policy.jitter * Math.random());
+}
+
+/**
+ * Function that creates a connection manager.  Nothing happens until start() is called.
+ * @param {object} options - url; getToken (function returning a promise for a bearer token); token
+ * (optional initial token); stallTimeout (seconds); maxRetries; policies (overrides by error class);
+ * fetch (optional fetch implementation)
+ * @return {object} EventEmitter with start(), stop() and status() functions
+ */
+function create(options) {
+    const manager = new EventEmitter();
+    const policies = {};
+    for (const [errorClass, policy] of Object.entries(POLICIES)) {
+        policies[errorClass] = Object.assign({}, policy, (options.policies || {})[errorClass]);
+    }
+    const stallTimeout = options.stallTimeout || STALL_TIMEOUT;
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES;
+    const fetchFn = options.fetch || fetch;
+
+    let state = 'idle';
+    let token = options.token;
+    let attempts = 0;  //consecutive failed attempts, reset when data arrives
+    let failures = {};  //consecutive failures by error class
+    let backoff = 0;
+    let lastData = null;
+    let lastError = null;
+    let body = null;
+    let controller = null;
+    let stallTimer = null;
+    let retryTimer = null;
+
+    const setState = next => {
+        if (next !== state) {
+            const previous = state;
+            state = next;
+            logger.debug(`connection state ${previous} -> ${next}`);
+            manager.emit('state', next, previous);
+        }
+    };
+
+    const armStallTimer = () => {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => controller && controller.abort(), stallTimeout * 1000);
+    };
+
+    const release = () => {  //drop the current connection, if any
+        clearTimeout(stallTimer);
+        if (body) {
+            body.removeAllListeners();
+            body.on('error', () => {});  //late errors from the discarded body
+            if (typeof body.destroy === 'function') {
+                body.destroy();
+            }
+            body = null;
+        }
+        if (controller) {
+            controller.abort();
+            controller = null;
+        }
+    };
+
+    const fatal = err => {
+        release();
+        lastError = err;
+        logger.error(`connection fatal - ${err}`);
+        setState('fatal');
+        manager.emit('fatal', err);
+    };
+
+    const fail = (errorClass, err) => {
+        release();
+        if (state === 'stopped' || state === 'fatal') {
+            return;
+        }
+        lastError = err;
+        if (!errorClass) {
+            fatal(err);
+            return;
+        }
+        attempts++;
+        failures[errorClass] = (failures[errorClass] || 0) + 1;
+        if (attempts > maxRetries) {
+            fatal(new Error(`retry budget of ${maxRetries} attempts exhausted, last error: ${err.message}`));
+            return;
+        }
+        if (errorClass === 'auth') {
+            if (!options.getToken || failures.auth > 1) {  //no way to refresh, or a fresh token was rejected too
+                fatal(err);
+                return;
+            }
+            token = null;  //fetch a new one on the next attempt
+        }
+        backoff = delayFor(policies[errorClass], failures[errorClass]);
+        logger.warn(`connection ${errorClass} failure (${err.message}), attempt ${attempts}, ` +
+            `reconnecting in ${backoff.toFixed(2)}s`);
+        setState('backingOff');
+        manager.emit('backoff', {'errorClass' : errorClass, 'error' : err, 'delay' : backoff, 'attempt' : attempts});
+        retryTimer = setTimeout(connect, backoff * 1000);
+    };
+
+    const connect = async () => {
+        if (state === 'stopped' || state === 'fatal') {
+            return;
+        }
+        setState('connecting');
+        if (!token) {
+            try {
+                token = await options.getToken();
+                manager.emit('token');
+            }
+            catch (err) {
+                fail('server', err);
+                return;
+            }
+            if (state !== 'connecting') {  //stopped while the token was being fetched
+                return;
+            }
+        }
+
+        controller = new AbortController();
+        armStallTimer();
+        let response;
+        try {
+            response = await fetchFn(options.url, {
+                method: 'GET',
+                headers: {
+                    'Authorization' : 'Bearer ' + token
+                },
+                signal: controller.signal
+            });
+        }
+        catch (err) {
+            fail(classifyError(err), err);
+            return;
+        }
+        if (state !== 'connecting') {  //stopped while the request was in flight
+            return;
+        }
+        if (response.status !== 200) {
+            fail(classifyStatus(response.status), new Error(`response status: ${response.status} ${response.statusText}`));
+            return;
+        }
+
+        body = response.body;
+        const current = body;
+        setState('streaming');
+        manager.emit('connected');
+        body.on('data', chunk => {
+            lastData = new Date();
+            attempts = 0;
+            failures = {};
+            backoff = 0;
+            armStallTimer();
+            manager.emit('data', chunk);
+        });
+        body.on('error', err => {
+            if (body === current) {
+                fail(classifyError(err), err);
+            }
+        });
+        body.on('end', () => {
+            if (body === current) {
+                fail('network', new Error('stream closed by server'));
+            }
+        });
+    };
+
+    /**
+     * Function that opens the connection
+     * @return {object} the manager
+     */
+    manager.start = () => {
+        logger.debug(`connection start() url:${options.url}`);
+        if (state === 'idle' || state === 'stopped') {
+            state = 'idle';
+            connect();
+        }
+        return manager;
+    };
+
+    /**
+     * Function that closes the connection and cancels any pending reconnect
+     * @return none
+     */
+    manager.stop = () => {
+        logger.debug(`connection stop()`);
+        clearTimeout(retryTimer);
+        release();
+        setState('stopped');
+    };
+
+    /**
+     * Function that reports the connection status
+     * @return {object} state, attempts, backoff (seconds), lastData and lastError
+     */
+    manager.status = () => ({
+        'state' : state,
+        'attempts' : attempts,
+        'backoff' : backoff,
+        'lastData' : lastData,
+        'lastError' : lastError ? lastError.message : null
+    });
+
+    return manager;
+}
+
+module.exports = {
+    POLICIES,
+    classifyError,
+    classifyStatus,
+    create,
+    delayFor
+};
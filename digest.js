@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Digest reports.  A digest summarizes a period from the store: tweets seen, companies
+ * mentioned, the alerts that fired with their sentiment and the price moves tracked since, suppressed
+ * alerts by reason, and delivery and price sampling errors.  Digests are rendered to Markdown and HTML
+ * from the digest templates (see notifiers/templates.js), then sent through the notifier like an alert
+ * and/or written to a directory.  They run on demand (cli.js digest) or on a daily or weekly schedule.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const logger = require('./logger');
+const market = require('./market');
+const notifiers = require('./notifiers');
+const templates = require('./notifiers/templates');
+
+const SCHEDULES = ['daily', 'weekly'];
+const WEEKLY_DAY = 5;  //weekly digests go out on Fridays
+const DEFAULT_TIME = '16:30';  //HH:MM, market time zone, of the scheduled runs a digest period starts at
+const TOP_COMPANIES = 20;  //companies listed, most mentioned first
+
+/**
+ * Function that gathers the digest of a period from the store.  Only alerts that went to the notifier are
+ * listed; analyses recorded by dry runs before they were kept out of the store have no delivery and are
+ * left out.
+ * @param {object} db - better-sqlite3 database
+ * @param {Date} from - start of the period
+ * @param {Date} to - end of the period (exclusive)
+ * @return {object} report with from, to, tweets (count), rules ({rule, count}), companies ({symbol, name,
+ * mentions, averageAggregate, fired}), alerts (fired analyses with tweet, aggregate, signal, alertPrice,
+ * delivered and moves {horizon, move}), suppressed ({reason, count}) and errors ({time, source, detail})
+ */
+function build(db, from, to) {
+    logger.debug(`build() from:${from.toISOString()} to:${to.toISOString()}`);
+
+    const range = [from.toISOString(), to.toISOString()];
+    const tweets = db.prepare('SELECT rules FROM tweets WHERE received_at >= ? AND received_at < ?').all(...range);
+    const rules = new Map();
+    tweets.forEach(tweet => JSON.parse(tweet.rules || '[]')
+        .forEach(rule => rules.set(rule, (rules.get(rule) || 0) + 1)));
+
+    const sent = 'a.fired = 1 AND EXISTS (SELECT 1 FROM alerts l WHERE l.tweet = a.tweet)';
+    const companies = db.prepare(`SELECT a.symbol, MAX(a.name) AS name, COUNT(*) AS mentions,
+        AVG(a.aggregate) AS averageAggregate, SUM(CASE WHEN ${sent} THEN 1 ELSE 0 END) AS fired
+        FROM analyses a JOIN tweets t ON a.tweet = t.id WHERE t.received_at >= ? AND t.received_at < ?
+        GROUP BY a.symbol ORDER BY mentions DESC, a.symbol LIMIT ?`).all(...range, TOP_COMPANIES);
+
+    const moves = db.prepare(`SELECT horizon, move FROM price_samples WHERE analysis = ? AND move IS NOT NULL
+        ORDER BY due_at`);
+    const delivered = db.prepare('SELECT MIN(ok) AS ok FROM alerts WHERE tweet = ?');
+    const alerts = db.prepare(`SELECT a.id, a.tweet, a.symbol, a.name, a.aggregate, a.signal_strength,
+        a.signal_direction, a.scoring_model, a.stock_data, a.alert_rule, t.text, t.author, t.received_at
+        FROM analyses a JOIN tweets t ON a.tweet = t.id
+        WHERE ${sent} AND t.received_at >= ? AND t.received_at < ? ORDER BY t.received_at, a.id`).all(...range)
+        .map(row => ({
+            'time' : row.received_at,
+            'symbol' : row.symbol,
+            'name' : row.name,
+            'tweet' : row.text,
+            'author' : row.author,
+            'rule' : row.alert_rule,
+            'aggregate' : row.aggregate,
+            'signal' : row.scoring_model ? {'model' : row.scoring_model, 'strength' : row.signal_strength,
+                'direction' : row.signal_direction} : null,
+            'alertPrice' : row.stock_data ? JSON.parse(row.stock_data).current_price : null,
+            'delivered' : delivered.get(row.tweet).ok === 1,
+            'moves' : moves.all(row.id)
+        }));
+
+    const suppressed = db.prepare(`SELECT a.reason, COUNT(*) AS count FROM analyses a JOIN tweets t ON a.tweet = t.id
+        WHERE a.fired = 0 AND t.received_at >= ? AND t.received_at < ? GROUP BY a.reason
+        ORDER BY count DESC, a.reason`).all(...range);
+
+    const errors = db.prepare(`SELECT sent_at, subject, deliveries FROM alerts
+        WHERE ok = 0 AND sent_at >= ? AND sent_at < ?`).all(...range)
+        .map(row => ({
+            'time' : row.sent_at,
+            'source' : 'delivery',
+            'detail' : `${row.subject}: ` + (JSON.parse(row.deliveries || '[]').filter(delivery => !delivery.ok)
+                .map(delivery => `${delivery.channel} ${delivery.error}`).join('; ') || 'no channels')
+        }))
+        .concat(db.prepare(`SELECT due_at, symbol, horizon, error FROM price_samples
+            WHERE error IS NOT NULL AND due_at >= ? AND due_at < ?`).all(...range)
+            .map(row => ({'time' : row.due_at, 'source' : 'price sample',
+                'detail' : `${row.symbol} ${row.horizon}: ${row.error}`})))
+        .sort((a, b) => a.time.localeCompare(b.time));
+
+    return {
+        'from' : range[0],
+        'to' : range[1],
+        'tweets' : tweets.length,
+        'rules' : Array.from(rules, ([rule, count]) => ({'rule' : rule, 'count' : count}))
+            .sort((a, b) => b.count - a.count),
+        'companies' : companies,
+        'alerts' : alerts,
+        'suppressed' : suppressed,
+        'errors' : errors
+    };
+}
+
+/**
+ * Function that works out when a scheduled digest next goes out: on the next trading day (daily) or
+ * Friday (weekly) at the given market time
+ * @param {string} schedule - daily or weekly
+ * @param {string} time - HH:MM in the market time zone
+ * @param {Date} now - time to start from
+ * @return {Date} time of the next digest
+ * @throws {Error} unknown schedule or malformed time
+ */
+function nextRun(schedule, time, now = new Date()) {
+    const {minutes, due} = runs(schedule, time);
+    let day = market.marketDay(now);
+    while (!due(day) || market.marketTime(day, minutes) <= now) {
+        day = market.nextTradingDay(day);
+    }
+    return market.marketTime(day, minutes);
+}
+
+/**
+ * Function that returns the period a digest covers: from the scheduled run before it to now, so that
+ * consecutive digests leave no gap.  A Monday daily digest covers the weekend, as the first weekly
+ * digest after a holiday Friday covers both weeks.
+ * @param {string} schedule - daily or weekly
+ * @param {string} time - HH:MM in the market time zone of the scheduled runs
+ * @param {Date} now - end of the period; a scheduled run passes its own time
+ * @return {object} from and to dates
+ * @throws {Error} unknown schedule or malformed time
+ */
+function period(schedule, time, now = new Date()) {
+    return {'from' : previousRun(schedule, time, now), 'to' : now};
+}
+
+/**
+ * Function that works out when a scheduled digest last went out before a given time
+ * @param {string} schedule - daily or weekly
+ * @param {string} time - HH:MM in the market time zone
+ * @param {Date} now - time to look back from
+ * @return {Date} time of the last digest before now
+ * @throws {Error} unknown schedule or malformed time
+ */
+function previousRun(schedule, time, now = new Date()) {
+    const {minutes, due} = runs(schedule, time);
+    const date = new Date(`${market.marketDay(now)}T12:00:00Z`);
+    const day = () => date.toISOString().slice(0, 10);
+    while (!due(day()) || market.marketTime(day(), minutes) >= now) {
+        date.setUTCDate(date.getUTCDate() - 1);
+    }
+    return market.marketTime(day(), minutes);
+}
+
+/**
+ * Function that writes a rendered digest to a directory and/or sends it through a notifier
+ * @param {object} rendered - subject, text (Markdown) and html, from render()
+ * @param {object} options - name (file name without extension), dir (directory to write the .md and .html
+ * files to), notifier (from notifiers.load()) and groups (recipient groups, defaults to the notifier's
+ * default groups)
+ * @return {promise} object with the files written and the delivery results
+ * @throws {Error} propagates file system errors
+ */
+async function publish(rendered, options) {
+    logger.debug(`publish() dir:${options.dir}`);
+
+    const files = [];
+    try {
+        if (options.dir) {
+            await fsp.mkdir(options.dir, {recursive: true});
+            for (const [ext, body] of [['md', rendered.text], ['html', rendered.html]]) {
+                const file = path.join(options.dir, `${options.name}.${ext}`);
+                await fsp.writeFile(file, body);
+                files.push(file);
+            }
+        }
+    }
+    catch (err) {
+        logger.error(`publish() - ${err}`);
+        throw err;
+    }
+    const message = {'subject' : rendered.subject, 'text' : rendered.text, 'html' : rendered.html, 'alerts' : []};
+    const deliveries = options.notifier ? await notifiers.deliver(options.notifier, message, options.groups) : [];
+    logger.info(`publish() - ${rendered.subject}: ${files.length} files, ` +
+        `${deliveries.filter(delivery => delivery.ok).length}/${deliveries.length} deliveries`);
+    return {'files' : files, 'deliveries' : deliveries};
+}
+
+/**
+ * Function that renders a digest into Markdown and HTML
+ * @param {object} digestTemplates - text and html template strings, from templates.load(dir, DIGEST_FILES)
+ * @param {object} report - report from build()
+ * @param {string} title - heading, e.g. Daily digest
+ * @return {object} subject, text (Markdown) and html
+ */
+function render(digestTemplates, report, title) {
+    const time = iso => new Date(iso).toLocaleString('en-US', {timeZone: market.MARKET_TZ, month: 'short',
+        day: 'numeric', hour: 'numeric', minute: '2-digit'});
+    const first = market.marketDay(new Date(report.from));
+    const last = market.marketDay(new Date(new Date(report.to).getTime() - 1));
+    const span = first === last ? first : `${first} to ${last}`;
+    const view = {
+        'subject' : `Twitter Trade Digest - ${title} ${span}: ${report.alerts.length} alerts`,
+        'title' : title,
+        'span' : span,
+        'tweets' : report.tweets,
+        'rules' : report.rules,
+        'companies' : report.companies.map(company => Object.assign({}, company, {
+            'average' : templates.fixed(company.averageAggregate, 3),
+            'label' : templates.label(company.averageAggregate)
+        })),
+        'alertCount' : report.alerts.length,
+        'alerts' : report.alerts.map(alert => ({
+            'time' : time(alert.time),
+            'name' : alert.name,
+            'symbol' : alert.symbol,
+            'tweet' : alert.tweet,
+            'author' : alert.author,
+            'label' : templates.label(alert.aggregate),
+            'color' : alert.aggregate < 0 ? '#c0392b' : (alert.aggregate > 0 ? '#27ae60' : '#555555'),
+            'aggregate' : templates.fixed(alert.aggregate, 3),
+            'strength' : alert.signal ? templates.fixed(alert.signal.strength, 2) : 'n/a',
+            'price' : templates.fixed(alert.alertPrice, 2),
+            'delivery' : alert.delivered ? 'sent' : 'failed',
+            'moves' : alert.moves.map(sample => `${sample.horizon} ${templates.percent(sample.move * 100)} ` +
+                `(${Math.sign(sample.move) === Math.sign(alert.aggregate) ? 'right' : 'wrong'})`),
+            'hasMoves' : alert.moves.length > 0
+        })),
+        'suppressedCount' : report.suppressed.reduce((sum, row) => sum + row.count, 0),
+        'suppressed' : report.suppressed.map(row => ({'reason' : row.reason || 'unknown', 'count' : row.count})),
+        'errors' : report.errors.map(error => Object.assign({}, error, {'time' : time(error.time)}))
+    };
+    return {
+        'subject' : view.subject,
+        'text' : templates.render(digestTemplates.text, view, false).replace(/\n{3,}/g, '\n\n').trim() + '\n',
+        'html' : templates.render(digestTemplates.html, view, true)
+    };
+}
+
+/**
+ * Function that builds, renders and publishes one digest
+ * @param {object} db - better-sqlite3 database
+ * @param {string} schedule - daily or weekly
+ * @param {object} options - templateDir (digest template overrides), plus the publish() options dir,
+ * notifier and groups; time (HH:MM of the scheduled runs, see period()) defaults to DEFAULT_TIME and now
+ * (end of the period) to the current time
+ * @return {promise} object with the report, the rendered digest, the files written and the deliveries
+ * @throws {Error} unknown schedule, malformed time, template, file system and database errors
+ */
+async function run(db, schedule, options = {}) {
+    logger.debug(`run() schedule:${schedule}`);
+
+    const {from, to} = period(schedule, options.time || DEFAULT_TIME, options.now || new Date());
+    const report = build(db, from, to);
+    const title = `${schedule.charAt(0).toUpperCase()}${schedule.slice(1)} digest`;
+    const rendered = render(await templates.load(options.templateDir, templates.DIGEST_FILES), report, title);
+    const published = await publish(rendered, Object.assign({}, options,
+        {'name' : `digest-${schedule}-${market.marketDay(to)}`}));
+    return Object.assign({'report' : report, 'rendered' : rendered}, published);
+}
+
+/**
+ * Function that checks a digest schedule and time
+ * @param {string} schedule - daily or weekly
+ * @param {string} time - HH:MM in the market time zone
+ * @return {object} minutes (the time as minutes after midnight) and due (function telling whether a
+ * YYYY-MM-DD day has a scheduled run)
+ * @throws {Error} unknown schedule or malformed time
+ */
+function runs(schedule, time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+        throw new Error(`digest time ${time} is not HH:MM`);
+    }
+    if (!SCHEDULES.includes(schedule)) {
+        throw new Error(`unknown digest schedule ${schedule}, expected one of ${SCHEDULES}`);
+    }
+    return {
+        'minutes' : parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+        'due' : day => market.isTradingDay(day) &&
+            (schedule === 'daily' || new Date(`${day}T12:00:00Z`).getUTCDay() === WEEKLY_DAY)
+    };
+}
+
+/**
+ * Function that runs digests on a schedule for as long as the process runs
+ * @param {string} schedule - daily or weekly
+ * @param {string} time - HH:MM in the market time zone
+ * @param {function} send - async function that runs one digest, e.g. calling run(), given the time it was
+ * scheduled for
+ * @return {object} object with a stop() function
+ * @throws {Error} unknown schedule or malformed time
+ */
+function start(schedule, time, send) {
+    logger.debug(`start() schedule:${schedule} time:${time}`);
+
+    let timer;
+    const arm = after => {
+        const at = nextRun(schedule, time, after);
+        logger.info(`start() - next ${schedule} digest at ${at.toISOString()}`);
+        timer = setTimeout(async () => {
+            try {
+                await send(at);
+            }
+            catch (err) {
+                logger.error(`start() - ${err}`);
+            }
+            arm(new Date(Math.max(Date.now(), at.getTime())));  //a timer firing early mustn't repeat the digest
+        }, at.getTime() - Date.now());
+        timer.unref();
+    };
+    arm(new Date());
+    return {'stop' : () => clearTimeout(timer)};
+}
+
+module.exports = {
+    build,
+    nextRun,
+    period,
+    previousRun,
+    publish,
+    render,
+    run,
+    start
+};
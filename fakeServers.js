@@ -0,0 +1,492 @@
+/**
+ * @fileoverview Local stand-in servers for the Twitter, Google NL, IEX Cloud and SendGrid APIs, so the
+ * whole pipeline can be run and checked without network access or API keys.  Point the twitterUrl,
+ * googleUrl, iexUrl and sendgridUrl settings at them.  Stream connections to the Twitter stand-in follow a
+ * script of outcomes (HTTP errors, rate limits, stalls and mid-stream disconnects) to exercise the
+ * connection manager, and tweets are pushed to the open streams with POST /fake/tweet.  The test suite
+ * (test/, npm test) starts them on free ports.
+ * Usage: node fakeServers.js [port] [script]
+ *   e.g. node fakeServers.js 8700 429,503,disconnect   (first stream connection rate limited, second a
+ *   server error, third dropped after a heartbeat, later ones stream normally)
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const http = require('http');
+const logger = require('./logger');
+const server = require('./server');
+const market = require('./market');
+const lexicon = require('./sentiment/lexicon');
+
+const DEFAULT_PORT = 8700;  //twitter; google, iex and sendgrid take the next three ports
+const HEARTBEAT = 20;  //seconds between keep-alive line breaks on an open stream, as Twitter sends
+const DISCONNECT_AFTER = 1;  //seconds a 'disconnect' stream stays up
+const MAX_MESSAGES = 100;  //mail kept by the SendGrid stand-in
+const STEPS = ['stream', 'stall', 'disconnect', '401', '429', '500', '503'];  //stream connection outcomes
+
+const SYMBOLS = [  //ref-data symbols served by the IEX stand-in
+    {'symbol' : 'AAPL', 'name' : 'Apple Inc.', 'type' : 'cs'},
+    {'symbol' : 'AMZN', 'name' : 'Amazon.com Inc.', 'type' : 'cs'},
+    {'symbol' : 'BA', 'name' : 'Boeing Co.', 'type' : 'cs'},
+    {'symbol' : 'F', 'name' : 'Ford Motor Co.', 'type' : 'cs'},
+    {'symbol' : 'GM', 'name' : 'General Motors Co.', 'type' : 'cs'},
+    {'symbol' : 'HOG', 'name' : 'Harley-Davidson Inc.', 'type' : 'cs'}
+];
+
+/**
+ * Function that answers a request that doesn't carry a bearer token, as the real APIs do
+ * @param {object} req - http request
+ * @param {object} res - http response
+ * @return {boolean} true if the request was authorized, false if it was answered with a 401
+ */
+function authorized(req, res) {
+    if (/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return true;
+    }
+    server.send(res, 401, {'title' : 'Unauthorized', 'status' : 401});
+    return false;
+}
+
+/**
+ * Function that creates the Google NL stand-in.  Entity and document sentiment come from the lexicon
+ * provider, returned in Google's response format.
+ * @param {object} options - failures (number of requests to fail with a 500 first), organizations (extra
+ * names the lexicon treats as companies)
+ * @return {object} http server with a stats() function
+ */
+function google(options = {}) {
+    const provider = lexicon.create({'organizations' : options.organizations});
+    const stats = {'requests' : 0, 'failures' : options.failures || 0};
+
+    const fake = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stats.requests++;
+        try {
+            const body = await server.readBody(req);
+            const text = body && body.document ? body.document.content : null;
+            if (req.method !== 'POST' || typeof text !== 'string') {
+                server.send(res, 400, {'error' : {'code' : 400, 'message' : 'document.content required'}});
+            }
+            else if (stats.failures > 0) {
+                stats.failures--;
+                server.send(res, 500, {'error' : {'code' : 500, 'message' : 'fake failure'}});
+            }
+            else if (url.pathname.endsWith(':analyzeEntitySentiment')) {
+                const entities = await provider.entitySentiment(text);
+                server.send(res, 200, {'language' : 'en', 'entities' : entities.map(entity => ({
+                    'name' : entity.name,
+                    'type' : entity.type,
+                    'salience' : entity.salience,
+                    'sentiment' : entity.entitySentiment
+                }))});
+            }
+            else if (url.pathname.endsWith(':analyzeSentiment')) {
+                server.send(res, 200, {'language' : 'en', 'documentSentiment' : await provider.sentiment(text)});
+            }
+            else {
+                server.send(res, 404, {'error' : {'code' : 404, 'message' : 'not found'}});
+            }
+        }
+        catch (err) {
+            server.send(res, err.status || 500, {'error' : {'code' : err.status || 500, 'message' : err.message}});
+        }
+    });
+    fake.stats = () => Object.assign({}, stats);
+    return fake;
+}
+
+/**
+ * Function that creates the IEX stand-in: ref-data symbols, quotes, previous day bars and market batch
+ * requests.  Prices are derived from the symbol and drift slowly over time.
+ * @param {object} options - symbols (ref-data list, defaults to SYMBOLS), rateLimit (number of requests
+ * to answer with a 429 first)
+ * @return {object} http server with a stats() function
+ */
+function iex(options = {}) {
+    const symbols = options.symbols || SYMBOLS;
+    const stats = {'requests' : 0, 'rateLimit' : options.rateLimit || 0};
+
+    const basePrice = symbol => 20 + Array.from(symbol).reduce((sum, c) => sum * 31 + c.charCodeAt(0), 7) % 480;
+    const known = symbol => symbols.some(entry => entry.symbol === symbol);
+    const quote = symbol => {
+        const now = new Date();
+        const base = basePrice(symbol);
+        const price = Math.round(base * (1 + 0.02 * Math.sin(now.getTime() / 600000)) * 100) / 100;
+        const open = market.isMarketHours(now);
+        return {
+            'symbol' : symbol,
+            'companyName' : symbols.find(entry => entry.symbol === symbol).name,
+            'latestPrice' : price,
+            'open' : base,
+            'changePercent' : (price - base) / base,
+            'latestVolume' : Math.round(base * 10000),
+            'avgTotalVolume' : Math.round(base * 8000),
+            'week52High' : Math.round(base * 130) / 100,
+            'week52Low' : Math.round(base * 70) / 100,
+            'marketCap' : Math.round(base * 1e9),
+            'isUSMarketOpen' : open,
+            'extendedPrice' : open ? null : Math.round(price * 101) / 100,
+            'extendedChangePercent' : open ? null : 0.01,
+            'extendedPriceTime' : open ? null : now.getTime()
+        };
+    };
+    const previous = symbol => {
+        const base = basePrice(symbol);
+        const day = market.marketDay(new Date());
+        return {'symbol' : symbol, 'date' : day, 'open' : base, 'close' : base, 'high' : Math.round(base * 102) / 100,
+            'low' : Math.round(base * 98) / 100, 'volume' : Math.round(base * 9000)};
+    };
+
+    const fake = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stats.requests++;
+        if (!url.searchParams.get('token')) {
+            server.send(res, 401, 'The API key provided is not valid.');
+            return;
+        }
+        if (stats.rateLimit > 0) {
+            stats.rateLimit--;
+            res.writeHead(429, {'Retry-After' : '1'});
+            res.end('Too many requests');
+            return;
+        }
+
+        let result = null;
+        let messages = 1;
+        const single = /^\/stock\/([^/]+)\/(quote|previous)$/.exec(url.pathname);
+        if (url.pathname === '/ref-data/symbols') {
+            result = symbols;
+        }
+        else if (url.pathname === '/stock/market/batch') {
+            const types = (url.searchParams.get('types') || '').split(',');
+            const list = (url.searchParams.get('symbols') || '').split(',').filter(known);
+            result = {};
+            list.forEach(symbol => {
+                result[symbol] = {};
+                if (types.includes('quote')) {
+                    result[symbol].quote = quote(symbol);
+                }
+                if (types.includes('previous')) {
+                    result[symbol].previous = previous(symbol);
+                }
+            });
+            messages = list.length * types.length;
+        }
+        else if (single && known(decodeURIComponent(single[1]))) {
+            const symbol = decodeURIComponent(single[1]);
+            result = single[2] === 'quote' ? quote(symbol) : previous(symbol);
+        }
+        if (result === null) {
+            server.send(res, 404, 'Unknown symbol');
+            return;
+        }
+        res.setHeader('iexcloud-messages-used', String(messages));
+        server.send(res, 200, result);
+    });
+    fake.stats = () => Object.assign({}, stats);
+    return fake;
+}
+
+/**
+ * Function that starts a server on a port of the loopback interface
+ * @param {object} fake - http server
+ * @param {number} port - port, 0 for any free port
+ * @return {promise} base url of the server, with a trailing slash
+ * @throws {Error} propagates listen errors such as EADDRINUSE
+ */
+function listen(fake, port) {
+    return new Promise((resolve, reject) => {
+        fake.once('error', reject);
+        fake.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${fake.address().port}/`));
+    });
+}
+
+/**
+ * Function that creates the SendGrid stand-in.  Accepted mail is kept for inspection at GET /fake/messages.
+ * @param {object} options - failures (number of sends to fail with a 500 first)
+ * @return {object} http server with stats() and messages() functions
+ */
+function sendgrid(options = {}) {
+    const messages = [];
+    const stats = {'requests' : 0, 'failures' : options.failures || 0};
+
+    const fake = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stats.requests++;
+        if (req.method === 'GET' && url.pathname === '/fake/messages') {
+            server.send(res, 200, messages);
+            return;
+        }
+        if (req.method !== 'POST' || url.pathname !== '/v3/mail/send') {
+            server.send(res, 404, {'errors' : [{'message' : 'not found'}]});
+            return;
+        }
+        if (!authorized(req, res)) {
+            return;
+        }
+        try {
+            const body = await server.readBody(req);
+            const problems = [];
+            if (!body || !body.from || !body.from.email) {
+                problems.push('from.email required');
+            }
+            if (!body || !Array.isArray(body.personalizations) || body.personalizations.length === 0) {
+                problems.push('personalizations required');
+            }
+            else if (!body.personalizations.every(p => Array.isArray(p.to) && p.to.length > 0)) {
+                problems.push('personalizations.to required');
+            }
+            if (problems.length > 0) {
+                server.send(res, 400, {'errors' : problems.map(message => ({'message' : message}))});
+                return;
+            }
+            if (stats.failures > 0) {
+                stats.failures--;
+                server.send(res, 500, {'errors' : [{'message' : 'fake failure'}]});
+                return;
+            }
+            messages.push(Object.assign({'receivedAt' : new Date().toISOString()}, body));
+            if (messages.length > MAX_MESSAGES) {
+                messages.shift();
+            }
+            logger.info(`fake sendgrid - accepted "${body.personalizations[0].subject}"`);
+            res.writeHead(202);
+            res.end();
+        }
+        catch (err) {
+            server.send(res, err.status || 500, {'errors' : [{'message' : err.message}]});
+        }
+    });
+    fake.stats = () => Object.assign({}, stats);
+    fake.messages = () => messages.slice();
+    return fake;
+}
+
+/**
+ * Function that starts all four stand-ins
+ * @param {object} options - port (twitter's port, the others take the next three; 0 for any free ports),
+ * plus twitter, google, iex and sendgrid options for the individual stand-ins
+ * @return {promise} object with the servers, their urls, the settings (as environment variables) that
+ * point the pipeline at them, and a stop() function
+ * @throws {Error} propagates listen errors such as EADDRINUSE
+ */
+async function start(options = {}) {
+    logger.debug(`start()`);
+
+    const port = options.port !== undefined ? options.port : DEFAULT_PORT;
+    const servers = {
+        'twitter' : twitter(options.twitter),
+        'google' : google(options.google),
+        'iex' : iex(options.iex),
+        'sendgrid' : sendgrid(options.sendgrid)
+    };
+    const urls = {};
+    let offset = 0;
+    try {
+        for (const [name, fake] of Object.entries(servers)) {
+            urls[name] = await listen(fake, port === 0 ? 0 : port + offset++);
+        }
+    }
+    catch (err) {
+        logger.error(`start() - ${err}`);
+        Object.values(servers).forEach(fake => fake.close());
+        throw err;
+    }
+    return {
+        'servers' : servers,
+        'urls' : urls,
+        'env' : {
+            'TWITTER_URL' : urls.twitter,
+            'TWITTER_KEY' : 'fake-key',
+            'TWITTER_SECRET' : 'fake-secret',
+            'GOOGLE_URL' : urls.google,
+            'GOOGLE_KEY' : 'fake-key',
+            'IEX_URL' : urls.iex,
+            'IEX_KEY' : 'fake-key',
+            'IEX_SYMBOL_CACHE' : 'iex-symbols-fake.json',
+            'SENDGRID_URL' : `${urls.sendgrid}v3/mail/send`,
+            'SENDGRID_KEY' : 'fake-key'
+        },
+        'stop' : () => Promise.all(Object.values(servers).map(fake => {
+            fake.closeStreams && fake.closeStreams();
+            return new Promise(resolve => fake.close(resolve));
+        }))
+    };
+}
+
+/**
+ * Function that creates the Twitter stand-in: bearer tokens, filter rules and the filtered stream
+ * @param {object} options - script (array of outcomes for successive stream connections, see STEPS;
+ * 'stream' once it runs out), heartbeat (seconds)
+ * @return {object} http server with tweet(message), stats() and closeStreams() functions
+ * @throws {Error} unknown script step
+ */
+function twitter(options = {}) {
+    const script = (options.script || []).slice();
+    const unknown = script.filter(step => !STEPS.includes(step));
+    if (unknown.length > 0) {
+        throw new Error(`unknown stream step ${unknown.join(', ')}, expected one of ${STEPS.join(', ')}`);
+    }
+    const heartbeat = (options.heartbeat || HEARTBEAT) * 1000;
+    const streams = new Set();
+    const stats = {'tokens' : 0, 'connects' : 0, 'tweets' : 0};
+    let rules = [];
+    let nextId = 1;
+
+    const open = (res, step) => {
+        res.writeHead(200, {'Content-Type' : 'application/json'});
+        if (step === 'stall') {  //connected, then silence until the client gives up
+            res.flushHeaders();
+            streams.add(res);
+            res.on('close', () => streams.delete(res));
+            return;
+        }
+        res.write('\r\n');
+        if (step === 'disconnect') {  //part of a message, then the connection drops
+            res.write('{"data":{"id":"1","te');
+            setTimeout(() => res.destroy(), DISCONNECT_AFTER * 1000);
+            return;
+        }
+        const timer = setInterval(() => res.write('\r\n'), heartbeat);
+        streams.add(res);
+        res.on('close', () => {
+            clearInterval(timer);
+            streams.delete(res);
+        });
+    };
+
+    const filterRules = (req, res, body) => {
+        if (req.method === 'GET') {
+            server.send(res, 200, Object.assign(rules.length > 0 ? {'data' : rules} : {},
+                {'meta' : {'sent' : new Date().toISOString(), 'result_count' : rules.length}}));
+            return;
+        }
+        const summary = {'created' : 0, 'not_created' : 0, 'deleted' : 0, 'not_deleted' : 0};
+        if (body && Array.isArray(body.add)) {
+            body.add.forEach(rule => {
+                rules.push({'id' : String(nextId++), 'value' : rule.value, 'tag' : rule.tag});
+                summary.created++;
+            });
+        }
+        if (body && body.delete && Array.isArray(body.delete.ids)) {
+            const ids = new Set(body.delete.ids.map(String));
+            summary.deleted = rules.filter(rule => ids.has(rule.id)).length;
+            summary.not_deleted = ids.size - summary.deleted;
+            rules = rules.filter(rule => !ids.has(rule.id));
+        }
+        server.send(res, 200, {'meta' : {'sent' : new Date().toISOString(), 'summary' : summary}});
+    };
+
+    const fake = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace(/\/+$/, '');
+        try {
+            const body = await server.readBody(req);
+            if (req.method === 'POST' && path === '/oauth2/token') {
+                if (!/^Basic \S+/.test(req.headers.authorization || '') || !/grant_type=client_credentials/.test(body)) {
+                    server.send(res, 403, {'errors' : [{'code' : 99, 'message' : 'Unable to verify your credentials'}]});
+                    return;
+                }
+                stats.tokens++;
+                server.send(res, 200, {'token_type' : 'bearer', 'access_token' : `fake-token-${stats.tokens}`});
+            }
+            else if (req.method === 'POST' && path === '/fake/tweet') {
+                const delivered = fake.tweet(body && typeof body === 'object' ? body : {'text' : String(body || '')});
+                server.send(res, 200, {'delivered' : delivered});
+            }
+            else if (req.method === 'GET' && path === '/fake/status') {
+                server.send(res, 200, Object.assign(fake.stats(), {'rules' : rules, 'script' : script}));
+            }
+            else if (!authorized(req, res)) {
+                return;
+            }
+            else if (path === '/2/tweets/search/stream/rules' && ['GET', 'POST'].includes(req.method)) {
+                filterRules(req, res, body);
+            }
+            else if (req.method === 'GET' && path === '/2/tweets/search/stream') {
+                stats.connects++;
+                const step = script.length > 0 ? script.shift() : 'stream';
+                logger.info(`fake twitter - stream connection ${stats.connects}: ${step}`);
+                if (/^\d+$/.test(step)) {
+                    server.send(res, parseInt(step, 10), {'title' : `fake ${step}`});
+                }
+                else {
+                    open(res, step);
+                }
+            }
+            else {
+                server.send(res, 404, {'title' : 'Not Found'});
+            }
+        }
+        catch (err) {
+            server.send(res, err.status || 500, {'title' : err.message});
+        }
+    });
+
+    /**
+     * Function that pushes a tweet to every open stream in the v2 format
+     * @param {object} message - text, and optionally id, username, name, createdAt and rules (tags; all
+     * current rules if not given)
+     * @return {number} number of streams the tweet was written to
+     */
+    fake.tweet = message => {
+        stats.tweets++;
+        const id = message.id || String(Date.now()) + stats.tweets;
+        const tags = message.rules || rules.map(rule => rule.tag);
+        const cashtags = (message.text.match(/\$[A-Za-z][A-Za-z.]{0,5}\b/g) || []).map(tag => ({'tag' : tag.slice(1)}));
+        const json = {
+            'data' : {
+                'id' : id,
+                'text' : message.text,
+                'author_id' : '1000',
+                'created_at' : message.createdAt || new Date().toISOString(),
+                'entities' : cashtags.length > 0 ? {'cashtags' : cashtags} : undefined
+            },
+            'includes' : {'users' : [{'id' : '1000', 'username' : message.username || 'fakeuser',
+                'name' : message.name || 'Fake User'}]},
+            'matching_rules' : tags.map(tag => ({'id' : (rules.find(rule => rule.tag === tag) || {}).id, 'tag' : tag}))
+        };
+        const live = Array.from(streams).filter(res => !res.destroyed);
+        live.forEach(res => res.write(JSON.stringify(json) + '\r\n'));
+        return live.length;
+    };
+    fake.stats = () => Object.assign({}, stats, {'streams' : streams.size});
+    fake.closeStreams = () => streams.forEach(res => res.destroy());
+    return fake;
+}
+
+/**
+ * Main function.  Starts the stand-ins and prints the environment that points the pipeline at them.
+ */
+async function main() {
+    logger.consoleToStderr();  //stdout is the environment, for eval or source
+    const [port, script] = process.argv.slice(2);
+    try {
+        const fakes = await start({
+            'port' : port !== undefined ? parseInt(port, 10) : DEFAULT_PORT,
+            'twitter' : {'script' : script ? script.split(',').map(step => step.trim()) : []}
+        });
+        console.log(Object.entries(fakes.env).map(([name, value]) => `export ${name}=${value}`).join('\n'));
+        console.log(`# push a tweet: curl -X POST -H 'Content-Type: application/json' ` +
+            `-d '{"text": "Ford is a great company"}' ${fakes.urls.twitter}fake/tweet`);
+        process.on('SIGINT', () => fakes.stop().then(() => process.exit(0)));
+    }
+    catch (err) {
+        logger.error(`main() - ${err}`);
+        process.exit(-1);
+    }
+}
+
+module.exports = {
+    SYMBOLS,
+    google,
+    iex,
+    sendgrid,
+    start,
+    twitter
+};
+
+if (require.main === module) {
+    main();
+}
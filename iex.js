@@ -0,0 +1,264 @@
+/**
+ * @fileoverview IEX Cloud client.  Quote and previous-day data for any number of symbols come from one
+ * market batch request; quotes are cached briefly and previous-day bars for the trading day.  The
+ * ref-data symbol list is cached on disk and refreshed daily.  Failed requests aren't retried here: errors
+ * carry the HTTP status and any Retry-After for the caller's retry policy (see queue.guard()).  Request
+ * and message (credit) usage is tracked from the response headers.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const fetch = require('node-fetch');
+const logger = require('./logger');
+const market = require('./market');
+
+const BASE_URLS = {
+    'production' : 'https://cloud.iexapis.com/stable/',
+    'sandbox' : 'https://sandbox.iexapis.com/stable/'
+};
+const SYMBOL_CACHE_FILE = 'iex-symbols.json';  //default on-disk copy of the ref-data symbols
+const SYMBOL_MAX_AGE = 24 * 60 * 60 * 1000;  //refresh the symbol cache after a day
+const QUOTE_TTL = 15;  //seconds a quote is reused
+const BATCH_LIMIT = 100;  //symbols per market batch request, IEX's limit
+
+/**
+ * Function that creates an IEX client
+ * @param {object} options - token, env (production or sandbox), symbolCache (path of the on-disk symbol
+ * cache), quoteTtl (seconds), baseUrl (overrides env, e.g. for a local stand-in server)
+ * @return {object} client with price(), quote(), stockData(), symbols() and usage() functions
+ * @throws {Error} unknown env
+ */
+function create(options) {
+    const env = options.env || 'production';
+    const baseUrl = options.baseUrl || BASE_URLS[env];
+    if (!baseUrl) {
+        throw new Error(`unknown IEX env ${env}, expected one of ${Object.keys(BASE_URLS)}`);
+    }
+    const symbolCache = options.symbolCache || SYMBOL_CACHE_FILE;
+    const quoteTtl = (options.quoteTtl !== undefined ? options.quoteTtl : QUOTE_TTL) * 1000;
+
+    const usage = {'requests' : 0, 'messages' : 0, 'rateLimited' : 0, 'cacheHits' : 0};
+    const quotes = new Map();  //symbol to {at, quote}
+    const previous = new Map();  //symbol to {day, bar}
+    let symbols = null;  //{fetchedAt, env, baseUrl, symbols}; a cache from another server is refetched
+
+    /**
+     * Function that performs a GET against the IEX API
+     * @param {string} path - path and query relative to the base url, without the token
+     * @return {promise} parsed JSON response
+     * @throws {Error} HTTP status errors, with status and retryAfter (seconds, when the server sent
+     * Retry-After) set, or node-fetch exceptions
+     */
+    const request = async path => {
+        const url = `${baseUrl}${path}${path.includes('?') ? '&' : '?'}token=${options.token}`;
+        usage.requests++;
+        const response = await fetch(url, {method: 'GET'});
+        usage.messages += parseInt(response.headers.get('iexcloud-messages-used'), 10) || 0;
+        if (response.ok) {
+            return response.json();
+        }
+        if (response.status === 429) {
+            usage.rateLimited++;
+        }
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+        throw Object.assign(new Error(`response status: ${response.status} ${response.statusText}`),
+            {'status' : response.status, 'retryAfter' : isNaN(retryAfter) ? undefined : retryAfter});
+    };
+
+    const fresh = (symbol, now) => {
+        const cached = quotes.get(symbol);
+        return cached && now - cached.at < quoteTtl ? cached.quote : null;
+    };
+
+    const client = {'env' : env};
+
+    /**
+     * Function that fetches the latest price of a symbol
+     * @param {string} symbol - stock symbol
+     * @return {promise} latest price
+     * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+     */
+    client.price = async symbol => (await client.quote(symbol)).latestPrice;
+
+    /**
+     * Function that fetches the quote of a symbol, from the cache if it is recent enough
+     * @param {string} symbol - stock symbol
+     * @return {promise} IEX quote object
+     * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+     */
+    client.quote = async symbol => {
+        logger.debug(`iex quote() symbol:${symbol}`);
+
+        const cached = fresh(symbol, Date.now());
+        if (cached) {
+            usage.cacheHits++;
+            return cached;
+        }
+        try {
+            const quote = await request(`stock/${encodeURIComponent(symbol)}/quote`);
+            quotes.set(symbol, {'at' : Date.now(), 'quote' : quote});
+            return quote;
+        }
+        catch (err) {
+            logger.error(`iex quote() - ${err}`);
+            throw err;
+        }
+    };
+
+    /**
+     * Function that fetches current and previous day pricing for a set of symbols in as few requests as
+     * possible.  Symbols IEX doesn't know are left out of the result.
+     * @param {Array} list - stock symbols
+     * @return {promise} object keyed by symbol with the fields described at toStockData()
+     * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+     */
+    client.stockData = async list => {
+        logger.debug(`iex stockData() symbols:${list}`);
+
+        const now = Date.now();
+        const today = market.marketDay(new Date(now));
+        const needed = Array.from(new Set(list)).filter(symbol =>
+            !fresh(symbol, now) || !previous.has(symbol) || previous.get(symbol).day !== today);
+        usage.cacheHits += list.length - needed.length;
+        try {
+            for (let i = 0; i < needed.length; i += BATCH_LIMIT) {
+                const batch = needed.slice(i, i + BATCH_LIMIT);
+                const json = await request(`stock/market/batch?types=quote,previous&symbols=` +
+                    batch.map(encodeURIComponent).join(','));
+                for (const [symbol, data] of Object.entries(json || {})) {
+                    if (data.quote) {
+                        quotes.set(symbol, {'at' : now, 'quote' : data.quote});
+                    }
+                    if (data.previous) {
+                        previous.set(symbol, {'day' : today, 'bar' : data.previous});
+                    }
+                }
+            }
+        }
+        catch (err) {
+            logger.error(`iex stockData() - ${err}`);
+            throw err;
+        }
+
+        const result = {};
+        for (const symbol of list) {
+            const quote = (quotes.get(symbol) || {}).quote;
+            const bar = (previous.get(symbol) || {}).bar;
+            if (quote && bar) {
+                result[symbol] = toStockData(quote, bar, new Date(now));
+            }
+        }
+        return result;
+    };
+
+    /**
+     * Function that returns the ref-data symbol list, from memory or the disk cache while it is less than
+     * a day old, otherwise from IEX.  If IEX can't be reached a stale cache is used rather than failing.
+     * @return {promise} array of IEX symbol objects
+     * @throws {Error} propagates HTTP status errors or node-fetch exceptions when there is no cache at all
+     */
+    client.symbols = async () => {
+        logger.debug(`iex symbols()`);
+
+        if (!symbols) {
+            try {
+                symbols = JSON.parse(await fsp.readFile(symbolCache, 'utf8'));
+            }
+            catch (err) {
+                if (err.code !== 'ENOENT') {
+                    logger.warn(`iex symbols() - ignoring unreadable cache ${symbolCache}: ${err}`);
+                }
+            }
+        }
+        if (symbols && symbols.baseUrl === baseUrl && Date.now() - new Date(symbols.fetchedAt) < SYMBOL_MAX_AGE) {
+            return symbols.symbols;
+        }
+
+        try {
+            const list = await request('ref-data/symbols');
+            symbols = {'fetchedAt' : new Date().toISOString(), 'env' : env, 'baseUrl' : baseUrl, 'symbols' : list};
+            await fsp.writeFile(symbolCache, JSON.stringify(symbols));
+            logger.info(`iex symbols() - refreshed ${list.length} symbols`);
+            return list;
+        }
+        catch (err) {
+            if (symbols) {
+                logger.warn(`iex symbols() - refresh failed, using cache from ${symbols.fetchedAt}: ${err}`);
+                return symbols.symbols;
+            }
+            logger.error(`iex symbols() - ${err}`);
+            throw err;
+        }
+    };
+
+    /**
+     * Function that reports request, message (credit) and cache usage since the client was created
+     * @return {object} requests, messages, rateLimited and cacheHits counts
+     */
+    client.usage = () => Object.assign({}, usage);
+
+    return client;
+}
+
+/**
+ * Function that creates a client from the iexKey, iexEnv, iexUrl, iexSymbolCache and iexQuoteTtl settings
+ * @param {object} settings - settings keyed by setting name, from config.get()
+ * @return {object} client
+ * @throws {Error} unknown iexEnv
+ */
+function fromConfig(settings) {
+    return create({
+        'token' : settings.iexKey,
+        'env' : settings.iexEnv,
+        'baseUrl' : settings.iexUrl,
+        'symbolCache' : settings.iexSymbolCache,
+        'quoteTtl' : settings.iexQuoteTtl !== null ? settings.iexQuoteTtl : undefined
+    });
+}
+
+/**
+ * Function that combines a quote and the previous day's bar into the stock data attached to an alert
+ * @param {object} quote - IEX quote
+ * @param {object} bar - IEX previous day bar
+ * @param {Date} now - time of the lookup, used when IEX doesn't say whether the market is open
+ * @return {object} current_price; the previous day's date, open, close, high and low; today's todayOpen,
+ * changePercent (fraction), volume, avgVolume and relativeVolume; extendedPrice, extendedChangePercent and
+ * extendedPriceTime outside regular hours; week52High, week52Low, marketCap and marketOpen
+ */
+function toStockData(quote, bar, now) {
+    const volume = quote.latestVolume !== null && quote.latestVolume !== undefined ? quote.latestVolume : quote.volume;
+    const marketOpen = typeof quote.isUSMarketOpen === 'boolean' ? quote.isUSMarketOpen : market.isMarketHours(now);
+    const data = {
+        'current_price' : quote.latestPrice,
+        'date' : bar.date,
+        'open' : bar.open,
+        'close' : bar.close,
+        'high' : bar.high,
+        'low' : bar.low,
+        'todayOpen' : quote.open,
+        'changePercent' : quote.changePercent,
+        'volume' : volume,
+        'avgVolume' : quote.avgTotalVolume,
+        'relativeVolume' : volume && quote.avgTotalVolume ? volume / quote.avgTotalVolume : null,
+        'week52High' : quote.week52High,
+        'week52Low' : quote.week52Low,
+        'marketCap' : quote.marketCap,
+        'marketOpen' : marketOpen
+    };
+    if (!marketOpen && typeof quote.extendedPrice === 'number') {  //pre-market or after-hours trading
+        data.extendedPrice = quote.extendedPrice;
+        data.extendedChangePercent = quote.extendedChangePercent;
+        data.extendedPriceTime = quote.extendedPriceTime ? new Date(quote.extendedPriceTime).toISOString() : null;
+    }
+    return data;
+}
+
+module.exports = {
+    BASE_URLS,
+    create,
+    fromConfig,
+    toStockData
+};
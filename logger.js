@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Shared winston logger for the twitterTrade modules.  Registered secrets are scrubbed from
+ * every message.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const winston = require('winston');
+require('winston-daily-rotate-file');
+
+const REDACTED = '[redacted]';
+const MIN_SECRET = 4;  //shorter values would scrub ordinary text
+
+const secrets = new Set();  //secret values, plain and url encoded, scrubbed from every message
+
+const scrub = winston.format(info => {
+    if (secrets.size > 0 && typeof info.message === 'string') {
+        for (const secret of secrets) {
+            info.message = info.message.split(secret).join(REDACTED);
+        }
+    }
+    return info;
+});
+
+const logger = winston.createLogger({
+    transports: [
+        new winston.transports.Console(),
+        new (winston.transports.DailyRotateFile)({
+            filename: 'twitter-%DATE%.log',
+            datePattern: 'YYYY-MM-DD-HH',
+            zippedArchive: true,
+            maxSize: '20m',
+            maxFiles: '10d'
+          })
+    ],
+    format: winston.format.combine(
+      scrub(),
+      winston.format.timestamp(),
+      winston.format.align(),
+      winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
+    ),
+    level: 'debug'
+});
+
+/**
+ * Function that registers a secret (API key, password) so that it never appears in the log
+ * @param {string} value - secret value; ignored if missing or too short to scrub safely
+ * @return none
+ */
+logger.addSecret = value => {
+    if (typeof value === 'string' && value.length >= MIN_SECRET) {
+        secrets.add(value);
+        secrets.add(encodeURIComponent(value));
+    }
+};
+
+/**
+ * Function that sends console logging to stderr, leaving stdout to a command's own output
+ * @return none
+ */
+logger.consoleToStderr = () => {
+    logger.transports.filter(transport => transport instanceof winston.transports.Console).forEach(transport => {
+        transport.stderrLevels = Object.keys(logger.levels).reduce((levels, level) =>
+            Object.assign(levels, {[level] : true}), {});
+    });
+};
+
+module.exports = logger;
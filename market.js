@@ -0,0 +1,131 @@
+/**
+ * @fileoverview US equity market calendar helpers.  Times are evaluated in the exchange time zone;
+ * exchange holidays are not accounted for.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+
+const MARKET_TZ = 'America/New_York';
+const MARKET_OPEN = 9 * 60 + 30;  //minutes after midnight, market time zone
+const MARKET_CLOSE = 16 * 60;
+
+/**
+ * Function that breaks a time into its calendar parts in the market time zone
+ * @param {Date} date - time to convert
+ * @return {object} year, month, day, hour, minute, second and weekday (Sun, Mon, ...)
+ */
+function parts(date) {
+    const result = {};
+    new Intl.DateTimeFormat('en-US', {timeZone: MARKET_TZ, year: 'numeric', month: 'numeric', day: 'numeric',
+        weekday: 'short', hour: 'numeric', minute: 'numeric', second: 'numeric', hour12: false})
+        .formatToParts(date)
+        .forEach(part => { result[part.type] = part.value; });
+    return {
+        'year' : parseInt(result.year, 10),
+        'month' : parseInt(result.month, 10),
+        'day' : parseInt(result.day, 10),
+        'hour' : parseInt(result.hour, 10) % 24,
+        'minute' : parseInt(result.minute, 10),
+        'second' : parseInt(result.second, 10),
+        'weekday' : result.weekday
+    };
+}
+
+/**
+ * Function that checks whether a time falls within regular trading hours (9:30-16:00, Monday to Friday)
+ * @param {Date} date - time to check
+ * @return {boolean} true if the market is open
+ */
+function isMarketHours(date) {
+    const p = parts(date);
+    const minutes = p.hour * 60 + p.minute;
+    return isTradingDay(marketDay(date)) && minutes >= MARKET_OPEN && minutes < MARKET_CLOSE;
+}
+
+/**
+ * Function that checks whether a calendar day is a weekday
+ * @param {string} day - date in YYYY-MM-DD format
+ * @return {boolean} true for Monday to Friday
+ */
+function isTradingDay(day) {
+    const weekday = new Date(`${day}T12:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6;
+}
+
+/**
+ * Function that returns the calendar date of a time in the market time zone
+ * @param {Date} date - time to convert
+ * @return {string} date in YYYY-MM-DD format
+ */
+function marketDay(date) {
+    return date.toLocaleDateString('en-CA', {timeZone: MARKET_TZ});
+}
+
+/**
+ * Function that converts a wall clock time in the market time zone to an absolute time
+ * @param {string} day - date in YYYY-MM-DD format
+ * @param {number} minutes - minutes after midnight, market time zone
+ * @return {Date} absolute time
+ */
+function marketTime(day, minutes) {
+    const [year, month, date] = day.split('-').map(num => parseInt(num, 10));
+    const wall = Date.UTC(year, month - 1, date, 0, minutes);
+    const guess = new Date(wall + 5 * 60 * 60 * 1000);  //Eastern is UTC-5 or UTC-4
+    const p = parts(guess);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess.getTime();
+    return new Date(wall - offset);
+}
+
+/**
+ * Function that returns the next trading day after a given day
+ * @param {string} day - date in YYYY-MM-DD format
+ * @return {string} next weekday in YYYY-MM-DD format
+ */
+function nextTradingDay(day) {
+    const date = new Date(`${day}T12:00:00Z`);
+    do {
+        date.setUTCDate(date.getUTCDate() + 1);
+    } while (!isTradingDay(date.toISOString().slice(0, 10)));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Function that returns the time of the first market close at or after a given time
+ * @param {Date} date - starting time
+ * @return {Date} time of that close
+ */
+function nextClose(date) {
+    let day = marketDay(date);
+    if (!isTradingDay(day) || marketTime(day, MARKET_CLOSE) < date) {
+        day = nextTradingDay(day);
+    }
+    return marketTime(day, MARKET_CLOSE);
+}
+
+/**
+ * Function that returns the time of the first market open at or after a given time
+ * @param {Date} date - starting time
+ * @return {Date} time of that open
+ */
+function nextOpen(date) {
+    let day = marketDay(date);
+    if (!isTradingDay(day) || marketTime(day, MARKET_OPEN) < date) {
+        day = nextTradingDay(day);
+    }
+    return marketTime(day, MARKET_OPEN);
+}
+
+module.exports = {
+    MARKET_CLOSE,
+    MARKET_OPEN,
+    MARKET_TZ,
+    isMarketHours,
+    isTradingDay,
+    marketDay,
+    marketTime,
+    nextClose,
+    nextOpen,
+    nextTradingDay
+};
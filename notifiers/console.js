@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Stdout and file notification channels, for local runs and as an alert archive
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('../logger');
+
+/**
+ * Function that creates a stdout channel
+ * @return {object} channel with a send(message, recipients) function
+ */
+function createConsole() {
+    return {
+        'send' : async message => {
+            console.log(message.text);
+        }
+    };
+}
+
+/**
+ * Function that creates a file channel.  Each alert is appended to the file as one line of JSON.
+ * @param {object} options - path to the output file
+ * @return {object} channel with a send(message, recipients) function
+ * @throws {Error} missing path
+ */
+function createFile(options) {
+    if (!options.path) {
+        throw new Error('file channel requires a path');
+    }
+
+    return {
+        'send' : async (message, recipients) => {
+            logger.debug(`file send() path:${options.path}`);
+            const record = {
+                'timestamp' : new Date().toISOString(),
+                'subject' : message.subject,
+                'recipients' : recipients,
+                'alerts' : message.alerts
+            };
+            await fsp.appendFile(options.path, JSON.stringify(record) + '\n');
+        }
+    };
+}
+
+module.exports = {
+    createConsole,
+    createFile
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Alert notification routing.  Channels (sendgrid, webhook, smtp, console, file) are
+ * configured once, grouped with recipients, and each alert is delivered to every channel of the selected
+ * groups independently with a per-channel retry policy.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Notify file format:
+ * {
+ *   "channels": {
+ *     "email": {"type": "sendgrid", "from": "alerts@example.com", "retry": {"attempts": 3, "delay": 2}},
+ *     "slack": {"type": "webhook", "url": "https://hooks.slack.com/services/...", "retry": {"attempts": 5}},
+ *     "archive": {"type": "file", "path": "alerts.jsonl"}
+ *   },
+ *   "groups": {
+ *     "traders": {"channels": ["email", "slack"], "recipientFile": "recipients.json"},
+ *     "audit": {"channels": ["archive"], "recipients": []}
+ *   },
+ *   "defaultGroups": ["traders", "audit"],
+ *   "templateDir": "templates"
+ * }
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('../logger');
+const consoleChannels = require('./console');
+const templates = require('./templates');
+
+const CHANNELS = {
+    'sendgrid' : options => require('./sendgrid').create(options),
+    'webhook' : options => require('./webhook').create(options),
+    'smtp' : options => require('./smtp').create(options),
+    'console' : options => consoleChannels.createConsole(options),
+    'file' : options => consoleChannels.createFile(options)
+};
+
+const DEFAULT_RETRY = {'attempts' : 3, 'delay' : 1, 'factor' : 2};  //delay in seconds
+
+/**
+ * Function that builds the notifier configuration used when no notify file is configured: SendGrid
+ * email to the recipients in the recipientFile setting
+ * @param {object} defaults - notifier defaults (see create())
+ * @return {object} notify configuration
+ */
+function legacyConfig(defaults) {
+    return {
+        'channels' : {'email' : {'type' : 'sendgrid'}},
+        'groups' : {'default' : {'channels' : ['email'], 'recipientFile' : defaults.recipientFile}},
+        'defaultGroups' : ['default']
+    };
+}
+
+/**
+ * Function that builds a notifier from a notify configuration.  Recipient files and templates are read
+ * here, once, rather than on every alert.
+ * @param {object} config - notify configuration (see file overview)
+ * @param {object} defaults - values from the central configuration used where the notify configuration
+ * doesn't give them: sender (email from address), sendgridKey, sendgridUrl, recipientFile and templateDir
+ * @return {promise} notifier with channels and groups
+ * @throws {Error} unknown channel types, invalid channel options, groups referring to unknown channels,
+ * recipient file errors
+ */
+async function create(config, defaults = {}) {
+    logger.debug(`create()`);
+
+    const channels = {};
+    for (const [name, options] of Object.entries(config.channels || {})) {
+        const factory = CHANNELS[options.type];
+        if (!factory) {
+            throw new Error(`channel ${name} has unknown type ${options.type}`);
+        }
+        const fallback = {'from' : defaults.sender};
+        if (options.type === 'sendgrid') {
+            fallback.key = defaults.sendgridKey;
+            fallback.url = defaults.sendgridUrl;
+        }
+        const channel = factory(Object.assign(fallback, options));
+        channel.name = name;
+        channel.retry = Object.assign({}, DEFAULT_RETRY, options.retry);
+        channels[name] = channel;
+    }
+
+    const groups = {};
+    for (const [name, group] of Object.entries(config.groups || {})) {
+        for (const channel of group.channels || []) {
+            if (!channels[channel]) {
+                throw new Error(`group ${name} refers to unknown channel ${channel}`);
+            }
+        }
+        let recipients = group.recipients || [];
+        if (group.recipientFile) {
+            recipients = JSON.parse(await fsp.readFile(group.recipientFile, 'utf8'));
+        }
+        groups[name] = {'channels' : group.channels || [], 'recipients' : recipients};
+    }
+
+    return {
+        'channels' : channels,
+        'groups' : groups,
+        'defaultGroups' : config.defaultGroups || Object.keys(groups),
+        'templates' : await templates.load(config.templateDir || defaults.templateDir)
+    };
+}
+
+/**
+ * Function that sends a rendered message to every channel of the selected groups.  Channels are sent to
+ * concurrently and each is retried on its own, so a failing channel doesn't hold up or cancel the others.
+ * @param {object} notifier - notifier from create() or load()
+ * @param {object} message - message with subject, text and html bodies, and alerts (array of analytics
+ * objects, empty for a digest)
+ * @param {Array} groups - names of the recipient groups, defaults to the notifier's default groups
+ * @return {promise} array of {group, channel, ok, error} delivery results
+ * @throws none
+ */
+async function deliver(notifier, message, groups) {
+    logger.debug(`deliver() groups:${groups}`);
+
+    const deliveries = [];
+    for (const name of (groups && groups.length > 0) ? groups : notifier.defaultGroups) {
+        const group = notifier.groups[name];
+        if (!group) {
+            logger.warn(`deliver() - unknown group ${name}`);
+            continue;
+        }
+        for (const channel of group.channels) {
+            deliveries.push({'group' : name, 'channel' : notifier.channels[channel], 'recipients' : group.recipients});
+        }
+    }
+
+    const results = await Promise.allSettled(deliveries.map(delivery =>
+        withRetry(delivery.channel, () => delivery.channel.send(message, delivery.recipients))));
+    return results.map((result, i) => {
+        const outcome = {'group' : deliveries[i].group, 'channel' : deliveries[i].channel.name,
+            'ok' : result.status === 'fulfilled'};
+        if (!outcome.ok) {
+            outcome.error = `${result.reason}`;
+            logger.error(`deliver() - channel ${outcome.channel} failed: ${result.reason}`);
+        }
+        return outcome;
+    });
+}
+
+/**
+ * Function that reads a notify file and builds a notifier from it
+ * @param {string} file - path to the notify file
+ * @param {object} defaults - values from the central configuration (see create())
+ * @return {promise} notifier; SendGrid to the recipientFile setting if no file is configured
+ * @throws {Error} propagates file system, JSON parse and configuration errors
+ */
+async function load(file, defaults = {}) {
+    logger.debug(`load() file:${file}`);
+
+    try {
+        const config = file ? JSON.parse(await fsp.readFile(file, 'utf8')) : legacyConfig(defaults);
+        return await create(config, defaults);
+    }
+    catch (err) {
+        logger.error(`load() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that renders an alert and delivers it to every channel of the selected groups (see deliver())
+ * @param {object} notifier - notifier from create() or load()
+ * @param {Array} alerts - array of analytics objects for one tweet
+ * @param {Array} groups - names of the recipient groups, defaults to the notifier's default groups
+ * @return {promise} array of {group, channel, ok, error} delivery results
+ * @throws none
+ */
+async function notify(notifier, alerts, groups) {
+    logger.debug(`notify() groups:${groups}`);
+
+    const message = {'subject' : subject(alerts), 'alerts' : alerts};
+    Object.assign(message, templates.renderAlert(notifier.templates, message));  //text and html bodies
+    return deliver(notifier, message, groups);
+}
+
+/**
+ * Function that builds the alert subject line from the overall sentiment and the companies mentioned
+ * @param {Array} alerts - array of analytics objects for one tweet
+ * @return {string} subject
+ */
+function subject(alerts) {
+    const signs = new Set(alerts.map(analytics => Math.sign(analytics.aggregate)));
+    let subject = 'Twitter Trade Alert -'
+    if (signs.size > 1) {
+        subject += ' Mixed Tweet: ';
+    }
+    else if (signs.has(-1)) {
+        subject += ' Negative Tweet: ';
+    }
+    else if (signs.has(1)) {
+        subject += ' Positive Tweet: ';
+    }
+    else
+        subject += ' Neutral Tweet: ';
+    subject += alerts.map(analytics => `${analytics.name} (${analytics.symbol})`).join(', ');
+    return subject;
+}
+
+/**
+ * Function that runs a send with the channel's retry policy: up to retry.attempts tries, waiting
+ * retry.delay seconds after the first failure and multiplying the wait by retry.factor each time
+ * @param {object} channel - channel with name and retry policy
+ * @param {function} send - function returning a promise for one delivery attempt
+ * @return {promise} result of the first successful attempt
+ * @throws {Error} error from the last attempt
+ */
+async function withRetry(channel, send) {
+    let delay = channel.retry.delay;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await send();
+        }
+        catch (err) {
+            if (attempt >= channel.retry.attempts) {
+                throw err;
+            }
+            logger.warn(`withRetry() - channel ${channel.name} attempt ${attempt} failed, retrying in ${delay}s`);
+            await new Promise(resolve => setTimeout(resolve, delay * 1000));
+            delay *= channel.retry.factor;
+        }
+    }
+}
+
+module.exports = {
+    create,
+    deliver,
+    load,
+    notify,
+    subject
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview SendGrid v3 email notification channel
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fetch = require('node-fetch');
+const logger = require('../logger');
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+/**
+ * Function that calls SendGrid's REST endpoint to send an email with the tweet and analytics
+ * @param {string} token - SendGrid API token
+ * @param {string} url - SendGrid Rest endpoint
+ * @param {object} from - SendGrid sender object ({email, name})
+ * @param {object} message - alert message with subject, rendered text and html bodies, and alerts
+ * @param {Array} recipients - array of SendGrid recipient objects ({email, name})
+ * @return {promise} none
+ * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+ */
+async function sendEmail(token, url, from, message, recipients) {
+    logger.debug(`sendEmail()`);
+
+    const personalizations = [
+        {
+            'to' : recipients,
+            'subject' : message.subject
+        }
+    ];
+    const content = [
+        {
+            'type' : 'text/plain',
+            'value' : message.text
+        },
+        {
+            'type' : 'text/html',
+            'value' : message.html
+        }
+    ];
+
+    const body = {
+        'personalizations' : personalizations,
+        'content' : content,
+        'from' : from
+    };	
+
+    try {
+        const response = await fetch(url, {
+            method : 'POST',
+            body : JSON.stringify(body),
+            headers: {
+                'Content-Type' : 'application/json',
+                'Authorization' : 'Bearer ' + token
+            }
+        });
+
+        if (response.ok) {
+            logger.info(`Email sent, subject: ${message.subject}`);
+            return;
+        }
+        else {
+            let msg = (`response status: ${response.status}`);
+            throw new Error(msg);
+        }
+    }
+    catch (err) {
+        let msg = (`sendEmail() - ${err}`);
+        logger.error(msg);
+        throw err;
+    }
+}
+
+/**
+ * Function that creates a SendGrid channel
+ * @param {object} options - key (SendGrid API token), url (optional endpoint override), from (sender address)
+ * @return {object} channel with a send(message, recipients) function
+ * @throws {Error} missing key or sender address
+ */
+function create(options) {
+    if (!options.key || !options.from) {
+        throw new Error('sendgrid channel requires a key and a from address');
+    }
+    const key = options.key;
+    const url = options.url || SENDGRID_URL;
+    const from = {'email' : options.from};
+
+    return {
+        'send' : (message, recipients) => sendEmail(key, url, from, message, recipients)
+    };
+}
+
+module.exports = {
+    create,
+    sendEmail
+};
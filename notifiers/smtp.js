@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Plain SMTP email notification channel
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const nodemailer = require('nodemailer');
+const logger = require('../logger');
+
+/**
+ * Function that creates an SMTP channel
+ * @param {object} options - host, port, secure, user, pass and from (sender address)
+ * @return {object} channel with a send(message, recipients) function
+ * @throws {Error} missing host or sender address
+ */
+function create(options) {
+    if (!options.host || !options.from) {
+        throw new Error('smtp channel requires a host and a from address');
+    }
+    const transporter = nodemailer.createTransport({
+        'host' : options.host,
+        'port' : options.port || 587,
+        'secure' : Boolean(options.secure),
+        'auth' : options.user ? {'user' : options.user, 'pass' : options.pass} : undefined
+    });
+    const from = options.from;
+
+    return {
+        'send' : async (message, recipients) => {
+            logger.debug(`smtp send()`);
+            try {
+                await transporter.sendMail({
+                    'from' : from,
+                    'to' : recipients.map(recipient => (recipient.name ?
+                        {'name' : recipient.name, 'address' : recipient.email} : recipient.email)),
+                    'subject' : message.subject,
+                    'text' : message.text,
+                    'html' : message.html
+                });
+                logger.info(`SMTP email sent, subject: ${message.subject}`);
+            }
+            catch (err) {
+                logger.error(`smtp send() - ${err}`);
+                throw err;
+            }
+        }
+    };
+}
+
+module.exports = {
+    create
+};
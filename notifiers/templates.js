@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Alert templating.  Renders an alert into text/plain and text/html bodies from
+ * mustache-style templates: {{field}} (HTML-escaped in the html part), {{{field}}} (raw),
+ * {{#section}}...{{/section}} (repeated for arrays, shown when truthy) and {{^section}}...{{/section}}
+ * (shown when falsy).  The built-in templates in ./templates can be overridden from a directory holding
+ * alert.txt and/or alert.html, and for digests (see digest.js) digest.md and/or digest.html.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const logger = require('../logger');
+
+const BUILTIN_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_FILES = {'text' : 'alert.txt', 'html' : 'alert.html'};
+const DIGEST_FILES = {'text' : 'digest.md', 'html' : 'digest.html'};
+
+const SECTION_REGEX = /{{([#^])\s*([\w.]+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g;
+const RAW_REGEX = /{{{\s*([\w.]+)\s*}}}/g;
+const FIELD_REGEX = /{{\s*([\w.]+)\s*}}/g;
+
+/**
+ * Function that escapes text for inclusion in HTML
+ * @param {string} str - text to escape
+ * @return {string} escaped text
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Function that formats a number with a fixed number of decimals, or 'n/a' if it is missing
+ * @param {number} num - number to format
+ * @param {number} decimals - number of decimals
+ * @return {string} formatted number
+ */
+function fixed(num, decimals) {
+    return (typeof num === 'number' && isFinite(num)) ? num.toFixed(decimals) : 'n/a';
+}
+
+/**
+ * Function that formats a large number compactly, e.g. 1.2M or 45.3B
+ * @param {number} num - number to format
+ * @return {string} formatted number, or 'n/a' if it is missing
+ */
+function compact(num) {
+    if (typeof num !== 'number' || !isFinite(num)) {
+        return 'n/a';
+    }
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const unit = units.find(([size]) => Math.abs(num) >= size);
+    return unit ? `${(num / unit[0]).toFixed(1)}${unit[1]}` : String(num);
+}
+
+/**
+ * Function that formats a percent change with its sign
+ * @param {number} pct - change in percent
+ * @return {string} formatted change, or 'n/a' if it is missing
+ */
+function percent(pct) {
+    return (typeof pct === 'number' && isFinite(pct)) ? `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%` : 'n/a';
+}
+
+/**
+ * Function that translates an aggregate sentiment score into plain English
+ * @param {number} aggregate - aggregate sentiment score
+ * @return {string} label
+ */
+function label(aggregate) {
+    if (aggregate <= -1) {
+        return 'Strongly negative';
+    }
+    if (aggregate < 0) {
+        return 'Negative';
+    }
+    if (aggregate >= 1) {
+        return 'Strongly positive';
+    }
+    if (aggregate > 0) {
+        return 'Positive';
+    }
+    return 'Neutral';
+}
+
+/**
+ * Function that reads the alert templates, taking each from the override directory if present there
+ * and from the built-in templates otherwise
+ * @param {string} dir - optional override directory
+ * @param {object} files - file name by part, TEMPLATE_FILES (alerts) or DIGEST_FILES
+ * @return {promise} object with text and html template strings
+ * @throws {Error} propagates file system errors other than a missing override file
+ */
+async function load(dir, files = TEMPLATE_FILES) {
+    logger.debug(`load() dir:${dir}`);
+
+    const templates = {};
+    for (const [part, file] of Object.entries(files)) {
+        if (dir) {
+            try {
+                templates[part] = await fsp.readFile(path.join(dir, file), 'utf8');
+                continue;
+            }
+            catch (err) {
+                if (err.code !== 'ENOENT') {
+                    logger.error(`load() - ${err}`);
+                    throw err;
+                }
+            }
+        }
+        templates[part] = await fsp.readFile(path.join(BUILTIN_DIR, file), 'utf8');
+    }
+    return templates;
+}
+
+/**
+ * Function that looks up a dotted path in a chain of views, innermost first
+ * @param {Array} stack - array of view objects
+ * @param {string} name - dotted field path
+ * @return {*} value, or undefined if not found
+ */
+function lookup(stack, name) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+        const value = name.split('.').reduce((obj, key) =>
+            (obj === undefined || obj === null ? undefined : obj[key]), stack[i]);
+        if (value !== undefined) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Function that renders a template against a view
+ * @param {string} template - template text
+ * @param {object} view - values referenced by the template
+ * @param {boolean} html - escape field values for HTML
+ * @return {string} rendered text
+ */
+function render(template, view, html) {
+    const renderStack = (text, stack) => {
+        text = text.replace(SECTION_REGEX, (match, type, name, inner) => {
+            const value = lookup(stack, name);
+            const empty = !value || (Array.isArray(value) && value.length === 0);
+            if (type === '^') {
+                return empty ? renderStack(inner, stack) : '';
+            }
+            if (empty) {
+                return '';
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => renderStack(inner, stack.concat([item]))).join('');
+            }
+            return renderStack(inner, typeof value === 'object' ? stack.concat([value]) : stack);
+        });
+        const format = value => (value === undefined || value === null ? '' :
+            (Array.isArray(value) ? value.join(', ') : value));
+        text = text.replace(RAW_REGEX, (match, name) => format(lookup(stack, name)));
+        return text.replace(FIELD_REGEX, (match, name) => {
+            const value = format(lookup(stack, name));
+            return html ? escapeHtml(value) : value;
+        });
+    };
+    return renderStack(template, [view]);
+}
+
+/**
+ * Function that renders an alert message into text and html bodies
+ * @param {object} templates - object with text and html template strings, from load()
+ * @param {object} message - alert message with subject and alerts (array of analytics objects)
+ * @return {object} object with text and html bodies
+ */
+function renderAlert(templates, message) {
+    const view = toView(message);
+    return {
+        'text' : render(templates.text, view, false).trim() + '\n',
+        'html' : render(templates.html, view, true)
+    };
+}
+
+/**
+ * Function that flattens an alert message into the values used by the templates
+ * @param {object} message - alert message with subject and alerts (array of analytics objects)
+ * @return {object} template view
+ */
+function toView(message) {
+    const first = message.alerts[0] || {};
+    const companies = message.alerts.map(analytics => {
+        const data = analytics.data || {};
+        const hasPrice = typeof data.current_price === 'number' && typeof data.close === 'number' && data.close !== 0;
+        const change = hasPrice ? (data.current_price - data.close) / data.close * 100 : null;
+        const hasExtended = typeof data.extendedPrice === 'number';
+        return {
+            'name' : analytics.name,
+            'symbol' : analytics.symbol,
+            'label' : label(analytics.aggregate),
+            'color' : analytics.aggregate < 0 ? '#c0392b' : (analytics.aggregate > 0 ? '#27ae60' : '#555555'),
+            'aggregate' : fixed(analytics.aggregate, 3),
+            'entityScore' : fixed(analytics.entitySentiment && analytics.entitySentiment.score, 2),
+            'documentScore' : fixed(analytics.documentSentiment && analytics.documentSentiment.score, 2),
+            'hasPrice' : hasPrice,
+            'price' : fixed(data.current_price, 2),
+            'close' : fixed(data.close, 2),
+            'change' : hasPrice ? percent(change) : 'n/a',
+            'changeColor' : change < 0 ? '#c0392b' : (change > 0 ? '#27ae60' : '#555555'),
+            'hasSession' : typeof data.todayOpen === 'number',
+            'todayOpen' : fixed(data.todayOpen, 2),
+            'hasVolume' : typeof data.volume === 'number',
+            'volume' : compact(data.volume),
+            'avgVolume' : compact(data.avgVolume),
+            'relativeVolume' : fixed(data.relativeVolume, 1),
+            'hasExtended' : hasExtended,
+            'extendedPrice' : fixed(data.extendedPrice, 2),
+            'extendedChange' : hasExtended ? percent(data.extendedChangePercent * 100) : 'n/a',
+            'hasRange' : typeof data.week52High === 'number' && typeof data.week52Low === 'number',
+            'week52Low' : fixed(data.week52Low, 2),
+            'week52High' : fixed(data.week52High, 2),
+            'marketCap' : compact(data.marketCap),
+            'marketStatus' : data.marketOpen === undefined ? 'n/a' : (data.marketOpen ? 'open' : 'closed'),
+            'ambiguous' : analytics.ambiguous,
+            'candidates' : (analytics.candidates || []).slice(1).map(candidate => candidate.symbol)
+        };
+    });
+    const author = first.author || {};
+    return {
+        'subject' : message.subject,
+        'tweet' : first.tweet,
+        'author' : author.username ? `@${author.username}${author.name ? ` (${author.name})` : ''}` : author.id,
+        'createdAt' : first.createdAt,
+        'cashtags' : (first.cashtags || []).map(cashtag => `$${cashtag}`).join(' '),
+        'url' : first.url,
+        'rules' : (first.rules || []).join(', '),
+        'outOfHours' : first.outOfHours === true,
+        'nextOpen' : first.nextOpen,
+        'companies' : companies
+    };
+}
+
+module.exports = {
+    DIGEST_FILES,
+    escapeHtml,
+    fixed,
+    label,
+    load,
+    percent,
+    render,
+    renderAlert
+};
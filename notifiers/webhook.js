@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Generic HTTP webhook notification channel.  The default payload is Slack-compatible
+ * incoming webhook JSON carrying the rendered text alert; the json format posts the raw subject and
+ * alerts instead.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fetch = require('node-fetch');
+const logger = require('../logger');
+
+/**
+ * Function that posts an alert to an HTTP webhook
+ * @param {string} url - webhook url
+ * @param {object} headers - additional HTTP headers, e.g. Authorization
+ * @param {string} format - payload format: slack or json
+ * @param {object} message - alert message with subject and alerts
+ * @return {promise} none
+ * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+ */
+async function post(url, headers, format, message) {
+    logger.debug(`post() format:${format}`);
+
+    const body = format === 'json' ? {'subject' : message.subject, 'alerts' : message.alerts} : {'text' : message.text};
+    try {
+        const response = await fetch(url, {
+            method : 'POST',
+            body : JSON.stringify(body),
+            headers: Object.assign({'Content-Type' : 'application/json'}, headers)
+        });
+
+        if (response.ok) {
+            logger.info(`Webhook posted, subject: ${message.subject}`);
+            return;
+        }
+        else {
+            throw new Error(`response status: ${response.status}`);
+        }
+    }
+    catch (err) {
+        logger.error(`post() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that creates a webhook channel.  Recipients are not used; the url determines the destination.
+ * @param {object} options - url (required), headers (optional), format (slack or json, defaults to slack)
+ * @return {object} channel with a send(message, recipients) function
+ * @throws {Error} missing url
+ */
+function create(options) {
+    if (!options.url) {
+        throw new Error('webhook channel requires a url');
+    }
+    const format = options.format || 'slack';
+
+    return {
+        'send' : message => post(options.url, options.headers || {}, format, message)
+    };
+}
+
+module.exports = {
+    create
+};
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tweet text preprocessing ahead of sentiment analysis.  Mentions, hashtags, cashtags and
+ * URLs are extracted as structured features, then the text is rewritten for analysis: known company
+ * handles are expanded to the company name, other mentions and all URLs are dropped, hashtags keep their
+ * word, and cashtags are left intact for symbol resolution.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Handle file format (handle without the @, case-insensitive, to company name):
+ * {
+ *   "Boeing": "Boeing",
+ *   "GM": "General Motors",
+ *   "Harley": "Harley-Davidson"
+ * }
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('./logger');
+
+const URL_REGEX = /\bhttps?:\/\/\S+/gi;
+const MENTION_REGEX = /(^|[^\w@])@(\w{1,15})\b/g;  //not email addresses
+const HASHTAG_REGEX = /(^|[^\w&#])#(\w*[A-Za-z_]\w*)/g;  //not #1 or &#39;
+const CASHTAG_REGEX = /(^|[^\w$])\$([A-Za-z]{1,5}(?:\.[A-Za-z])?)\b/g;  //not $100
+const ENTITIES = {'&amp;' : '&', '&lt;' : '<', '&gt;' : '>', '&quot;' : '"', '&#39;' : '\''};  //escaped in tweet text
+
+//company accounts, lowercase handle to company name, used in addition to the handle file
+const DEFAULT_HANDLES = {
+    'amazon' : 'Amazon',
+    'apple' : 'Apple',
+    'boeing' : 'Boeing',
+    'delta' : 'Delta Air Lines',
+    'exxonmobil' : 'Exxon Mobil',
+    'ford' : 'Ford',
+    'generalmotors' : 'General Motors',
+    'gm' : 'General Motors',
+    'google' : 'Google',
+    'harleydavidson' : 'Harley-Davidson',
+    'lockheedmartin' : 'Lockheed Martin',
+    'macys' : 'Macy\'s',
+    'merck' : 'Merck',
+    'microsoft' : 'Microsoft',
+    'nike' : 'Nike',
+    'nytimes' : 'New York Times',
+    'pfizer' : 'Pfizer',
+    'tesla' : 'Tesla',
+    'walmart' : 'Walmart'
+};
+
+/**
+ * Function that extracts the mentions, hashtags, cashtags and URLs of a tweet
+ * @param {string} text - raw tweet text
+ * @return {object} features: mentions (handles without the @), hashtags (without the #), cashtags
+ * (upper case, without the $) and urls, each in order of first appearance without repeats
+ */
+function extract(text) {
+    const unique = (regex, group, transform = value => value) => {
+        const found = new Set();
+        let match;
+        regex.lastIndex = 0;
+        while ((match = regex.exec(text)) !== null) {
+            found.add(transform(match[group]));
+        }
+        return Array.from(found);
+    };
+    return {
+        'mentions' : unique(MENTION_REGEX, 2),
+        'hashtags' : unique(HASHTAG_REGEX, 2),
+        'cashtags' : unique(CASHTAG_REGEX, 2, tag => tag.toUpperCase()),
+        'urls' : unique(URL_REGEX, 0)
+    };
+}
+
+/**
+ * Function that loads the company handle file and merges it over the built-in handles
+ * @param {string} file - optional path to the handle file
+ * @return {promise} object mapping lowercase handles to company names
+ * @throws {Error} file system and JSON parse errors
+ */
+async function load(file) {
+    logger.debug(`load() file:${file}`);
+
+    const handles = Object.assign({}, DEFAULT_HANDLES);
+    if (!file) {
+        return handles;
+    }
+    try {
+        const json = JSON.parse(await fsp.readFile(file, 'utf8'));
+        for (const [handle, name] of Object.entries(json)) {
+            handles[handle.replace(/^@/, '').toLowerCase()] = name;
+        }
+        return handles;
+    }
+    catch (err) {
+        logger.error(`load() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that prepares tweet text for sentiment analysis
+ * @param {string} text - raw tweet text
+ * @param {object} handles - lowercase handle to company name, from load(); defaults to the built-in handles
+ * @return {object} text (to analyze) and features (from extract(), plus companies: the names that known
+ * handles were expanded to)
+ */
+function prepare(text, handles = DEFAULT_HANDLES) {
+    const decoded = text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+    const features = extract(decoded);
+    const companies = new Set();
+
+    const analyzed = decoded.replace(URL_REGEX, ' ')
+        .replace(MENTION_REGEX, (match, before, handle) => {
+            const name = handles[handle.toLowerCase()];
+            if (name) {
+                companies.add(name);
+            }
+            return `${before}${name || ''}`;
+        })
+        .replace(HASHTAG_REGEX, '$1$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    features.companies = Array.from(companies);
+    return {'text' : analyzed, 'features' : features};
+}
+
+module.exports = {
+    DEFAULT_HANDLES,
+    extract,
+    load,
+    prepare
+};
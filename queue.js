@@ -0,0 +1,206 @@
+/**
+ * @fileoverview In-process work queue.  Jobs run with bounded concurrency, and jobs that share a key (e.g.
+ * the tweet's author) run one at a time in arrival order.  A queue holds a bounded number of waiting jobs;
+ * when it is full either the oldest waiting job or the new one is dropped.  A queue without a size limit
+ * doubles as a concurrency limiter for calls to an external service, and retry() re-runs calls that failed
+ * transiently (429s, 5xx responses, network errors) with exponential backoff.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('./logger');
+
+const OVERFLOW = ['drop-oldest', 'drop-newest'];  //what a full queue drops to make room, or refuses
+const DEFAULT_RETRY = {'attempts' : 3, 'delay' : 1, 'factor' : 2};  //delay in seconds
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];  //network errors
+
+/**
+ * Function that creates a work queue
+ * @param {object} options - name (for the log), concurrency (jobs run at once, default 1), maxSize (waiting
+ * jobs, default unbounded), overflow (drop-oldest or drop-newest when full, default drop-oldest)
+ * @return {object} queue with close(), drain(), push() and stats() functions
+ * @throws {Error} unknown overflow policy
+ */
+function create(options = {}) {
+    const name = options.name || 'queue';
+    const concurrency = options.concurrency || 1;
+    const maxSize = options.maxSize || Infinity;
+    const overflow = options.overflow || 'drop-oldest';
+    if (!OVERFLOW.includes(overflow)) {
+        throw new Error(`unknown overflow policy ${overflow}, expected one of ${OVERFLOW}`);
+    }
+
+    const waiting = [];  //{key, job, resolve, reject} in arrival order
+    const busy = new Set();  //keys with a job running
+    const counts = {'completed' : 0, 'failed' : 0, 'dropped' : 0};
+    let running = 0;
+    let closed = false;
+    let idle = [];  //drain() callers waiting for the queue to empty
+
+    const dropped = reason => Object.assign(new Error(`${name} ${reason}`), {'dropped' : true});
+
+    /**
+     * Function that starts waiting jobs while there are free slots.  A job whose key is busy is passed over,
+     * so jobs of other keys aren't held up and jobs of the same key keep their order.
+     */
+    const next = () => {
+        while (running < concurrency) {
+            const i = waiting.findIndex(entry => entry.key === null || !busy.has(entry.key));
+            if (i < 0) {
+                break;
+            }
+            const [entry] = waiting.splice(i, 1);
+            running++;
+            if (entry.key !== null) {
+                busy.add(entry.key);
+            }
+            Promise.resolve()
+            .then(entry.job)
+            .then(result => {
+                counts.completed++;
+                entry.resolve(result);
+            }, err => {
+                counts.failed++;
+                entry.reject(err);
+            })
+            .then(() => {
+                running--;
+                busy.delete(entry.key);
+                next();
+            });
+        }
+        if (running === 0 && waiting.length === 0) {
+            idle.forEach(resolve => resolve(true));
+            idle = [];
+        }
+    };
+
+    const queue = {'name' : name};
+
+    /**
+     * Function that stops the queue taking new jobs.  Jobs already queued still run.
+     * @return none
+     */
+    queue.close = () => {
+        closed = true;
+    };
+
+    /**
+     * Function that waits for every queued and running job to finish
+     * @param {number} timeout - optional milliseconds to wait at most
+     * @return {promise} true once the queue is empty and idle, false if the timeout passed first
+     */
+    queue.drain = timeout => {
+        if (running === 0 && waiting.length === 0) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            idle.push(resolve);
+            if (timeout) {
+                setTimeout(() => resolve(false), timeout).unref();
+            }
+        });
+    };
+
+    /**
+     * Function that queues a job
+     * @param {string} key - jobs with the same key run one at a time in order; null for no ordering
+     * @param {function} job - function returning the job's result or a promise of it
+     * @return {promise} result of the job
+     * @throws {Error} the job's error, or an error with dropped set if the queue is closed or full
+     */
+    queue.push = (key, job) => new Promise((resolve, reject) => {
+        if (closed) {
+            counts.dropped++;
+            reject(dropped('closed'));
+            return;
+        }
+        if (waiting.length >= maxSize) {
+            counts.dropped++;
+            if (overflow === 'drop-newest') {
+                logger.warn(`queue push() - ${name} full, dropped the new job`);
+                reject(dropped('full'));
+                return;
+            }
+            logger.warn(`queue push() - ${name} full, dropped the oldest waiting job`);
+            waiting.shift().reject(dropped('full'));
+        }
+        waiting.push({'key' : key === undefined ? null : key, 'job' : job, 'resolve' : resolve, 'reject' : reject});
+        next();
+    });
+
+    /**
+     * Function that reports the queue's state
+     * @return {object} waiting and running jobs, and completed, failed and dropped counts
+     */
+    queue.stats = () => Object.assign({'waiting' : waiting.length, 'running' : running}, counts);
+
+    return queue;
+}
+
+/**
+ * Function that wraps functions of an API client so that calls go through a concurrency limiter and are
+ * retried on transient failures.  This is the only retry layer for those calls; each attempt takes its own
+ * turn on the limiter, so a call waiting to retry doesn't hold a slot other calls could use.
+ * @param {object} target - client or provider object
+ * @param {Array} names - names of the functions to wrap
+ * @param {object} limiter - queue from create() that the calls share
+ * @param {object} retryOptions - attempts, delay (seconds) and factor, see retry()
+ * @return {object} copy of target with the named functions wrapped
+ */
+function guard(target, names, limiter, retryOptions) {
+    const guarded = Object.assign({}, target);
+    for (const fn of names) {
+        guarded[fn] = (...args) => retry(() => limiter.push(null, () => target[fn](...args)), retryOptions);
+    }
+    return guarded;
+}
+
+/**
+ * Function that calls a function, retrying with exponential backoff while it fails transiently.  An error
+ * with retryAfter set (the server's Retry-After, in seconds) waits that long instead.
+ * @param {function} fn - async function to call
+ * @param {object} options - attempts (including the first, default 3), delay (seconds before the first
+ * retry, default 1) and factor (delay multiplier, default 2)
+ * @return {promise} result of fn
+ * @throws {Error} fn's error once it isn't transient or the attempts are used up
+ */
+async function retry(fn, options) {
+    const settings = Object.assign({}, DEFAULT_RETRY, options);
+    let delay = settings.delay;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        }
+        catch (err) {
+            if (attempt >= settings.attempts || !transient(err)) {
+                throw err;
+            }
+            const wait = typeof err.retryAfter === 'number' ? err.retryAfter : delay;
+            logger.warn(`retry() - attempt ${attempt} failed, retrying in ${wait}s: ${err}`);
+            await new Promise(resolve => setTimeout(resolve, wait * 1000));
+            delay *= settings.factor;
+        }
+    }
+}
+
+/**
+ * Function that decides whether a failed call is worth retrying
+ * @param {Error} err - error from an HTTP client, with status set for HTTP status errors
+ * @return {boolean} true for 429 and 5xx responses, node-fetch system errors and network errors
+ */
+function transient(err) {
+    if (typeof err.status === 'number') {
+        return err.status === 429 || err.status >= 500;
+    }
+    return err.type === 'system' || err.type === 'request-timeout' || TRANSIENT_CODES.includes(err.code);
+}
+
+module.exports = {
+    OVERFLOW,
+    create,
+    guard,
+    retry,
+    transient
+};
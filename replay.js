@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Offline replay of recorded tweets through the trade alert pipeline.  Each alert is scored
+ * against stored daily price bars so sentiment thresholds can be tuned before trusting live alerts.
+ * Usage: node replay.js <tweets.jsonl> <prices.json> [threshold]
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('./logger');
+const resolver = require('./resolver');
+const market = require('./market');
+const config = require('./config');
+const { analyzeTweet } = require('./twitterTrade');
+const iex = require('./iex');
+const preprocess = require('./preprocess');
+
+/**
+ * Function that computes the average of an array of numbers
+ * @param {Array} arr - array of numbers
+ * @return {number} average, or null for an empty array
+ */
+function average(arr) {
+    if (arr.length === 0) {
+        return null;
+    }
+    return arr.reduce((sum, val) => sum + val, 0) / arr.length;
+}
+
+/**
+ * Function that finds the price bars bracketing a tweet: the bar of the last close at or before the
+ * tweet (the baseline) and the bar of the first close after it (the exit).  Comparing closes around the
+ * tweet time, rather than calendar days, keeps a move that happened before an after-hours tweet out of
+ * its return.
+ * @param {Array} bars - array of getPrevious-shaped price bars, sorted by date
+ * @param {Date} time - time the tweet was posted
+ * @return {object} previous and next bars; either may be undefined if missing from the price file
+ */
+function bracket(bars, time) {
+    let previous, next;
+    for (const bar of bars) {
+        if (market.marketTime(bar.date, market.MARKET_CLOSE) <= time) {
+            previous = bar;
+        }
+        else if (!next) {
+            next = bar;
+        }
+    }
+    return {'previous' : previous, 'next' : next};
+}
+
+/**
+ * Function that reads a JSONL file of recorded tweets.  Each line is an object with timestamp and text fields.
+ * @param {string} file - path to the tweet file
+ * @return {promise} array of tweet objects sorted by timestamp
+ * @throws {Error} propagates file system and JSON parse errors
+ */
+async function loadTweets(file) {
+    logger.debug(`loadTweets() file:${file}`);
+
+    const contents = await fsp.readFile(file, 'utf8');
+    const tweets = contents.split(/\r?\n/)
+        .filter(line => line.trim().length > 0)
+        .map((line, index) => {
+            const tweet = JSON.parse(line);
+            if (!tweet.timestamp || !tweet.text) {
+                throw new Error(`line ${index + 1}: timestamp and text are required`);
+            }
+            return tweet;
+        });
+    return tweets.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Function that reads stored price bars.  The file is a JSON object keyed by stock symbol, each value an
+ * array of getPrevious-shaped bars ({date, open, close, high, low}).
+ * @param {string} file - path to the price file
+ * @return {promise} object of symbol to date-sorted bar arrays
+ * @throws {Error} propagates file system and JSON parse errors
+ */
+async function loadPrices(file) {
+    logger.debug(`loadPrices() file:${file}`);
+
+    const prices = JSON.parse(await fsp.readFile(file, 'utf8'));
+    for (const symbol of Object.keys(prices)) {
+        prices[symbol].sort((a, b) => a.date.localeCompare(b.date));
+    }
+    return prices;
+}
+
+/**
+ * Function that runs recorded tweets through the analysis pipeline and scores each alert against
+ * stored prices.  Each company in a tweet is scored separately.  An alert is a hit when the sign of the
+ * return from the last close before the tweet to the first close after it matches the sign of the
+ * aggregate.
+ * @param {Array} tweets - array of recorded tweet objects
+ * @param {object} prices - symbol to price bar arrays
+ * @param {object} index - symbol index from resolver.buildIndex()
+ * @param {number} threshold - minimum absolute aggregate for an alert to be scored
+ * @param {object} handles - company handles from preprocess.load()
+ * @return {promise} report object with summary statistics and per-alert detail
+ */
+async function replay(tweets, prices, index, threshold, handles) {
+    logger.debug(`replay() tweets:${tweets.length} threshold:${threshold}`);
+
+    const alerts = [];
+    let errors = 0;
+    for (const tweet of tweets) {
+        let records;
+        try {
+            records = await analyzeTweet(tweet.text, index, undefined, undefined, handles);
+        }
+        catch (err) {
+            logger.error(`replay() - ${err}`);
+            errors++;
+            continue;
+        }
+
+        const postedAt = new Date(tweet.timestamp);
+        for (const analytics of records) {
+            const bars = bracket(prices[analytics.symbol] || [], postedAt);
+            const detail = {
+                'timestamp' : tweet.timestamp,
+                'tweet' : tweet.text,
+                'name' : analytics.name,
+                'symbol' : analytics.symbol,
+                'confidence' : analytics.confidence,
+                'salience' : analytics.salience,
+                'aggregate' : analytics.aggregate,
+                'previous' : bars.previous,
+                'next' : bars.next,
+                'return' : null,
+                'hit' : null,
+                'scored' : false
+            };
+            if (bars.previous && bars.next) {
+                detail.return = (bars.next.close - bars.previous.close) / bars.previous.close;
+                if (Math.abs(analytics.aggregate) >= threshold && analytics.aggregate !== 0) {
+                    detail.scored = true;
+                    detail.hit = Math.sign(detail.return) === Math.sign(analytics.aggregate);
+                }
+            }
+            alerts.push(detail);
+        }
+    }
+
+    const scored = alerts.filter(alert => alert.scored);
+    const hits = scored.filter(alert => alert.hit);
+    const returns = sign => alerts.filter(alert => alert.return !== null && Math.sign(alert.aggregate) === sign)
+        .map(alert => alert.return);
+
+    return {
+        'tweets' : tweets.length,
+        'errors' : errors,
+        'alerts' : alerts.length,
+        'threshold' : threshold,
+        'scored' : scored.length,
+        'hits' : hits.length,
+        'hitRate' : scored.length > 0 ? hits.length / scored.length : null,
+        'averageReturn' : {
+            'positive' : average(returns(1)),
+            'negative' : average(returns(-1)),
+            'neutral' : average(returns(0))
+        },
+        'detail' : alerts
+    };
+}
+
+/**
+ * Main function.  Loads the tweet, price and symbol data, runs the replay and writes the report to stdout.
+ */
+async function main() {
+    logger.consoleToStderr();  //stdout is the report
+    const [tweetFile, priceFile, threshold] = process.argv.slice(2);
+    if (!tweetFile || !priceFile) {
+        console.error('usage: node replay.js <tweets.jsonl> <prices.json> [threshold]');
+        process.exit(1);
+    }
+
+    try {
+        const tweets = await loadTweets(tweetFile);
+        const prices = await loadPrices(priceFile);
+        const settings = config.get();
+        let symbols;
+        if (settings.symbolFile) {  //optional local copy of the IEX ref-data symbols
+            symbols = JSON.parse(await fsp.readFile(settings.symbolFile, 'utf8'));
+        }
+        else {
+            symbols = await iex.fromConfig(settings).symbols();
+        }
+        const index = resolver.buildIndex(symbols, await resolver.loadAliases(settings.aliasFile));
+        const handles = await preprocess.load(settings.handleFile);
+        const report = await replay(tweets, prices, index, parseFloat(threshold) || 0, handles);
+        console.log(JSON.stringify(report, null, 4));
+    }
+    catch (err) {
+        logger.error(`main() - ${err}`);
+        process.exit(-1);
+    }
+}
+
+module.exports = {
+    bracket,
+    loadPrices,
+    loadTweets,
+    replay
+};
+
+if (require.main === module) {
+    main();
+}
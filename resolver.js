@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Company name to stock ticker resolution.  Builds a normalized index over the IEX ref-data
+ * symbols plus a user-maintained alias file, and ranks candidate symbols for an entity name or cashtag
+ * with a confidence score.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('./logger');
+
+const MIN_CONFIDENCE = 0.3;  //candidates below this confidence are discarded
+const AMBIGUITY_MARGIN = 0.1;  //top candidates closer than this are reported as ambiguous
+const MAX_CANDIDATES = 5;  //number of ranked candidates returned with a resolution
+
+//corporate suffixes and share class designations stripped from company names before matching
+const SUFFIXES = new Set(['inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'cos', 'companies',
+    'ltd', 'limited', 'plc', 'llc', 'lp', 'sa', 'nv', 'ag', 'se', 'holdings', 'holding', 'group', 'the',
+    'class', 'a', 'b', 'c', 'shares', 'common', 'stock', 'ordinary', 'adr', 'ads']);
+
+const CASHTAG_REGEX = /\$([A-Za-z]{1,5}(?:\.[A-Za-z])?)\b/g;
+
+/**
+ * Function that builds a lookup index from IEX ref-data symbols and user aliases
+ * @param {Array} symbols - array of IEX stock symbol objects ({symbol, name, type, isEnabled})
+ * @param {object} aliases - optional object mapping alternate company names to ticker symbols
+ * @return {object} index with entries (normalized symbol objects), bySymbol and byAlias maps
+ */
+function buildIndex(symbols, aliases) {
+    logger.debug(`buildIndex() symbols:${symbols.length}`);
+
+    const entries = [];
+    const bySymbol = new Map();
+    for (const obj of symbols) {
+        if (!obj.symbol || !obj.name || obj.isEnabled === false) {
+            continue;
+        }
+        const normalized = normalize(obj.name);
+        const entry = {
+            'symbol' : obj.symbol.toUpperCase(),
+            'name' : obj.name,
+            'type' : obj.type,
+            'normalized' : normalized,
+            'tokens' : normalized.split(' ').length
+        };
+        entries.push(entry);
+        bySymbol.set(entry.symbol, entry);
+    }
+
+    const byAlias = new Map();
+    for (const [alias, symbol] of Object.entries(aliases || {})) {
+        const entry = bySymbol.get(symbol.toUpperCase());
+        if (entry) {
+            byAlias.set(normalize(alias), entry);
+        }
+        else {
+            logger.warn(`buildIndex() - alias ${alias} refers to unknown symbol ${symbol}`);
+        }
+    }
+
+    return {'entries' : entries, 'bySymbol' : bySymbol, 'byAlias' : byAlias};
+}
+
+/**
+ * Function that extracts cashtags ($AAPL) from text that correspond to known symbols
+ * @param {object} index - index from buildIndex()
+ * @param {string} text - text of a tweet
+ * @return {Array} array of unique upper-case ticker symbols
+ */
+function cashtags(index, text) {
+    const found = new Set();
+    let match;
+
+    CASHTAG_REGEX.lastIndex = 0;
+    while ((match = CASHTAG_REGEX.exec(text)) !== null) {
+        const symbol = match[1].toUpperCase();
+        if (index.bySymbol.has(symbol)) {
+            found.add(symbol);
+        }
+    }
+    return Array.from(found);
+}
+
+/**
+ * Function that escapes regular expression metacharacters so arbitrary text can be matched literally
+ * @param {string} str - string to escape
+ * @return {string} escaped string
+ */
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Function that reads the alias file.  The file is a JSON object mapping alternate company names to
+ * ticker symbols, e.g. {"Harley": "HOG", "Amazon": "AMZN"}.
+ * @param {string} file - path to the alias file
+ * @return {promise} alias object, empty if no file is configured
+ * @throws {Error} propagates file system and JSON parse errors
+ */
+async function loadAliases(file) {
+    logger.debug(`loadAliases() file:${file}`);
+
+    if (!file) {
+        return {};
+    }
+    try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+    }
+    catch (err) {
+        logger.error(`loadAliases() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that normalizes a company name for matching: lower case, punctuation removed and
+ * corporate suffixes stripped.  'Amazon.com Inc.' becomes 'amazon com'.
+ * @param {string} name - company name
+ * @return {string} normalized name
+ */
+function normalize(name) {
+    const tokens = name.toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ');
+    while (tokens.length > 1 && SUFFIXES.has(tokens[tokens.length - 1])) {
+        tokens.pop();
+    }
+    while (tokens.length > 1 && tokens[0] === 'the') {
+        tokens.shift();
+    }
+    return tokens.join(' ');
+}
+
+/**
+ * Function that resolves an entity name to a stock symbol.  Candidates are ranked by confidence:
+ * aliases, exact normalized names, ticker-like names and finally whole-word matches within a listed
+ * company name, weighted by how much of that name the entity covers.  A cashtag in the tweet text only
+ * confirms a candidate the name already matched; it never resolves a name to some other company the
+ * tweet mentions.  Without a name, the cashtags in the text are resolved on their own.
+ * @param {object} index - index from buildIndex()
+ * @param {string} name - entity name, e.g. from entitySentiment(); null to resolve cashtags alone
+ * @param {string} text - optional text of the tweet, searched for cashtags
+ * @return {object} resolution with symbol, name, confidence, ambiguous flag and ranked candidates,
+ * or null if nothing matched with sufficient confidence
+ */
+function resolve(index, name, text) {
+    logger.debug(`resolve() name:${name}`);
+
+    const candidates = new Map();
+    const add = (entry, confidence, reason) => {
+        const existing = candidates.get(entry.symbol);
+        if (!existing || existing.confidence < confidence) {
+            candidates.set(entry.symbol, {
+                'symbol' : entry.symbol,
+                'name' : entry.name,
+                'type' : entry.type,
+                'confidence' : Math.round(confidence * 1000) / 1000,
+                'reason' : reason
+            });
+        }
+    };
+
+    const tags = text ? cashtags(index, text) : [];
+    const normalized = name ? normalize(name) : '';
+
+    if (normalized.length > 0) {
+        const alias = index.byAlias.get(normalized);
+        if (alias) {
+            add(alias, 0.95, 'alias');
+        }
+
+        const ticker = index.bySymbol.get(name.trim().toUpperCase());
+        if (ticker && /^[A-Z.]{1,6}$/.test(name.trim())) {
+            add(ticker, 0.85, 'ticker');
+        }
+
+        const tokens = normalized.split(' ').length;
+        const wholeWord = new RegExp(`(^| )${escapeRegExp(normalized)}( |$)`);
+        for (const entry of index.entries) {
+            if (entry.normalized === normalized) {
+                add(entry, 0.9, 'name');
+            }
+            else if (wholeWord.test(entry.normalized)) {
+                const coverage = tokens / entry.tokens;
+                const weight = entry.normalized.startsWith(normalized + ' ') ? 0.8 : 0.5;
+                add(entry, weight * coverage, 'partial');
+            }
+        }
+    }
+
+    for (const symbol of tags) {  //a cashtag confirms a name match, or stands alone when there is no name
+        const existing = candidates.get(symbol);
+        if (existing) {
+            add(index.bySymbol.get(symbol), 1, existing.reason + '+cashtag');
+        }
+        else if (normalized.length === 0) {
+            add(index.bySymbol.get(symbol), 0.9, 'cashtag');
+        }
+    }
+
+    const ranked = Array.from(candidates.values())
+        .filter(candidate => candidate.confidence >= MIN_CONFIDENCE)
+        .sort((a, b) => {
+            if (b.confidence !== a.confidence) {
+                return b.confidence - a.confidence;
+            }
+            return (b.type === 'cs') - (a.type === 'cs');  //common stock ahead of ETFs, warrants, etc.
+        })
+        .slice(0, MAX_CANDIDATES);
+
+    if (ranked.length === 0) {
+        return null;
+    }
+    const top = ranked[0];
+    return {
+        'symbol' : top.symbol,
+        'name' : top.name,
+        'confidence' : top.confidence,
+        'ambiguous' : ranked.length > 1 && top.confidence - ranked[1].confidence < AMBIGUITY_MARGIN,
+        'candidates' : ranked
+    };
+}
+
+module.exports = {
+    buildIndex,
+    cashtags,
+    escapeRegExp,
+    loadAliases,
+    normalize,
+    resolve
+};
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Signal scoring models.  A model turns the entity and document sentiment of one company in
+ * a tweet into a signed raw score (kept as analytics.aggregate, the value thresholds and alert rules test),
+ * a normalized signal strength in [0, 1], a direction (1, -1 or 0) and a confidence.  Every signal
+ * records the model and version that produced it, so stored analyses can be rescored with other models
+ * and compared against the tracked price moves.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Models:
+ *   classic - average magnitude times average score of the entity and document sentiment
+ *   salience - entity and document sentiment blended by the entity's salience
+ *   entity - entity sentiment only (document sentiment for a cashtag-only match)
+ *   document - document sentiment only
+ *   expression - arithmetic over the fields in FIELDS, e.g. "entity.score * entity.magnitude * salience"
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('./logger');
+
+const DISAGREEMENT_PENALTY = 0.5;  //confidence factor when entity and document sentiment point opposite ways
+const FIELDS = ['entity.score', 'entity.magnitude', 'document.score', 'document.magnitude', 'salience',
+    'confidence'];  //inputs available to an expression
+const FUNCTIONS = {'abs' : Math.abs, 'min' : Math.min, 'max' : Math.max, 'sqrt' : Math.sqrt, 'sign' : Math.sign,
+    'tanh' : Math.tanh};
+
+const TOKEN_REGEX = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([-+*/(),])|([A-Za-z_][\w.]*))/y;
+
+//built-in formulas over the inputs from inputs(); bump a version whenever its formula changes
+const FORMULAS = {
+    'classic' : {
+        'version' : 1,
+        'raw' : input => ((input.entity.magnitude + input.document.magnitude) / 2) *
+            ((input.entity.score + input.document.score) / 2)
+    },
+    'salience' : {
+        'version' : 1,
+        'raw' : input => {
+            const weight = Math.min(Math.max(input.salience, 0), 1);
+            return (weight * input.entity.magnitude + (1 - weight) * input.document.magnitude) *
+                (weight * input.entity.score + (1 - weight) * input.document.score);
+        }
+    },
+    'entity' : {
+        'version' : 1,
+        'raw' : input => input.entity.magnitude * input.entity.score
+    },
+    'document' : {
+        'version' : 1,
+        'raw' : input => input.document.magnitude * input.document.score
+    }
+};
+const EXPRESSION_VERSION = 1;  //version of the expression language
+
+/**
+ * Function that compiles a scoring expression.  Grammar:
+ *   sum := product (('+' | '-') product)*;  product := unary (('*' | '/') unary)*;  unary := '-' unary | value
+ *   value := number | field | function '(' sum (',' sum)* ')' | '(' sum ')'
+ * Fields are those in FIELDS; functions are abs, min, max, sqrt, sign and tanh.
+ * @param {string} expression - scoring expression
+ * @return {function} function taking inputs from inputs() and returning the raw score
+ * @throws {Error} syntax errors, unknown fields and unknown functions
+ */
+function compile(expression) {
+    const tokens = [];
+    TOKEN_REGEX.lastIndex = 0;
+    while (!/^\s*$/.test(expression.slice(TOKEN_REGEX.lastIndex))) {
+        const position = TOKEN_REGEX.lastIndex;
+        const match = TOKEN_REGEX.exec(expression);
+        if (!match) {
+            throw new Error(`unexpected character at ${position} in expression: ${expression}`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({'type' : 'number', 'value' : parseFloat(match[1])});
+        }
+        else if (match[2] !== undefined) {
+            tokens.push({'type' : 'operator', 'value' : match[2]});
+        }
+        else {
+            tokens.push({'type' : 'name', 'value' : match[3]});
+        }
+    }
+    let pos = 0;
+
+    const isOperator = value => tokens[pos] && tokens[pos].type === 'operator' && tokens[pos].value === value;
+    const expect = value => {
+        if (!isOperator(value)) {
+            throw new Error(`expected '${value}' in expression: ${expression}`);
+        }
+        pos++;
+    };
+
+    const parseValue = () => {
+        const token = tokens[pos];
+        if (!token) {
+            throw new Error(`unexpected end of expression: ${expression}`);
+        }
+        pos++;
+        if (token.type === 'number') {
+            return () => token.value;
+        }
+        if (token.type === 'operator' && token.value === '(') {
+            const inner = parseSum();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name' && isOperator('(')) {
+            const fn = FUNCTIONS[token.value.toLowerCase()];
+            if (!fn) {
+                throw new Error(`unknown function ${token.value} in expression: ${expression}`);
+            }
+            pos++;
+            const args = [parseSum()];
+            while (isOperator(',')) {
+                pos++;
+                args.push(parseSum());
+            }
+            expect(')');
+            return input => fn(...args.map(arg => arg(input)));
+        }
+        if (token.type === 'name') {
+            if (!FIELDS.includes(token.value)) {
+                throw new Error(`unknown field ${token.value} in expression: ${expression}, expected one of ${FIELDS}`);
+            }
+            const path = token.value.split('.');
+            return input => path.reduce((obj, key) => obj[key], input);
+        }
+        throw new Error(`unexpected '${token.value}' in expression: ${expression}`);
+    };
+
+    const parseUnary = () => {
+        if (isOperator('-')) {
+            pos++;
+            const operand = parseUnary();
+            return input => -operand(input);
+        }
+        return parseValue();
+    };
+
+    const parseProduct = () => {
+        let left = parseUnary();
+        while (isOperator('*') || isOperator('/')) {
+            const operator = tokens[pos++].value;
+            const a = left, b = parseUnary();
+            left = operator === '*' ? input => a(input) * b(input) : input => a(input) / b(input);
+        }
+        return left;
+    };
+
+    const parseSum = () => {
+        let left = parseProduct();
+        while (isOperator('+') || isOperator('-')) {
+            const operator = tokens[pos++].value;
+            const a = left, b = parseProduct();
+            left = operator === '+' ? input => a(input) + b(input) : input => a(input) - b(input);
+        }
+        return left;
+    };
+
+    const formula = parseSum();
+    if (pos < tokens.length) {
+        throw new Error(`unexpected '${tokens[pos].value}' in expression: ${expression}`);
+    }
+    return formula;
+}
+
+/**
+ * Function that rescores the stored analyses that have tracked price moves with several models, so the
+ * models can be compared on the same tweets.  A prediction is correct when the price moved in the
+ * signal's direction.
+ * @param {object} db - better-sqlite3 database
+ * @param {Array} models - models from create()
+ * @return {Array} {model, horizon, samples, correct, accuracy, averageMove, averageStrength} rows, where
+ * averageMove is the move in the signal's direction
+ */
+function compare(db, models) {
+    logger.debug(`compare() models:${models.map(model => model.id)}`);
+
+    const samples = db.prepare(`SELECT s.horizon, s.move, a.salience, a.confidence, a.entity_score,
+        a.entity_magnitude, a.document_score, a.document_magnitude
+        FROM price_samples s JOIN analyses a ON s.analysis = a.id WHERE s.move IS NOT NULL`).all();
+    const rows = [];
+    for (const model of models) {
+        const groups = new Map();  //horizon to totals
+        for (const sample of samples) {
+            const signal = score(model, {
+                'salience' : sample.salience,
+                'confidence' : sample.confidence,
+                'entitySentiment' : {'score' : sample.entity_score, 'magnitude' : sample.entity_magnitude},
+                'documentSentiment' : {'score' : sample.document_score, 'magnitude' : sample.document_magnitude}
+            });
+            if (!groups.has(sample.horizon)) {
+                groups.set(sample.horizon, {'samples' : 0, 'scored' : 0, 'correct' : 0, 'totalMove' : 0,
+                    'totalStrength' : 0});
+            }
+            const group = groups.get(sample.horizon);
+            group.samples++;
+            group.totalMove += sample.move * signal.direction;
+            group.totalStrength += signal.strength;
+            if (signal.direction !== 0) {
+                group.scored++;
+                if (Math.sign(sample.move) === signal.direction) {
+                    group.correct++;
+                }
+            }
+        }
+        for (const [horizon, group] of groups) {
+            rows.push({
+                'model' : model.id,
+                'horizon' : horizon,
+                'samples' : group.samples,
+                'correct' : group.correct,
+                'accuracy' : group.scored > 0 ? group.correct / group.scored : null,
+                'averageMove' : group.totalMove / group.samples,
+                'averageStrength' : group.totalStrength / group.samples
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Function that creates a scoring model
+ * @param {string} name - classic, salience, entity, document or expression
+ * @param {string} expression - formula for the expression model
+ * @return {object} model with name, version, id (name@version, plus the formula for an expression) and
+ * raw (function taking inputs from inputs())
+ * @throws {Error} unknown model name, missing expression or expression syntax errors
+ */
+function create(name, expression) {
+    logger.debug(`create() model:${name}`);
+
+    if (name === 'expression') {
+        if (!expression) {
+            throw new Error('the expression scoring model requires an expression');
+        }
+        return {'name' : name, 'version' : EXPRESSION_VERSION, 'id' : `${name}@${EXPRESSION_VERSION}:${expression}`,
+            'raw' : compile(expression)};
+    }
+    const formula = FORMULAS[name];
+    if (!formula) {
+        throw new Error(`unknown scoring model ${name}, expected one of ${Object.keys(FORMULAS)}, expression`);
+    }
+    return {'name' : name, 'version' : formula.version, 'id' : `${name}@${formula.version}`, 'raw' : formula.raw};
+}
+
+/**
+ * Function that builds a model's inputs from an analytics object.  Missing sentiment counts as neutral.
+ * @param {object} analytics - analytics with entitySentiment, documentSentiment, salience and confidence
+ * @return {object} entity {score, magnitude}, document {score, magnitude}, salience and confidence
+ */
+function inputs(analytics) {
+    const sentiment = snt => ({'score' : (snt && snt.score) || 0, 'magnitude' : (snt && snt.magnitude) || 0});
+    return {
+        'entity' : sentiment(analytics.entitySentiment),
+        'document' : sentiment(analytics.documentSentiment),
+        'salience' : analytics.salience || 0,
+        'confidence' : analytics.confidence !== undefined && analytics.confidence !== null ? analytics.confidence : 1
+    };
+}
+
+/**
+ * Function that scores one company in a tweet.  Strength is tanh of the absolute raw score.  Confidence is
+ * the symbol resolution confidence, reduced when the entity and document sentiment disagree in sign.
+ * @param {object} model - model from create()
+ * @param {object} analytics - analytics with entitySentiment, documentSentiment, salience and confidence
+ * @return {object} signal with model (id), raw, strength, direction and confidence
+ */
+function score(model, analytics) {
+    const input = inputs(analytics);
+    let raw = model.raw(input);
+    if (!isFinite(raw)) {  //e.g. a division by zero in an expression
+        raw = 0;
+    }
+    const disagree = input.entity.score * input.document.score < 0;
+    return {
+        'model' : model.id,
+        'raw' : raw,
+        'strength' : Math.tanh(Math.abs(raw)),
+        'direction' : Math.sign(raw) || 0,
+        'confidence' : input.confidence * (disagree ? DISAGREEMENT_PENALTY : 1)
+    };
+}
+
+module.exports = {
+    FIELDS,
+    compare,
+    compile,
+    create,
+    inputs,
+    score
+};
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Google Natural Language sentiment provider
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fetch = require('node-fetch');
+const logger = require('../logger');
+
+const GOOGLE_URL = 'https://language.googleapis.com/';
+//Google NL Entity/Sentiment REST end point
+const ENTITY_SENTIMENT_URL = GOOGLE_URL + 'v1beta2/documents:analyzeEntitySentiment?key=';
+//Google NL Sentiment REST end point
+const SENTIMENT_URL = GOOGLE_URL + 'v1beta2/documents:analyzeSentiment?key=';
+
+/**
+ * Function that calls Google Natural Language entitySentiment REST end point to derive sentiment
+ * on each entity within a tweet
+ * @param {string} key - Google API key
+ * @param {string} url - Goggle NL Rest endpoint for entitySentiment
+ * @param {string} tweet - text of a tweet
+ * @return {promise} array of entity-sentiment analysis objects, in descending salience order
+ * @throws {Error} propagates HTTP status errors or node fetch exceptions
+ */
+async function entitySentiment(key, url, tweet) {
+    logger.debug(`entitySentiment()`);
+
+    const document = {
+        'type': 'PLAIN_TEXT',
+        'language': 'en',
+        'content': tweet
+    };
+
+    const body = {
+        'document' : document,
+        'encodingType' : 'UTF8'
+    };	
+
+    try {
+        const response = await fetch(url + key, {
+            method : 'POST',
+            body : JSON.stringify(body),
+            headers: {'Content-Type' : 'application/json; charset=utf-8'},
+        });
+
+        if (response.ok) {
+            const json = await response.json();
+            const results = (json.entities || []).map(entity => {
+                return {
+                    'name' : entity.name,
+                    'type' : entity.type,
+                    'salience' : entity.salience,
+                    'entitySentiment' : entity.sentiment
+                };
+            });
+            return results;
+        }
+        else {
+            let msg = (`response status: ${response.status}`);
+            throw Object.assign(new Error(msg), {'status' : response.status});
+        }
+    }
+    catch (err) {
+        let msg = (`entitySentiment() - ${err}`);
+        logger.error(msg);
+        throw err;
+    }
+}
+
+/**
+ * Function that calls Google Natural Language sentiment REST end point of the entire tweet
+ * @param {string} key - Google API key
+ * @param {string} url - Google NL Rest endpoint
+ * @param {string} tweet - text of a tweet
+ * @return {promise} JSON object containing sentiment analysis
+ * @throws {Error} propagates HTTP status errors or node fetch exceptions
+ */
+async function sentiment(key, url, tweet) {
+    logger.debug(`sentiment()`);
+
+    const document = {
+        'type': 'PLAIN_TEXT',
+        'language': 'en',
+        'content': tweet
+    };
+
+    const body = {
+        'document' : document,
+        'encodingType' : 'UTF8'
+    };	
+
+    try {
+        const response = await fetch(url + key, {
+            method : 'POST',
+            body : JSON.stringify(body),
+            headers: {'Content-Type' : 'application/json; charset=utf-8'},
+        });
+
+        if (response.ok) {
+            const json = await response.json();
+            return json.documentSentiment;
+        }
+        else {
+            let msg = (`response status: ${response.status}`);
+            throw Object.assign(new Error(msg), {'status' : response.status});
+        }
+    }
+    catch (err) {
+        let msg = (`sentiment() - ${err}`);
+        logger.error(msg)
+        throw err;
+    }
+}
+
+/**
+ * Function that creates a Google NL sentiment provider
+ * @param {object} options - key (Google API key), entitySentimentUrl and sentimentUrl (optional endpoint overrides),
+ * baseUrl (optional replacement for https://language.googleapis.com/ in both, e.g. a local stand-in server)
+ * @return {object} provider with entitySentiment(tweet) and sentiment(tweet) functions
+ */
+function create(options) {
+    const key = options.key;
+    const rebase = url => (options.baseUrl ? url.replace(GOOGLE_URL, options.baseUrl) : url);
+    const entitySentimentUrl = options.entitySentimentUrl || rebase(ENTITY_SENTIMENT_URL);
+    const sentimentUrl = options.sentimentUrl || rebase(SENTIMENT_URL);
+
+    return {
+        'name' : 'google',
+        'entitySentiment' : tweet => entitySentiment(key, entitySentimentUrl, tweet),
+        'sentiment' : tweet => sentiment(key, sentimentUrl, tweet)
+    };
+}
+
+module.exports = {
+    create,
+    entitySentiment,
+    sentiment
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Sentiment provider registry.  A provider is an object with a name plus
+ * entitySentiment(tweet) and sentiment(tweet) functions returning Google NL-shaped results: an array of
+ * entities in descending salience order and a single document sentiment respectively.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('../logger');
+
+const PROVIDERS = {
+    'google' : require('./google'),
+    'lexicon' : require('./lexicon')
+};
+
+/**
+ * Function that runs a tweet through several providers so their scores can be compared side by side
+ * @param {Array} providers - array of provider objects
+ * @param {string} tweet - text of a tweet
+ * @return {promise} object keyed by provider name with entitySentiment and documentSentiment results,
+ * or an error message for a provider that failed
+ */
+async function compare(providers, tweet) {
+    logger.debug(`compare()`);
+
+    const results = {};
+    for (const provider of providers) {
+        try {
+            results[provider.name] = {
+                'entitySentiment' : await provider.entitySentiment(tweet),
+                'documentSentiment' : await provider.sentiment(tweet)
+            };
+        }
+        catch (err) {
+            results[provider.name] = {'error' : `${err}`};
+        }
+    }
+    return results;
+}
+
+/**
+ * Function that creates a sentiment provider by name
+ * @param {string} name - provider name: google or lexicon
+ * @param {object} options - provider-specific options
+ * @return {object} provider
+ * @throws {Error} unknown provider name
+ */
+function create(name, options) {
+    logger.debug(`create() provider:${name}`);
+
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`unknown sentiment provider: ${name}`);
+    }
+    return provider.create(options || {});
+}
+
+/**
+ * Function that lists the registered provider names
+ * @return {Array} provider names
+ */
+function names() {
+    return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+    compare,
+    create,
+    names
+};
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Offline lexicon/rule-based sentiment provider.  Entities are capitalized phrases in the
+ * tweet; sentiment is the normalized sum of word valences with negation and intensifier handling.
+ * Results are shaped like the Google NL provider's so the two are interchangeable.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('../logger');
+
+const NORMALIZE_ALPHA = 15;  //smoothing constant for mapping raw valence sums into [-1, 1]
+const MAX_VALENCE = 4;  //largest absolute word valence in the lexicon; one such word adds 1.0 magnitude
+const NEGATION_WINDOW = 3;  //number of words following a negator whose valence is flipped
+
+//word valences, -4 (most negative) to 4 (most positive)
+const LEXICON = {
+    'amazing': 4, 'awesome': 4, 'beautiful': 3, 'best': 3, 'better': 2, 'big': 1, 'boom': 2, 'booming': 3,
+    'brilliant': 4, 'congratulations': 3, 'deal': 1, 'excellent': 4, 'fantastic': 4, 'good': 2, 'great': 3,
+    'growth': 2, 'happy': 3, 'honor': 2, 'incredible': 4, 'love': 3, 'nice': 2, 'perfect': 3, 'proud': 2,
+    'record': 2, 'strong': 2, 'success': 3, 'successful': 3, 'thank': 2, 'thanks': 2, 'tremendous': 4,
+    'win': 3, 'winning': 3, 'wonderful': 4, 'wow': 2,
+    'angry': -3, 'attack': -2, 'bad': -3, 'boycott': -3, 'broken': -2, 'concern': -1, 'corrupt': -4,
+    'crash': -3, 'crooked': -4, 'decline': -2, 'disaster': -4, 'disgrace': -4, 'disgraceful': -4,
+    'dishonest': -3, 'down': -1, 'excuse': -1, 'fail': -3, 'failed': -3, 'failing': -3, 'fake': -3,
+    'fraud': -4, 'hurt': -2, 'lose': -2, 'loser': -3, 'losing': -2, 'loss': -2, 'lost': -2, 'overrated': -2,
+    'pathetic': -4, 'poor': -2, 'problem': -2, 'sad': -2, 'scam': -4, 'shame': -3, 'stupid': -3,
+    'terrible': -4, 'tariff': -1, 'tariffs': -1, 'threat': -2, 'unfair': -3, 'weak': -2, 'worse': -3,
+    'worst': -4, 'wrong': -2
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'cannot',
+    "don't", "doesn't", "didn't", "won't", "wouldn't", "isn't", "aren't", "wasn't", "weren't", "can't",
+    "couldn't", "shouldn't"]);
+
+const INTENSIFIERS = {
+    'very': 1.5, 'so': 1.3, 'really': 1.5, 'totally': 1.5, 'extremely': 1.8, 'incredibly': 1.8, 'most': 1.3,
+    'slightly': 0.5, 'somewhat': 0.7
+};
+
+//capitalized words that start sentences or phrases but are not entities on their own
+const STOPWORDS = new Set(['A', 'An', 'And', 'As', 'At', 'But', 'By', 'For', 'He', 'Her', 'His', 'How', 'I',
+    'If', 'In', 'It', 'Its', 'My', 'No', 'Not', 'Of', 'On', 'Or', 'Our', 'She', 'So', 'That', 'The', 'Their',
+    'They', 'This', 'To', 'We', 'What', 'When', 'Which', 'Who', 'Why', 'With', 'You', 'Your', 'Million',
+    'Billion', 'Trillion']);
+
+const ORGANIZATION_SUFFIXES = new Set(['Inc', 'Corp', 'Corporation', 'Co', 'Company', 'Companies', 'LLC',
+    'Ltd', 'Plc', 'Group', 'Holdings', 'Motors', 'Airlines', 'Bank', 'Technologies', 'Industries']);
+
+const PERSON_TITLES = new Set(['Mr', 'Mrs', 'Ms', 'Dr', 'President', 'Senator', 'Governor', 'Rep',
+    'Congressman', 'Congresswoman', 'Secretary', 'Speaker', 'CEO']);
+
+//widely known company short names, extended through the organizations option
+const ORGANIZATIONS = ['Amazon', 'Apple', 'AT&T', 'Boeing', 'Caterpillar', 'Comcast', 'Exxon', 'Facebook',
+    'Ford', 'General Electric', 'General Motors', 'Google', 'Harley-Davidson', 'Harley', 'IBM', 'Intel',
+    'Macy\'s', 'Mattel', 'Merck', 'Microsoft', 'Netflix', 'Nike', 'Nordstrom', 'Twitter', 'Walmart', 'Tesla'];
+
+const ENTITY_REGEX = /[A-Z][\w&'.-]*[\w&](?:\s+[A-Z][\w&'.-]*[\w&])*|[A-Z]/g;
+
+/**
+ * Function that maps a raw valence sum into the [-1, 1] range used by Google NL scores
+ * @param {number} sum - raw valence sum
+ * @return {number} normalized score
+ */
+function normalize(sum) {
+    if (sum === 0) {
+        return 0;
+    }
+    return sum / Math.sqrt(sum * sum + NORMALIZE_ALPHA);
+}
+
+/**
+ * Function that scores a span of text against the lexicon
+ * @param {string} text - text to score
+ * @return {object} Google NL-shaped sentiment object with score and magnitude
+ */
+function score(text) {
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    let sum = 0;
+    let magnitude = 0;
+    let negate = 0;
+    let boost = 1;
+
+    for (const word of words) {
+        if (NEGATORS.has(word)) {
+            negate = NEGATION_WINDOW;
+            continue;
+        }
+        if (INTENSIFIERS[word]) {
+            boost *= INTENSIFIERS[word];
+            continue;
+        }
+        if (LEXICON[word]) {
+            let valence = LEXICON[word] * boost;
+            if (negate > 0) {
+                valence = -valence;
+            }
+            sum += valence;
+            magnitude += Math.abs(valence) / MAX_VALENCE;
+        }
+        boost = 1;
+        if (negate > 0) {
+            negate--;
+        }
+    }
+    return {
+        'magnitude' : Math.round(magnitude * 1000) / 1000,
+        'score' : Math.round(normalize(sum) * 1000) / 1000
+    };
+}
+
+/**
+ * Function that splits text into sentences
+ * @param {string} text - text to split
+ * @return {Array} array of sentence strings
+ */
+function sentences(text) {
+    return text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim().length > 0);
+}
+
+/**
+ * Function that classifies a capitalized phrase
+ * @param {string} name - entity name
+ * @param {string} previous - word preceding the entity, if any
+ * @param {Set} organizations - known organization names
+ * @return {string} Google NL entity type: ORGANIZATION, PERSON or OTHER
+ */
+function classify(name, previous, organizations) {
+    const words = name.split(/\s+/);
+    const last = words[words.length - 1].replace(/\.$/, '');
+    if (organizations.has(name) || ORGANIZATION_SUFFIXES.has(last)) {
+        return 'ORGANIZATION';
+    }
+    if (previous && PERSON_TITLES.has(previous.replace(/\.$/, ''))) {
+        return 'PERSON';
+    }
+    return 'OTHER';
+}
+
+/**
+ * Function that extracts capitalized-phrase entities from text, ranked by salience.  Salience favors
+ * repeated and early mentions, and sums to 1 across all entities.
+ * @param {string} text - text to analyze
+ * @param {Set} organizations - known organization names
+ * @return {Array} array of {name, type, salience, mentions} objects sorted by descending salience
+ */
+function extractEntities(text, organizations) {
+    const entities = new Map();
+    let match;
+
+    ENTITY_REGEX.lastIndex = 0;
+    while ((match = ENTITY_REGEX.exec(text)) !== null) {
+        let words = match[0].split(/\s+/);
+        while (words.length > 0 && STOPWORDS.has(words[0])) {  //drop sentence-initial function words
+            words.shift();
+        }
+        if (words.length === 0 || (words.length === 1 && words[0].length === 1)) {
+            continue;
+        }
+        const name = words.join(' ').replace(/[.']+$/, '');
+        const preceding = text.slice(0, match.index).trim().split(/\s+/).pop();
+        const sentenceStart = !preceding || /[.!?]$/.test(preceding);
+        if (sentenceStart && words.length === 1 && !organizations.has(name)) {  //capitalized only by position
+            continue;
+        }
+        const weight = 1 - (match.index / (text.length + 1)) / 2;  //mentions early in the text weigh up to 2x later ones
+
+        if (entities.has(name)) {
+            const entity = entities.get(name);
+            entity.weight += weight;
+            entity.mentions++;
+        }
+        else {
+            entities.set(name, {
+                'name' : name,
+                'type' : classify(name, preceding, organizations),
+                'weight' : weight,
+                'mentions' : 1
+            });
+        }
+    }
+
+    const total = Array.from(entities.values()).reduce((sum, entity) => sum + entity.weight, 0);
+    return Array.from(entities.values())
+        .map(entity => ({
+            'name' : entity.name,
+            'type' : entity.type,
+            'salience' : Math.round(entity.weight / total * 1000) / 1000,
+            'mentions' : entity.mentions
+        }))
+        .sort((a, b) => b.salience - a.salience);
+}
+
+/**
+ * Function that creates a lexicon sentiment provider
+ * @param {object} options - organizations (optional array of additional company names to classify as ORGANIZATION)
+ * @return {object} provider with entitySentiment(tweet) and sentiment(tweet) functions
+ */
+function create(options) {
+    const organizations = new Set(ORGANIZATIONS.concat((options && options.organizations) || []));
+
+    return {
+        'name' : 'lexicon',
+
+        /**
+         * Function that derives sentiment on each entity within a tweet, scored over the sentences that mention it
+         * @param {string} tweet - text of a tweet
+         * @return {promise} array of objects with name, type, salience and entitySentiment, in descending
+         * salience order
+         */
+        'entitySentiment' : async tweet => {
+            logger.debug(`lexicon entitySentiment()`);
+
+            const split = sentences(tweet);
+            return extractEntities(tweet, organizations).map(entity => {
+                const context = split.filter(sentence => sentence.includes(entity.name)).join(' ');
+                return {
+                    'name' : entity.name,
+                    'type' : entity.type,
+                    'salience' : entity.salience,
+                    'entitySentiment' : score(context)
+                };
+            });
+        },
+
+        /**
+         * Function that derives sentiment of an entire tweet
+         * @param {string} tweet - text of a tweet
+         * @return {promise} object with score and magnitude
+         */
+        'sentiment' : async tweet => {
+            logger.debug(`lexicon sentiment()`);
+            return score(tweet);
+        }
+    };
+}
+
+module.exports = {
+    create,
+    extractEntities,
+    score
+};
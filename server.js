@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Embedded HTTP server for status and control of the running filter process.  Routes are
+ * supplied by the caller as a map of 'METHOD /path' to handler(query, body); a handler returns an object
+ * (sent as JSON) or a string (sent as text/plain).  Control requests (any method but GET) must be sent as
+ * application/json, which a browser won't send cross-origin without a CORS preflight this server never
+ * grants, and must carry the configured token as 'Authorization: Bearer <token>' when there is one.  Bound
+ * to localhost by default.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const http = require('http');
+const logger = require('./logger');
+
+const MAX_BODY = 64 * 1024;  //bytes accepted in a request body
+const METRIC_PREFIX = 'twittertrade_';
+
+/**
+ * Function that checks that a control request may run its handler
+ * @param {object} req - http.IncomingMessage
+ * @param {string} token - token the request must carry, or none
+ * @return none
+ * @throws {Error} missing or wrong token (status 401), not sent as JSON (status 415)
+ */
+function authorize(req, token) {
+    if (req.method === 'GET') {
+        return;
+    }
+    if (token && req.headers['authorization'] !== `Bearer ${token}`) {
+        throw Object.assign(new Error('missing or invalid token'), {'status' : 401});
+    }
+    if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+        throw Object.assign(new Error('control requests require Content-Type: application/json'), {'status' : 415});
+    }
+}
+
+/**
+ * Function that creates the HTTP server
+ * @param {object} routes - map of 'METHOD /path' to async handler(query, body)
+ * @param {string} token - token control requests must carry, or none
+ * @return {object} http.Server, not yet listening
+ */
+function create(routes, token) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+        logger.debug(`server request - ${route}`);
+
+        const handler = routes[route];
+        if (!handler) {
+            const known = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+            send(res, known ? 405 : 404, {'error' : known ? 'method not allowed' : 'not found'});
+            return;
+        }
+        try {
+            authorize(req, token);
+            const body = await readBody(req);
+            const result = await handler(Object.fromEntries(url.searchParams), body);
+            send(res, 200, result);
+        }
+        catch (err) {
+            logger.error(`server ${route} - ${err}`);
+            send(res, err.status || 500, {'error' : err.message});
+        }
+    });
+}
+
+/**
+ * Function that renders metrics in the Prometheus text exposition format
+ * @param {object} metrics - map of metric name to {type, help, value}; type is counter or gauge
+ * @return {string} exposition text
+ */
+function prometheus(metrics) {
+    const lines = [];
+    for (const [name, metric] of Object.entries(metrics)) {
+        const fullName = METRIC_PREFIX + name;
+        lines.push(`# HELP ${fullName} ${metric.help}`);
+        lines.push(`# TYPE ${fullName} ${metric.type}`);
+        lines.push(`${fullName} ${Number(metric.value) || 0}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Function that reads and parses a request body.  JSON bodies are parsed; anything else is returned
+ * as text.
+ * @param {object} req - http.IncomingMessage
+ * @return {promise} parsed body, or null if there is none
+ * @throws {Error} body too large (status 413) or invalid JSON (status 400)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(Object.assign(new Error('request body too large'), {'status' : 413}));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (body.length === 0) {
+                resolve(null);
+            }
+            else if ((req.headers['content-type'] || '').startsWith('application/json')) {
+                try {
+                    resolve(JSON.parse(body));
+                }
+                catch (err) {
+                    reject(Object.assign(new Error(`invalid JSON: ${err.message}`), {'status' : 400}));
+                }
+            }
+            else {
+                resolve(body);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Function that writes a response
+ * @param {object} res - http.ServerResponse
+ * @param {number} status - HTTP status code
+ * @param {*} result - string sent as text/plain, anything else as JSON
+ * @return none
+ */
+function send(res, status, result) {
+    const text = typeof result === 'string';
+    const body = text ? result : JSON.stringify(result === undefined ? {} : result, null, 4);
+    res.writeHead(status, {
+        'Content-Type' : text ? 'text/plain; version=0.0.4; charset=utf-8' : 'application/json',
+        'Content-Length' : Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+/**
+ * Function that starts the server
+ * @param {object} routes - map of 'METHOD /path' to async handler(query, body)
+ * @param {number} port - port to listen on
+ * @param {string} host - interface to bind, defaults to localhost
+ * @param {string} token - token control requests must carry, or none
+ * @return {promise} listening http.Server
+ * @throws {Error} propagates listen errors (e.g. port in use)
+ */
+function start(routes, port, host = '127.0.0.1', token) {
+    logger.debug(`start() ${host}:${port}`);
+
+    const server = create(routes, token);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            server.unref();
+            logger.info(`start() - status server listening on ${host}:${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    create,
+    prometheus,
+    readBody,
+    send,
+    start
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Helpers shared by the source adapters: the normalized message shape and a polling loop
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('../logger');
+const tweets = require('../tweets');
+
+/**
+ * Function that builds a normalized message from an item read by a source
+ * @param {object} entry - source entry from the follow list (tag, type)
+ * @param {object} fields - id, text, and optionally author (string or object), createdAt and url
+ * @return {object} message with source, type, id, text (cleaned), rawText, rules, author, createdAt, url
+ * and cashtags, as consumed by processTweet
+ */
+function message(entry, fields) {
+    const author = typeof fields.author === 'string' ? {'name' : fields.author} : (fields.author || null);
+    const createdAt = fields.createdAt ? new Date(fields.createdAt) : null;
+    return {
+        'source' : entry.tag,
+        'type' : entry.type,
+        'id' : fields.id ? `${entry.type}:${entry.tag}:${fields.id}` : null,
+        'text' : tweets.clean(fields.text),
+        'rawText' : fields.text,
+        'rules' : [entry.tag],
+        'author' : author,
+        'createdAt' : createdAt && !isNaN(createdAt) ? createdAt.toISOString() : null,
+        'url' : fields.url || null,
+        'cashtags' : []
+    };
+}
+
+/**
+ * Function that creates a polling loop.  A poll that is still running when the next one is due is not
+ * overlapped, and a failed poll is logged and retried on the next interval.
+ * @param {string} name - name used in log messages
+ * @param {number} interval - seconds between polls
+ * @param {function} fn - function returning a promise for one poll
+ * @return {object} object with start(), stop() and status() functions
+ */
+function poller(name, interval, fn) {
+    let timer = null;
+    let running = false;
+    let lastPoll = null;
+    let lastError = null;
+
+    const run = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await fn();
+            lastError = null;
+        }
+        catch (err) {
+            lastError = err;
+            logger.error(`${name} poll - ${err}`);
+        }
+        finally {
+            lastPoll = new Date();
+            running = false;
+        }
+    };
+
+    return {
+        'start' : () => {
+            if (!timer) {
+                timer = setInterval(run, interval * 1000);
+                run();
+            }
+        },
+        'stop' : () => {
+            clearInterval(timer);
+            timer = null;
+        },
+        'status' : () => ({
+            'state' : timer ? 'polling' : 'stopped',
+            'lastPoll' : lastPoll,
+            'lastError' : lastError ? lastError.message : null
+        })
+    };
+}
+
+module.exports = {
+    message,
+    poller
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Local file source.  Either tails a JSONL/text file, emitting each appended line, or
+ * watches a directory, emitting each new or changed file.  A line or file holding a JSON object is read
+ * as {id, text, author, createdAt, url}; anything else is taken as plain text.  Lines without an id of
+ * their own are identified by file, inode and byte offset, which appending doesn't change, so the store
+ * skips lines already processed when a file grows or the process restarts.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const EventEmitter = require('events');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const logger = require('../logger');
+const common = require('./common');
+
+const DEFAULT_INTERVAL = 10;  //seconds between polls
+
+/**
+ * Function that tells whether the text after a file's last line break is a whole JSON line
+ * @param {string} text - text after the last line break
+ * @return {boolean} true if the text parses as JSON
+ */
+function complete(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    }
+    catch (err) {
+        return false;  //partly written
+    }
+}
+
+/**
+ * Function that reads the complete lines of a file between two byte offsets
+ * @param {string} file - path to the file
+ * @param {number} start - byte offset to read from
+ * @param {number} end - byte offset to read to
+ * @return {promise} object with lines (array of {offset, text}, offset being the byte offset the line
+ * starts at), end (byte offset after the last line break) and rest (text after the last line break)
+ */
+async function readLines(file, start, end) {
+    const handle = await fsp.open(file, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        const {bytesRead} = await handle.read(buffer, 0, buffer.length, start);
+        const lines = [];
+        let from = 0, newline;
+        while ((newline = buffer.indexOf(0x0a, from)) >= 0 && newline < bytesRead) {
+            lines.push({'offset' : start + from, 'text' : buffer.toString('utf8', from, newline)});
+            from = newline + 1;
+        }
+        return {'lines' : lines, 'end' : start + from, 'rest' : buffer.toString('utf8', from, bytesRead)};
+    }
+    finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Function that reads one line or file into message fields
+ * @param {string} content - line or file content
+ * @return {object} fields with text and whatever else the JSON provided; null for blank content
+ */
+function toFields(content) {
+    const text = content.trim();
+    if (text.length === 0) {
+        return null;
+    }
+    try {
+        const json = JSON.parse(text);
+        if (json && typeof json === 'object' && typeof json.text === 'string') {
+            return json;
+        }
+    }
+    catch (err) {
+        //not JSON, plain text
+    }
+    return {'text' : text};
+}
+
+/**
+ * Function that creates a file source
+ * @param {object} entry - source entry: tag, path (file or directory), interval (seconds), fromStart
+ * (tail a file from its beginning rather than its current end)
+ * @return {object} EventEmitter with start(), stop() and status() functions, emitting 'message' (message)
+ * @throws {Error} missing path
+ */
+function create(entry) {
+    if (!entry.path) {
+        throw new Error(`file source ${entry.tag} requires a path`);
+    }
+
+    const source = new EventEmitter();
+    const files = new Map();  //directory mode: file name to {mtimeMs, ino, offset} as last read
+    let offset = entry.fromStart ? 0 : null;  //file mode: bytes up to the last complete line; null until the first poll
+    let inode = null;  //file mode: inode of the file being tailed
+    let emitted = 0;
+
+    const emit = (fields, fallbackId) => {
+        if (fields) {
+            emitted++;
+            source.emit('message', common.message(entry, Object.assign({'id' : fallbackId}, fields)));
+        }
+    };
+
+    const tail = async stats => {
+        if (offset === null || stats.size < offset || (inode !== null && stats.ino !== inode)) {
+            offset = offset === null ? stats.size : 0;  //first poll, or the file was truncated or replaced
+        }
+        inode = stats.ino;
+        if (stats.size === offset) {
+            return;
+        }
+        const read = await readLines(entry.path, offset, stats.size);  //a trailing partial line is read again
+        offset = read.end;
+        const name = path.basename(entry.path);
+        read.lines.forEach(line => emit(toFields(line.text), `${name}:${stats.ino}:${line.offset}`));
+    };
+
+    const scan = async () => {
+        for (const name of (await fsp.readdir(entry.path)).sort()) {
+            const file = path.join(entry.path, name);
+            const stats = await fsp.stat(file);
+            const last = files.get(name);
+            if (!stats.isFile() || name.startsWith('.') || (last && last.mtimeMs === stats.mtimeMs)) {
+                continue;
+            }
+            if (name.endsWith('.jsonl')) {  //read on from the last complete line unless the file was replaced
+                const start = last && last.ino === stats.ino && last.offset <= stats.size ? last.offset : 0;
+                const read = await readLines(file, start, stats.size);
+                files.set(name, {'mtimeMs' : stats.mtimeMs, 'ino' : stats.ino, 'offset' : read.end});
+                if (complete(read.rest)) {  //a last line without a line break, unless it's still being written
+                    read.lines.push({'offset' : read.end, 'text' : read.rest});
+                }
+                read.lines.forEach(line => emit(toFields(line.text), `${name}:${stats.ino}:${line.offset}`));
+            }
+            else {
+                files.set(name, {'mtimeMs' : stats.mtimeMs});
+                emit(toFields(await fsp.readFile(file, 'utf8')), `${name}:${stats.mtimeMs}`);
+            }
+        }
+    };
+
+    const poll = async () => {
+        logger.debug(`file poll() ${entry.tag}`);
+        const stats = await fsp.stat(entry.path);
+        await (stats.isDirectory() ? scan() : tail(stats));
+    };
+    const poller = common.poller(`file ${entry.tag}`, entry.interval || DEFAULT_INTERVAL, poll);
+
+    source.start = () => {
+        poller.start();
+        return source;
+    };
+    source.stop = () => poller.stop();
+    source.status = () => Object.assign({'source' : entry.tag, 'type' : 'file'}, poller.status(),
+        {'emitted' : emitted});
+    return source;
+}
+
+module.exports = {
+    create
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Message source registry.  A source is an EventEmitter with start(), stop() and status()
+ * functions that emits 'message' events carrying a normalized message: source (tag), type, id, text,
+ * rawText, rules, author, createdAt, url and cashtags.  Every source feeds the same processTweet pipeline.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('../logger');
+
+const SOURCES = {
+    'twitter' : options => require('./twitter').create(options),
+    'rss' : options => require('./rss').create(options),
+    'file' : options => require('./file').create(options)
+};
+
+/**
+ * Function that creates a source by type
+ * @param {string} type - source type: twitter, rss or file
+ * @param {object} options - source entry from the follow list, or the stream options for twitter
+ * @return {object} source, not yet started
+ * @throws {Error} unknown source type or invalid options
+ */
+function create(type, options) {
+    logger.debug(`create() source:${type}`);
+
+    const factory = SOURCES[type];
+    if (!factory) {
+        throw new Error(`unknown source type: ${type}`);
+    }
+    return factory(options || {});
+}
+
+module.exports = {
+    SOURCES,
+    create
+};
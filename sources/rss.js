@@ -0,0 +1,171 @@
+/**
+ * @fileoverview RSS 2.0 and Atom feed source.  Polls a feed (with conditional GETs) and emits each item
+ * not seen before as a normalized message of its title and summary.  Items already in the feed when
+ * polling starts are skipped unless backfill is set.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+const logger = require('../logger');
+const common = require('./common');
+
+const DEFAULT_INTERVAL = 300;  //seconds between polls
+const FETCH_TIMEOUT = 30;  //seconds
+const MAX_SEEN = 5000;  //item ids remembered per feed
+const MAX_TEXT = 1000;  //characters of title + summary analyzed, one Google NL billing unit
+const MAX_CODE_POINT = 0x10FFFF;  //numeric entities beyond this are not characters
+
+const ENTITIES = {'amp' : '&', 'lt' : '<', 'gt' : '>', 'quot' : '"', 'apos' : '\'', 'nbsp' : ' '};
+
+/**
+ * Function that decodes XML/HTML character entities
+ * @param {string} str - text with entities
+ * @return {string} decoded text; numeric entities out of the Unicode range are kept as written
+ */
+function decode(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code <= MAX_CODE_POINT ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+    });
+}
+
+/**
+ * Function that extracts the text of the first matching element in an XML fragment.  CDATA is unwrapped,
+ * entities decoded and any HTML markup in the content removed.
+ * @param {string} xml - XML fragment
+ * @param {Array} names - element names to try, in order
+ * @return {string} text, or null if none of the elements is present
+ */
+function field(xml, names) {
+    for (const name of names) {
+        const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i').exec(xml);
+        if (match) {
+            let text = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+            text = decode(text);  //escaped HTML in a description decodes to markup
+            return decode(text.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Function that extracts the link of an item: an Atom alternate link or the RSS link element
+ * @param {string} xml - item XML
+ * @return {string} url, or null
+ */
+function link(xml) {
+    const links = xml.match(/<link\b[^>]*\/?>/gi) || [];
+    const atom = links.find(tag => /href=/i.test(tag) && (!/rel=/i.test(tag) || /rel=["']alternate["']/i.test(tag)));
+    if (atom) {
+        return decode(/href=["']([^"']*)["']/i.exec(atom)[1]);
+    }
+    return field(xml, ['link']);
+}
+
+/**
+ * Function that parses the items of an RSS 2.0 or Atom feed
+ * @param {string} xml - feed document
+ * @return {Array} items in feed order, each {id, title, summary, url, author, createdAt}
+ */
+function parse(xml) {
+    const blocks = xml.match(/<item\b[\s\S]*?<\/item>/gi) || xml.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+    return blocks.map(block => {
+        const authorBlock = /<author\b[^>]*>([\s\S]*?)<\/author>/i.exec(block);
+        const author = authorBlock ? (field(authorBlock[1], ['name']) || field(block, ['author'])) :
+            field(block, ['dc:creator']);
+        const item = {
+            'title' : field(block, ['title']),
+            'summary' : field(block, ['description', 'summary', 'content', 'content:encoded']),
+            'url' : link(block),
+            'author' : author,
+            'createdAt' : field(block, ['pubDate', 'published', 'updated', 'dc:date'])
+        };
+        item.id = field(block, ['guid', 'id']) || item.url || item.title;
+        return item;
+    });
+}
+
+/**
+ * Function that creates a feed source
+ * @param {object} entry - source entry: tag, url, interval (seconds), backfill
+ * @return {object} EventEmitter with start(), stop() and status() functions, emitting 'message' (message)
+ * @throws {Error} missing url
+ */
+function create(entry) {
+    if (!entry.url) {
+        throw new Error(`rss source ${entry.tag} requires a url`);
+    }
+
+    const source = new EventEmitter();
+    const seen = new Set();
+    let primed = entry.backfill === true;  //whether items present at the first poll are emitted
+    let etag = null;
+    let lastModified = null;
+    let emitted = 0;
+
+    const remember = id => {
+        seen.add(id);
+        if (seen.size > MAX_SEEN) {
+            seen.delete(seen.values().next().value);  //oldest
+        }
+    };
+
+    const poll = async () => {
+        logger.debug(`rss poll() ${entry.tag}`);
+        const headers = {};
+        if (etag) {
+            headers['If-None-Match'] = etag;
+        }
+        if (lastModified) {
+            headers['If-Modified-Since'] = lastModified;
+        }
+        const response = await fetch(entry.url, {method: 'GET', headers: headers, timeout: FETCH_TIMEOUT * 1000});
+        if (response.status === 304) {
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`response status: ${response.status} ${response.statusText}`);
+        }
+        etag = response.headers.get('etag');
+        lastModified = response.headers.get('last-modified');
+
+        const items = parse(await response.text()).reverse();  //feeds list newest first
+        for (const item of items) {
+            if (!item.id || seen.has(item.id)) {
+                continue;
+            }
+            remember(item.id);
+            if (!primed) {
+                continue;
+            }
+            const text = [item.title, item.summary].filter(part => part).join('. ').slice(0, MAX_TEXT);
+            if (text.length > 0) {
+                emitted++;
+                source.emit('message', common.message(entry, {'id' : item.id, 'text' : text, 'author' : item.author,
+                    'createdAt' : item.createdAt, 'url' : item.url}));
+            }
+        }
+        primed = true;
+    };
+    const poller = common.poller(`rss ${entry.tag}`, entry.interval || DEFAULT_INTERVAL, poll);
+
+    source.start = () => {
+        poller.start();
+        return source;
+    };
+    source.stop = () => poller.stop();
+    source.status = () => Object.assign({'source' : entry.tag, 'type' : 'rss'}, poller.status(),
+        {'seen' : seen.size, 'emitted' : emitted});
+    return source;
+}
+
+module.exports = {
+    create,
+    parse
+};
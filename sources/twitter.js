@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Twitter filter stream source.  Wraps the connection manager and stream framing and emits
+ * each tweet as a normalized message.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const EventEmitter = require('events');
+const logger = require('../logger');
+const connection = require('../connection');
+const streamParser = require('../streamParser');
+const tweets = require('../tweets');
+
+/**
+ * Function that creates a Twitter stream source
+ * @param {object} options - url, token, getToken and stallTimeout, as for connection.create()
+ * @return {object} EventEmitter with start(), stop() and status() functions, emitting 'message'
+ * (message), 'state' (state, previous) and 'fatal' (err)
+ */
+function create(options) {
+    const source = new EventEmitter();
+    const manager = connection.create(options);
+    const parser = streamParser.create();
+
+    manager.on('state', (state, previous) => source.emit('state', state, previous));
+    manager.on('connected', () => parser.reset());  //a partial message from the previous connection is lost
+    manager.on('data', chunk => parser.push(chunk));
+    manager.on('fatal', err => source.emit('fatal', err));
+
+    parser.on('tweet', json => {
+        let tweet;
+        try {
+            tweet = tweets.fromStream(json);
+        }
+        catch (err) {
+            logger.warn(`twitter source - ${err.message}: ${JSON.stringify(json).slice(0, 200)}`);
+            return;
+        }
+        tweet.source = 'twitter';
+        tweet.type = 'twitter';
+        source.emit('message', tweet);
+    });
+    parser.on('system', json => {  //Twitter reports stream errors and disconnects in-band
+        logger.warn(`twitter source - system message: ${JSON.stringify(json.errors || json.disconnect)}`);
+    });
+
+    source.start = () => {
+        manager.start();
+        return source;
+    };
+    source.stop = () => manager.stop();
+    source.status = () => Object.assign({'source' : 'twitter'}, manager.status(), {'messages' : parser.stats()});
+    return source;
+}
+
+module.exports = {
+    create
+};
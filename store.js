@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Embedded SQLite store for every processed tweet, its per-company analysis and the alert
+ * outcome, plus the post-alert price samples and the trading ledger.  The schema is versioned with
+ * SQLite's user_version pragma and migrated forward on open.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const Database = require('better-sqlite3');
+const logger = require('./logger');
+
+const DEFAULT_FILE = 'twitterTrade.db';
+
+//schema migrations, applied in order.  Never edit a released migration; append a new one.
+const MIGRATIONS = [
+    `CREATE TABLE tweets (
+        id INTEGER PRIMARY KEY,
+        tweet_id TEXT UNIQUE,
+        received_at TEXT NOT NULL,
+        text TEXT NOT NULL,
+        rules TEXT
+    );
+    CREATE TABLE analyses (
+        id INTEGER PRIMARY KEY,
+        tweet INTEGER NOT NULL REFERENCES tweets(id),
+        name TEXT,
+        symbol TEXT NOT NULL,
+        salience REAL,
+        confidence REAL,
+        ambiguous INTEGER,
+        entity_score REAL,
+        entity_magnitude REAL,
+        document_score REAL,
+        document_magnitude REAL,
+        aggregate REAL,
+        stock_data TEXT,
+        fired INTEGER NOT NULL,
+        reason TEXT,
+        alert_rule TEXT
+    );
+    CREATE INDEX analyses_symbol ON analyses(symbol);
+    CREATE TABLE alerts (
+        id INTEGER PRIMARY KEY,
+        tweet INTEGER NOT NULL REFERENCES tweets(id),
+        sent_at TEXT NOT NULL,
+        subject TEXT,
+        ok INTEGER NOT NULL,
+        deliveries TEXT
+    );`,
+    `ALTER TABLE analyses ADD COLUMN entity_type TEXT;
+    CREATE TABLE price_samples (
+        id INTEGER PRIMARY KEY,
+        analysis INTEGER NOT NULL REFERENCES analyses(id),
+        symbol TEXT NOT NULL,
+        horizon TEXT NOT NULL,
+        due_at TEXT NOT NULL,
+        alert_price REAL NOT NULL,
+        predicted INTEGER NOT NULL,
+        sampled_at TEXT,
+        price REAL,
+        move REAL,
+        error TEXT
+    );
+    CREATE INDEX price_samples_due ON price_samples(sampled_at, due_at);`,
+    `CREATE TABLE positions (
+        id INTEGER PRIMARY KEY,
+        analysis INTEGER REFERENCES analyses(id),
+        broker TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        entry_price REAL NOT NULL,
+        opened_at TEXT NOT NULL,
+        stop_price REAL,
+        target_price REAL,
+        expires_at TEXT,
+        closed_at TEXT,
+        exit_price REAL,
+        exit_reason TEXT,
+        pnl REAL
+    );
+    CREATE INDEX positions_open ON positions(closed_at);
+    CREATE TABLE fills (
+        id INTEGER PRIMARY KEY,
+        position INTEGER NOT NULL REFERENCES positions(id),
+        order_id TEXT,
+        side TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        price REAL NOT NULL,
+        commission REAL NOT NULL,
+        filled_at TEXT NOT NULL
+    );`,
+    `ALTER TABLE tweets ADD COLUMN author TEXT;
+    ALTER TABLE tweets ADD COLUMN created_at TEXT;`,
+    `ALTER TABLE analyses ADD COLUMN analyzed_text TEXT;
+    ALTER TABLE analyses ADD COLUMN features TEXT;`,
+    `ALTER TABLE analyses ADD COLUMN scoring_model TEXT;
+    ALTER TABLE analyses ADD COLUMN signal_strength REAL;
+    ALTER TABLE analyses ADD COLUMN signal_direction INTEGER;
+    ALTER TABLE analyses ADD COLUMN signal_confidence REAL;`,
+    `ALTER TABLE price_samples ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE price_samples ADD COLUMN retry_at TEXT;`
+];
+
+/**
+ * Function that brings a database schema up to the latest version
+ * @param {object} db - better-sqlite3 database
+ * @return {number} schema version after migration
+ * @throws {Error} propagates SQLite errors; a failed migration is rolled back
+ */
+function migrate(db) {
+    const version = db.pragma('user_version', {simple: true});
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        logger.info(`migrate() - applying schema migration ${i + 1}`);
+        db.transaction(() => {
+            db.exec(MIGRATIONS[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+    }
+    return MIGRATIONS.length;
+}
+
+/**
+ * Function that opens (creating if necessary) the store and migrates its schema
+ * @param {string} file - path to the SQLite database file
+ * @return {object} better-sqlite3 database
+ * @throws {Error} propagates SQLite errors
+ */
+function open(file) {
+    logger.debug(`open() file:${file}`);
+
+    try {
+        const db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+        migrate(db);
+        return db;
+    }
+    catch (err) {
+        logger.error(`open() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that lists the most recent alerts
+ * @param {object} db - better-sqlite3 database
+ * @param {number} limit - maximum number of alerts
+ * @return {Array} alerts, newest first, with the tweet text and parsed deliveries
+ */
+function recentAlerts(db, limit) {
+    return db.prepare(`SELECT a.id, a.sent_at, a.subject, a.ok, a.deliveries, t.tweet_id, t.text
+        FROM alerts a JOIN tweets t ON a.tweet = t.id ORDER BY a.id DESC LIMIT ?`).all(limit)
+        .map(row => Object.assign(row, {'ok' : row.ok === 1, 'deliveries' : JSON.parse(row.deliveries)}));
+}
+
+/**
+ * Function that lists the most recent tweets with the per-company decisions made on each
+ * @param {object} db - better-sqlite3 database
+ * @param {number} limit - maximum number of tweets
+ * @return {Array} tweets, newest first, with parsed rules and an array of {symbol, aggregate, fired, reason}
+ */
+function recentTweets(db, limit) {
+    const analyses = db.prepare('SELECT symbol, aggregate, fired, reason FROM analyses WHERE tweet = ?');
+    return db.prepare(`SELECT id, tweet_id, received_at, created_at, author, text, rules FROM tweets
+        ORDER BY id DESC LIMIT ?`)
+        .all(limit)
+        .map(row => Object.assign(row, {
+            'rules' : JSON.parse(row.rules || '[]'),
+            'analyses' : analyses.all(row.id).map(analysis => Object.assign(analysis, {'fired' : analysis.fired === 1}))
+        }));
+}
+
+/**
+ * Function that records the outcome of an alert delivery
+ * @param {object} db - better-sqlite3 database
+ * @param {number} tweet - row id of the tweet, from recordTweet()
+ * @param {string} subject - alert subject
+ * @param {Array} deliveries - array of {group, channel, ok, error} results from notifiers.notify()
+ * @return {number} row id of the alert
+ */
+function recordAlert(db, tweet, subject, deliveries) {
+    const info = db.prepare(`INSERT INTO alerts (tweet, sent_at, subject, ok, deliveries)
+        VALUES (?, ?, ?, ?, ?)`).run(tweet, new Date().toISOString(), subject,
+        deliveries.length > 0 && deliveries.every(delivery => delivery.ok) ? 1 : 0, JSON.stringify(deliveries));
+    return info.lastInsertRowid;
+}
+
+/**
+ * Function that records the analysis of one company in a tweet and the alert rule decision on it
+ * @param {object} db - better-sqlite3 database
+ * @param {number} tweet - row id of the tweet, from recordTweet()
+ * @param {object} analytics - analytics object for one company
+ * @param {object} decision - alert decision with fired, reason and rule
+ * @return {number} row id of the analysis
+ */
+function recordAnalysis(db, tweet, analytics, decision) {
+    const entity = analytics.entitySentiment || {};
+    const document = analytics.documentSentiment || {};
+    const signal = analytics.signal || {};
+    const info = db.prepare(`INSERT INTO analyses (tweet, name, entity_type, symbol, salience, confidence, ambiguous,
+        entity_score, entity_magnitude, document_score, document_magnitude, aggregate, stock_data, fired, reason,
+        alert_rule, analyzed_text, features, scoring_model, signal_strength, signal_direction, signal_confidence)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(tweet,
+        analytics.name, analytics.type, analytics.symbol, analytics.salience, analytics.confidence,
+        analytics.ambiguous ? 1 : 0, entity.score, entity.magnitude, document.score, document.magnitude,
+        analytics.aggregate, analytics.data ? JSON.stringify(analytics.data) : null, decision.fired ? 1 : 0,
+        decision.reason, decision.rule || null, analytics.text || null,
+        analytics.features ? JSON.stringify(analytics.features) : null, signal.model || null,
+        signal.strength, signal.direction, signal.confidence);
+    return info.lastInsertRowid;
+}
+
+/**
+ * Function that checks whether a tweet has already been recorded
+ * @param {object} db - better-sqlite3 database
+ * @param {string} id - tweet id; a tweet without one is never a duplicate
+ * @return {boolean} true if a tweet with the id is in the store
+ */
+function hasTweet(db, id) {
+    return Boolean(id) && db.prepare('SELECT 1 FROM tweets WHERE tweet_id = ?').get(id) !== undefined;
+}
+
+/**
+ * Function that records an incoming tweet.  A tweet id already in the store (e.g. redelivered after a
+ * stream reconnect) is not recorded again.
+ * @param {object} db - better-sqlite3 database
+ * @param {object} tweet - object with text, rules (array of matching rule tags) and optionally id,
+ * author {id, username, name} and createdAt
+ * @return {number} row id of the tweet, or null if it is a duplicate
+ */
+function recordTweet(db, tweet) {
+    const author = tweet.author ? (tweet.author.username || tweet.author.name || tweet.author.id) : null;
+    const info = db.prepare(`INSERT OR IGNORE INTO tweets (tweet_id, received_at, text, rules, author, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)`).run(tweet.id || null, new Date().toISOString(), tweet.text,
+        JSON.stringify(tweet.rules || []), author, tweet.createdAt || null);
+    return info.changes > 0 ? info.lastInsertRowid : null;
+}
+
+module.exports = {
+    DEFAULT_FILE,
+    hasTweet,
+    migrate,
+    open,
+    recentAlerts,
+    recentTweets,
+    recordAlert,
+    recordAnalysis,
+    recordTweet
+};
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Newline-delimited framing for the filter stream.  Body chunks are buffered and split on
+ * \r\n, so a message split across chunks is reassembled and several messages in one chunk are each
+ * delivered.  Blank lines are heartbeats.  Counts of each kind of message are kept for diagnostics.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Events:
+ *   'tweet' (json) - message with a data payload
+ *   'heartbeat' () - keep-alive blank line
+ *   'system' (json) - error or disconnect notice sent by Twitter in the stream
+ *   'invalid' (line, err) - line that isn't JSON, or JSON that isn't a known message
+ */
+
+'use strict';
+'use esversion 6';
+const EventEmitter = require('events');
+const {StringDecoder} = require('string_decoder');
+const logger = require('./logger');
+
+const MAX_LINE = 1024 * 1024;  //characters buffered without a line break before the partial line is dropped
+
+/**
+ * Function that creates a stream parser
+ * @return {object} EventEmitter with push(chunk), reset() and stats() functions
+ */
+function create() {
+    const parser = new EventEmitter();
+    const counts = {'messages' : 0, 'tweets' : 0, 'heartbeats' : 0, 'system' : 0, 'invalid' : 0, 'dropped' : 0};
+    let decoder = new StringDecoder('utf8');  //keeps multi-byte characters split across chunks intact
+    let buffer = '';
+
+    const dispatch = line => {
+        if (line.trim().length === 0) {
+            counts.heartbeats++;
+            parser.emit('heartbeat');
+            return;
+        }
+        counts.messages++;
+        let json;
+        try {
+            json = JSON.parse(line);
+        }
+        catch (err) {
+            counts.invalid++;
+            logger.warn(`streamParser - invalid message: ${err.message}`);
+            parser.emit('invalid', line, err);
+            return;
+        }
+        if (json && json.data) {
+            counts.tweets++;
+            parser.emit('tweet', json);
+        }
+        else if (json && (json.errors || json.disconnect)) {
+            counts.system++;
+            parser.emit('system', json);
+        }
+        else {
+            counts.invalid++;
+            logger.warn(`streamParser - unrecognized message: ${line.slice(0, 200)}`);
+            parser.emit('invalid', line, new Error('unrecognized message'));
+        }
+    };
+
+    /**
+     * Function that adds a body chunk and dispatches every complete line in the buffer
+     * @param {Buffer|string} chunk - body chunk
+     * @return none
+     */
+    parser.push = chunk => {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();  //incomplete last line, if any
+        if (buffer.length > MAX_LINE) {
+            counts.dropped++;
+            logger.warn(`streamParser - dropped ${buffer.length} characters without a line break`);
+            buffer = '';
+        }
+        lines.forEach(dispatch);
+    };
+
+    /**
+     * Function that discards any partial message, e.g. when the connection is replaced
+     * @return none
+     */
+    parser.reset = () => {
+        if (buffer.length > 0 || decoder.end().length > 0) {
+            counts.dropped++;
+            logger.warn(`streamParser - dropped partial message on reset`);
+        }
+        buffer = '';
+        decoder = new StringDecoder('utf8');
+    };
+
+    /**
+     * Function that reports the message counts
+     * @return {object} messages, tweets, heartbeats, system, invalid and dropped counts
+     */
+    parser.stats = () => Object.assign({}, counts);
+
+    return parser;
+}
+
+module.exports = {
+    create
+};
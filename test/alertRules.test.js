@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Alert rules: expression compilation, rule validation and the checks evaluate() runs,
+ * including market hours by posting time and cooldown reservations
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const alertRules = require('../alertRules');
+
+const ANALYTICS = {
+    'symbol' : 'F',
+    'aggregate' : -0.45,
+    'salience' : 0.6,
+    'type' : 'ORGANIZATION',
+    'entitySentiment' : {'score' : -0.5, 'magnitude' : 1.4},
+    'data' : {'marketCap' : 5e10}
+};
+
+const OPEN = new Date('2026-10-19T15:00:00Z');  //a Monday, 11:00 in New York
+const CLOSED = new Date('2026-10-18T15:00:00Z');  //the Sunday before
+
+describe('compile', () => {
+    it('compares fields, literals and dotted paths', () => {
+        assert.strictEqual(alertRules.compile('aggregate <= -0.3 and salience >= 0.4')(ANALYTICS), true);
+        assert.strictEqual(alertRules.compile('entitySentiment.magnitude > 1.5')(ANALYTICS), false);
+        assert.strictEqual(alertRules.compile('type == \'ORGANIZATION\'')(ANALYTICS), true);
+        assert.strictEqual(alertRules.compile('data.missing.field == 1')(ANALYTICS), false);
+    });
+
+    it('binds and tighter than or and honours parentheses and not', () => {
+        assert.strictEqual(alertRules.compile('true or false and false')({}), true);
+        assert.strictEqual(alertRules.compile('(true or false) and false')({}), false);
+        assert.strictEqual(alertRules.compile('not aggregate > 0 AND salience > 0.5')(ANALYTICS), true);
+    });
+
+    it('reports syntax errors', () => {
+        assert.throws(() => alertRules.compile('aggregate > 0.3 #'), /unexpected character at 15/);
+        assert.throws(() => alertRules.compile('(aggregate > 0.3'), /expected '\)'/);
+        assert.throws(() => alertRules.compile('aggregate >'), /unexpected end of rule/);
+        assert.throws(() => alertRules.compile('aggregate salience'), /unexpected 'salience'/);
+    });
+});
+
+describe('create', () => {
+    it('names unnamed rules by position', () => {
+        const engine = alertRules.create({'rules' : [{'name' : 'strong', 'when' : 'aggregate < -0.3'},
+            {'when' : 'aggregate > 0.3'}]});
+        assert.deepStrictEqual(engine.rules.map(rule => rule.name), ['strong', 'rule 2']);
+    });
+
+    it('requires every rule to have a when expression', () => {
+        assert.throws(() => alertRules.create({'rules' : [{'when' : 'aggregate > 0'}, {'name' : 'no condition'}]}),
+            /^Error: rule 2: "when" is required$/);
+    });
+});
+
+describe('evaluate', () => {
+    it('runs the symbol, market cap and rule checks', () => {
+        const engine = alertRules.create({'deny' : ['spy'], 'allow' : ['F', 'SPY'], 'minMarketCap' : 1e11,
+            'rules' : [{'name' : 'negative', 'when' : 'aggregate < -0.3'}]});
+        assert.strictEqual(alertRules.evaluate(engine, Object.assign({}, ANALYTICS, {'symbol' : 'SPY'}), OPEN).reason,
+            'symbol denied');
+        assert.strictEqual(alertRules.evaluate(engine, Object.assign({}, ANALYTICS, {'symbol' : 'GM'}), OPEN).reason,
+            'symbol not in allow list');
+        assert.strictEqual(alertRules.evaluate(engine, ANALYTICS, OPEN).reason, 'market cap below 100000000000');
+        engine.config.minMarketCap = 1e9;
+        assert.deepStrictEqual(alertRules.evaluate(engine, ANALYTICS, OPEN),
+            {'fired' : true, 'reason' : 'matched aggregate < -0.3', 'rule' : 'negative'});
+        assert.deepStrictEqual(alertRules.evaluate(engine, Object.assign({}, ANALYTICS, {'aggregate' : 0.1}), OPEN),
+            {'fired' : false, 'reason' : 'no rule matched'});
+    });
+
+    it('checks market hours at the time the tweet was posted', () => {
+        const engine = alertRules.create({'marketHoursOnly' : true});
+        assert.strictEqual(alertRules.evaluate(engine, ANALYTICS, OPEN, CLOSED).reason, 'outside market hours');
+        assert.strictEqual(alertRules.evaluate(engine, ANALYTICS, CLOSED, OPEN).fired, true);
+    });
+
+    it('reserves the cooldown when an alert fires and keeps it once committed', () => {
+        const engine = alertRules.create({'cooldownMinutes' : 60});
+        assert.strictEqual(alertRules.evaluate(engine, ANALYTICS, OPEN).fired, true);
+        assert.match(alertRules.evaluate(engine, ANALYTICS, OPEN).reason, /^cooldown, last alert 2026-10-19T15:00/);
+        alertRules.commit(engine, 'F');
+        alertRules.release(engine, 'F');  //nothing left to release
+        assert.strictEqual(alertRules.evaluate(engine, ANALYTICS, new Date(OPEN.getTime() + 30 * 60000)).fired, false);
+        assert.strictEqual(alertRules.evaluate(engine, ANALYTICS, new Date(OPEN.getTime() + 61 * 60000)).fired, true);
+    });
+
+    it('restores the previous cooldown when a reservation is released', () => {
+        const engine = alertRules.create({'cooldownMinutes' : 60});
+        alertRules.evaluate(engine, ANALYTICS, OPEN);
+        alertRules.release(engine, 'F');
+        assert.strictEqual(engine.cooldowns.has('F'), false);
+
+        alertRules.evaluate(engine, ANALYTICS, OPEN);
+        alertRules.commit(engine, 'F');
+        const later = new Date(OPEN.getTime() + 90 * 60000);
+        alertRules.evaluate(engine, ANALYTICS, later);
+        alertRules.release(engine, 'F');
+        assert.deepStrictEqual(engine.cooldowns.get('F'), OPEN);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Connection manager and Twitter stream source against the Twitter stand-in, whose stream
+ * connections follow a script of outcomes: 401s, 429s, 5xx responses, stalls and mid-stream disconnects.
+ * Backoff policies are shortened so the reconnects happen within the test.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {once} = require('events');
+const {afterEach, describe, it} = require('node:test');
+const helpers = require('./helpers');
+const config = require('../config');
+const connection = require('../connection');
+const twitterTrade = require('../twitterTrade');
+const twitterSource = require('../sources/twitter');
+
+const POLICIES = {  //seconds, without jitter so the delays can be checked
+    'network' : {'initial' : 0.05, 'step' : 0, 'jitter' : 0},
+    'server' : {'initial' : 0.05, 'factor' : 2, 'jitter' : 0},
+    'rateLimit' : {'initial' : 0.1, 'factor' : 2, 'jitter' : 0}
+};
+
+describe('connection manager', () => {
+    let fakes, manager;
+
+    /**
+     * Function that starts the stand-ins with a stream script and creates a manager for their stream,
+     * fetching bearer tokens through the real token request
+     * @param {Array} script - outcomes of successive stream connections
+     * @param {object} options - connection.create() options to add or override
+     * @param {boolean} source - wrap the manager in a Twitter stream source
+     * @return {promise} object with the manager (or source) and the backoff events the manager emits
+     */
+    const connect = async (script, options = {}, source = false) => {
+        fakes = await helpers.start({'twitter' : {'script' : script, 'heartbeat' : 0.1}});
+        const urls = twitterTrade.endpoints(config.init(['twitterKey', 'twitterSecret']));
+        manager = (source ? twitterSource : connection).create(Object.assign({
+            'url' : urls.stream,
+            'token' : 'initial-token',
+            'getToken' : () => twitterTrade.getTwitterToken(urls.auth),
+            'stallTimeout' : 5,
+            'policies' : POLICIES
+        }, options));
+        const backoffs = [];
+        manager.on('backoff', backoff => backoffs.push(backoff));
+        return {'manager' : manager, 'backoffs' : backoffs};
+    };
+
+    afterEach(async () => {
+        manager.stop();
+        await fakes.stop();
+    });
+
+    it('fetches a new bearer token after a 401', async () => {
+        const {backoffs} = await connect(['401']);
+        const connected = once(manager, 'connected');
+        manager.start();
+        await connected;
+        assert.deepStrictEqual(backoffs.map(backoff => backoff.errorClass), ['auth']);
+        assert.strictEqual(fakes.servers.twitter.stats().tokens, 1);
+        assert.strictEqual(manager.status().state, 'streaming');
+    });
+
+    it('gives up when the new bearer token is rejected too', async () => {
+        await connect(['401', '401']);
+        const fatal = once(manager, 'fatal');
+        manager.start();
+        const [err] = await fatal;
+        assert.match(err.message, /401/);
+        assert.strictEqual(manager.status().state, 'fatal');
+    });
+
+    it('backs off from rate limits by the rate limit policy', async () => {
+        const {backoffs} = await connect(['429', '429']);
+        const connected = once(manager, 'connected');
+        manager.start();
+        await connected;
+        assert.deepStrictEqual(backoffs.map(backoff => [backoff.errorClass, backoff.delay]),
+            [['rateLimit', 0.1], ['rateLimit', 0.2]]);
+    });
+
+    it('backs off exponentially from server errors', async () => {
+        const {backoffs} = await connect(['500', '503', '500']);
+        const connected = once(manager, 'connected');
+        manager.start();
+        await connected;
+        assert.deepStrictEqual(backoffs.map(backoff => [backoff.errorClass, backoff.delay]),
+            [['server', 0.05], ['server', 0.1], ['server', 0.2]]);
+        assert.strictEqual(manager.status().attempts, 3);
+    });
+
+    it('stops retrying once the retry budget is spent', async () => {
+        await connect(['500', '500', '500'], {'maxRetries' : 2});
+        const fatal = once(manager, 'fatal');
+        manager.start();
+        const [err] = await fatal;
+        assert.match(err.message, /retry budget of 2 attempts exhausted/);
+        assert.strictEqual(fakes.servers.twitter.stats().connects, 3);
+    });
+
+    it('aborts a stalled stream and reconnects at once', async () => {
+        const {backoffs} = await connect(['stall'], {'stallTimeout' : 0.3});
+        manager.start();
+        await once(manager, 'connected');  //the connection that stalls
+        await once(manager, 'connected');
+        assert.deepStrictEqual(backoffs.map(backoff => [backoff.errorClass, backoff.delay]), [['stall', 0]]);
+        assert.strictEqual(fakes.servers.twitter.stats().connects, 2);
+    });
+
+    it('reconnects after a mid-stream disconnect and delivers later tweets whole', async () => {
+        await connect(['disconnect'], {}, true);
+        const messages = [];
+        const states = [];
+        manager.on('message', message => messages.push(message));
+        manager.on('state', state => states.push(state));
+        manager.start();
+        while (states.filter(state => state === 'streaming').length < 2) {
+            await once(manager, 'state');
+        }
+        assert.deepStrictEqual(states, ['connecting', 'streaming', 'backingOff', 'connecting', 'streaming']);
+        assert.strictEqual(messages.length, 0);  //the partial message sent before the disconnect is dropped
+
+        const received = once(manager, 'message');
+        fakes.servers.twitter.tweet({'id' : '42', 'text' : 'Ford is a great company $F', 'username' : 'someone'});
+        const [message] = await received;
+        assert.strictEqual(message.id, '42');
+        assert.strictEqual(message.text, 'Ford is a great company $F');
+        assert.deepStrictEqual(message.cashtags, ['F']);
+        assert.strictEqual(message.author.username, 'someone');
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Digests: the periods scheduled digests cover, their run times, and the alerts a report
+ * lists
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const digest = require('../digest');
+const store = require('../store');
+
+/**
+ * Function that returns the ISO times a digest period runs between
+ * @param {string} schedule - daily or weekly
+ * @param {string} now - ISO end of the period
+ * @return {Array} ISO from and to times
+ */
+const span = (schedule, now) => {
+    const {from, to} = digest.period(schedule, '16:30', new Date(now));
+    return [from.toISOString(), to.toISOString()];
+};
+
+describe('period', () => {
+    it('covers the day since the previous daily digest', () => {
+        assert.deepStrictEqual(span('daily', '2026-10-20T20:30:00.000Z'),
+            ['2026-10-19T20:30:00.000Z', '2026-10-20T20:30:00.000Z']);
+    });
+
+    it('covers the weekend in the Monday daily digest', () => {
+        assert.deepStrictEqual(span('daily', '2026-10-19T20:30:00.000Z'),
+            ['2026-10-16T20:30:00.000Z', '2026-10-19T20:30:00.000Z']);
+    });
+
+    it('starts an on-demand digest at the last scheduled one', () => {
+        assert.deepStrictEqual(span('daily', '2026-10-17T15:00:00.000Z'),
+            ['2026-10-16T20:30:00.000Z', '2026-10-17T15:00:00.000Z']);
+        assert.deepStrictEqual(span('daily', '2026-10-20T20:00:00.000Z'),
+            ['2026-10-19T20:30:00.000Z', '2026-10-20T20:00:00.000Z']);
+    });
+
+    it('covers the week since the previous Friday in the weekly digest', () => {
+        assert.deepStrictEqual(span('weekly', '2026-10-23T20:30:00.000Z'),
+            ['2026-10-16T20:30:00.000Z', '2026-10-23T20:30:00.000Z']);
+    });
+
+    it('follows the market time zone across the end of daylight saving time', () => {
+        assert.deepStrictEqual(span('daily', '2026-11-02T21:30:00.000Z'),
+            ['2026-10-30T20:30:00.000Z', '2026-11-02T21:30:00.000Z']);
+    });
+
+    it('rejects an unknown schedule or a malformed time', () => {
+        assert.throws(() => digest.period('monthly', '16:30'), /unknown digest schedule monthly/);
+        assert.throws(() => digest.period('daily', '4:30pm'), /digest time 4:30pm is not HH:MM/);
+    });
+});
+
+describe('nextRun', () => {
+    it('skips the weekend for daily digests and waits for Friday for weekly ones', () => {
+        assert.strictEqual(digest.nextRun('daily', '16:30', new Date('2026-10-16T21:00:00Z')).toISOString(),
+            '2026-10-19T20:30:00.000Z');
+        assert.strictEqual(digest.nextRun('daily', '16:30', new Date('2026-10-19T20:00:00Z')).toISOString(),
+            '2026-10-19T20:30:00.000Z');
+        assert.strictEqual(digest.nextRun('weekly', '16:30', new Date('2026-10-19T12:00:00Z')).toISOString(),
+            '2026-10-23T20:30:00.000Z');
+    });
+
+    it('moves on from a run that is due now', () => {
+        assert.strictEqual(digest.nextRun('daily', '16:30', new Date('2026-10-19T20:30:00Z')).toISOString(),
+            '2026-10-20T20:30:00.000Z');
+    });
+});
+
+describe('build', () => {
+    const ANALYTICS = {'name' : 'Ford', 'type' : 'ORGANIZATION', 'symbol' : 'F', 'salience' : 0.8, 'confidence' : 1,
+        'entitySentiment' : {'score' : -0.6, 'magnitude' : 1.2}, 'documentSentiment' : {'score' : -0.4, 'magnitude' : 1},
+        'aggregate' : -0.55, 'data' : {'current_price' : 10}};
+
+    it('lists the alerts that went to the notifier, and not fired analyses that never did', () => {
+        const db = store.open(':memory:');
+        const sent = store.recordTweet(db, {'id' : '1', 'text' : 'Ford is a terrible company', 'rules' : ['ford']});
+        store.recordAnalysis(db, sent, ANALYTICS, {'fired' : true, 'reason' : 'no rules configured'});
+        store.recordAlert(db, sent, 'Negative Tweet: Ford', [{'channel' : 'email', 'ok' : true}]);
+        const failed = store.recordTweet(db, {'id' : '2', 'text' : 'Ford is awful', 'rules' : ['ford']});
+        store.recordAnalysis(db, failed, ANALYTICS, {'fired' : true, 'reason' : 'no rules configured'});
+        store.recordAlert(db, failed, 'Negative Tweet: Ford', [{'channel' : 'email', 'ok' : false, 'error' : 'down'}]);
+        const dry = store.recordTweet(db, {'text' : 'Ford is a disaster', 'rules' : []});  //an old dry run
+        store.recordAnalysis(db, dry, ANALYTICS, {'fired' : true, 'reason' : 'no rules configured'});
+        const held = store.recordTweet(db, {'id' : '3', 'text' : 'Ford is bad', 'rules' : ['ford']});
+        store.recordAnalysis(db, held, ANALYTICS, {'fired' : false, 'reason' : 'cooldown'});
+
+        const report = digest.build(db, new Date(Date.now() - 60000), new Date(Date.now() + 60000));
+        db.close();
+        assert.strictEqual(report.tweets, 4);
+        assert.deepStrictEqual(report.rules, [{'rule' : 'ford', 'count' : 3}]);
+        assert.deepStrictEqual(report.alerts.map(alert => [alert.tweet, alert.delivered]),
+            [['Ford is a terrible company', true], ['Ford is awful', false]]);
+        assert.deepStrictEqual(report.companies.map(company => [company.symbol, company.mentions, company.fired]),
+            [['F', 4, 2]]);
+        assert.deepStrictEqual(report.suppressed, [{'reason' : 'cooldown', 'count' : 1}]);
+        assert.deepStrictEqual(report.errors.map(error => [error.source, error.detail]),
+            [['delivery', 'Negative Tweet: Ford: email down']]);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Shared test setup.  Each test file runs in its own process from a scratch working
+ * directory, so the log file, symbol cache and store it writes stay out of the checkout, with the logger
+ * silenced.  start() brings up the local stand-in servers (see fakeServers.js) and points the
+ * configuration at them.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twitterTrade-test-'));
+process.chdir(dir);
+process.on('exit', () => fs.rmSync(dir, {'recursive' : true, 'force' : true}));
+
+const logger = require('../logger');
+logger.transports.forEach(transport => {
+    transport.silent = true;
+});
+const fakeServers = require('../fakeServers');
+
+const RECIPIENTS = [{'email' : 'trader@example.com', 'name' : 'Trader'}];
+
+/**
+ * Function that writes a JSON file to the scratch directory
+ * @param {string} name - file name
+ * @param {object} json - file content
+ * @return {string} path to the file
+ */
+function writeJson(name, json) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(json));
+    return file;
+}
+
+/**
+ * Function that starts the stand-in servers on free ports and sets the environment that points the
+ * configuration at them, with a scratch store and the test recipients
+ * @param {object} options - twitter, google, iex and sendgrid options, see fakeServers.start()
+ * @return {promise} stand-ins from fakeServers.start()
+ */
+async function start(options = {}) {
+    const fakes = await fakeServers.start(Object.assign({}, options, {'port' : 0}));
+    Object.assign(process.env, fakes.env, {
+        'IEX_SYMBOL_CACHE' : path.join(dir, 'iex-symbols.json'),
+        'STORE_FILE' : path.join(dir, 'twitterTrade.db'),
+        'RECIPIENT_FILE' : writeJson('recipients.json', RECIPIENTS),
+        'LOG_LEVEL' : 'error'
+    });
+    return fakes;
+}
+
+module.exports = {
+    RECIPIENTS,
+    dir,
+    start,
+    writeJson
+};
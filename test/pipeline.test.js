@@ -0,0 +1,96 @@
+/**
+ * @fileoverview processTweet end to end against the stand-in Google NL, IEX and SendGrid servers: failed
+ * analyses, alert delivery, duplicate tweets, cooldowns and dry runs
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+const helpers = require('./helpers');
+const config = require('../config');
+const twitterTrade = require('../twitterTrade');
+
+describe('processTweet', () => {
+    let fakes;
+
+    before(async () => {
+        fakes = await helpers.start({'google' : {'failures' : 1}, 'sendgrid' : {'failures' : 2}});
+        process.env.RETRY_ATTEMPTS = '1';  //so the Google failure fails the analysis
+        process.env.ALERT_RULES_FILE = helpers.writeJson('rules.json', {'cooldownMinutes' : 60});
+        process.env.NOTIFY_FILE = helpers.writeJson('notify.json', {
+            'channels' : {'email' : {'type' : 'sendgrid', 'retry' : {'attempts' : 1}}},
+            'groups' : {'traders' : {'channels' : ['email'], 'recipientFile' : process.env.RECIPIENT_FILE}}
+        });
+        await twitterTrade.setup(config.init(true), true);
+    });
+
+    after(() => fakes.stop());
+
+    const mail = () => fakes.servers.sendgrid.messages();
+
+    it('processes a redelivered tweet whose analysis failed', async () => {
+        assert.strictEqual(await twitterTrade.processTweet({'id' : '0', 'text' : 'General Motors is a great company',
+            'rules' : []}), null);
+        const decisions = await twitterTrade.processTweet({'id' : '0', 'text' : 'General Motors is a great company',
+            'rules' : []});
+        assert.deepStrictEqual(decisions.map(decision => [decision.symbol, decision.fired]), [['GM', true]]);
+        assert.strictEqual(mail().length, 0);  //the first of the SendGrid failures
+    });
+
+    it('does not start the cooldown when the alert could not be delivered', async () => {
+        const failed = await twitterTrade.processTweet({'id' : '1', 'text' : 'Boeing is a terrible company', 'rules' : []});
+        assert.deepStrictEqual(failed.map(decision => [decision.symbol, decision.fired]), [['BA', true]]);
+        assert.strictEqual(mail().length, 0);
+
+        const retried = await twitterTrade.processTweet({'id' : '2', 'text' : 'Boeing is a terrible company', 'rules' : []});
+        assert.deepStrictEqual(retried.map(decision => [decision.symbol, decision.fired]), [['BA', true]]);
+        assert.strictEqual(mail().length, 1);
+    });
+
+    it('delivers an alert for a tweet about a listed company', async () => {
+        const decisions = await twitterTrade.processTweet({'id' : '3', 'text' : 'Ford is a terrible company',
+            'rules' : []});
+        assert.strictEqual(decisions.length, 1);
+        assert.strictEqual(decisions[0].symbol, 'F');
+        assert.strictEqual(decisions[0].fired, true);
+        assert.ok(decisions[0].aggregate < 0);
+
+        const sent = mail();
+        assert.strictEqual(sent.length, 2);
+        const message = sent[1];
+        assert.deepStrictEqual(message.personalizations[0].to, helpers.RECIPIENTS);
+        assert.match(message.personalizations[0].subject, /Negative Tweet/);
+        assert.deepStrictEqual(message.content.map(content => content.type), ['text/plain', 'text/html']);
+        assert.match(message.content[0].value, /Ford is a terrible company/);
+        assert.match(message.content[1].value, /Ford/);
+    });
+
+    it('skips a tweet it has already processed', async () => {
+        const decisions = await twitterTrade.processTweet({'id' : '3', 'text' : 'Ford is a terrible company',
+            'rules' : []});
+        assert.deepStrictEqual(decisions, []);
+        assert.strictEqual(mail().length, 2);
+    });
+
+    it('holds further alerts for a symbol during its cooldown', async () => {
+        const decisions = await twitterTrade.processTweet({'id' : '4', 'text' : 'Ford is a terrible company',
+            'rules' : []});
+        assert.strictEqual(decisions[0].fired, false);
+        assert.match(decisions[0].reason, /^cooldown/);
+        assert.strictEqual(mail().length, 2);
+    });
+
+    it('neither records, delivers nor starts the cooldown on a dry run', async () => {
+        const dry = await twitterTrade.processTweet({'id' : '5', 'text' : 'Apple is a great company', 'rules' : []},
+            false);
+        assert.deepStrictEqual(dry.map(decision => [decision.symbol, decision.fired]), [['AAPL', true]]);
+        assert.strictEqual(mail().length, 2);
+
+        const live = await twitterTrade.processTweet({'id' : '5', 'text' : 'Apple is a great company', 'rules' : []});
+        assert.deepStrictEqual(live.map(decision => [decision.symbol, decision.fired]), [['AAPL', true]]);
+        assert.strictEqual(mail().length, 3);
+        assert.match(mail()[2].personalizations[0].subject, /Positive Tweet/);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Tweet preprocessing: feature extraction, handle expansion, URL and mention removal, and
+ * the handle file
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const helpers = require('./helpers');
+const preprocess = require('../preprocess');
+
+describe('extract', () => {
+    it('collects mentions, hashtags, cashtags and urls once each, in order', () => {
+        assert.deepStrictEqual(preprocess.extract('@Ford and @GM #EVs $f $TSLA #EVs https://t.co/abc @ford'), {
+            'mentions' : ['Ford', 'GM', 'ford'],
+            'hashtags' : ['EVs'],
+            'cashtags' : ['F', 'TSLA'],
+            'urls' : ['https://t.co/abc']
+        });
+    });
+
+    it('ignores email addresses, dollar amounts, numbers and character references', () => {
+        assert.deepStrictEqual(preprocess.extract('mail ceo@ford.com, $100 off, #1 pick &#39;ok&#39;'),
+            {'mentions' : [], 'hashtags' : [], 'cashtags' : [], 'urls' : []});
+    });
+});
+
+describe('prepare', () => {
+    it('expands company handles, drops other mentions and urls and keeps hashtag words', () => {
+        const prepared = preprocess.prepare('Great news from @Boeing and @someone! #Aviation https://t.co/xyz $BA');
+        assert.strictEqual(prepared.text, 'Great news from Boeing and ! Aviation $BA');
+        assert.deepStrictEqual(prepared.features.companies, ['Boeing']);
+        assert.deepStrictEqual(prepared.features.cashtags, ['BA']);
+    });
+
+    it('decodes the entities Twitter escapes in tweet text', () => {
+        assert.strictEqual(preprocess.prepare('AT&amp;T &lt;3 &quot;deal&quot; isn&#39;t bad').text,
+            'AT&T <3 "deal" isn\'t bad');
+    });
+
+    it('uses the handles it is given', () => {
+        const prepared = preprocess.prepare('@Harley is back', {'harley' : 'Harley-Davidson'});
+        assert.strictEqual(prepared.text, 'Harley-Davidson is back');
+    });
+});
+
+describe('load', () => {
+    it('merges the handle file over the built-in handles, case-insensitively', async () => {
+        const handles = await preprocess.load(helpers.writeJson('handles.json', {'@Harley' : 'Harley-Davidson',
+            'GM' : 'General Motors Co'}));
+        assert.strictEqual(handles.harley, 'Harley-Davidson');
+        assert.strictEqual(handles.gm, 'General Motors Co');
+        assert.strictEqual(handles.ford, 'Ford');
+    });
+
+    it('returns the built-in handles without a file', async () => {
+        assert.deepStrictEqual(await preprocess.load(), preprocess.DEFAULT_HANDLES);
+    });
+});
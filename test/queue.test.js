@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Work queue: per-key ordering, concurrency, overflow, close and drain, and the retry and
+ * guard wrappers
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const queue = require('../queue');
+
+/**
+ * Function that creates a job that finishes when told to, recording when it started
+ * @param {Array} log - array the job's start and finish are appended to
+ * @param {string} name - job name for the log
+ * @return {object} job function and finish() to resolve it
+ */
+const deferred = (log, name) => {
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    return {
+        'job' : () => {
+            log.push(`start ${name}`);
+            return done.then(() => {
+                log.push(`end ${name}`);
+                return name;
+            });
+        },
+        'finish' : () => finish()
+    };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('create', () => {
+    it('runs jobs of one key in order while other keys go ahead', async () => {
+        const log = [];
+        const q = queue.create({'concurrency' : 2});
+        const a1 = deferred(log, 'a1'), a2 = deferred(log, 'a2'), b1 = deferred(log, 'b1');
+        const results = [q.push('a', a1.job), q.push('a', a2.job), q.push('b', b1.job)];
+        await tick();
+        assert.deepStrictEqual(log, ['start a1', 'start b1']);
+        b1.finish();
+        await tick();
+        assert.deepStrictEqual(log, ['start a1', 'start b1', 'end b1']);  //a2 waits for a1, not for a slot
+        a1.finish();
+        await tick();
+        a2.finish();
+        assert.deepStrictEqual(await Promise.all(results), ['a1', 'a2', 'b1']);
+        assert.deepStrictEqual(log.slice(3), ['end a1', 'start a2', 'end a2']);
+    });
+
+    it('drops the oldest waiting job when full', async () => {
+        const log = [];
+        const q = queue.create({'maxSize' : 2});
+        const running = deferred(log, 'running');
+        const first = q.push(null, running.job);
+        const oldest = q.push(null, () => 'oldest');
+        const kept = q.push(null, () => 'kept');
+        const newest = q.push(null, () => 'newest');
+        await assert.rejects(oldest, err => err.dropped === true && /full/.test(err.message));
+        running.finish();
+        assert.deepStrictEqual(await Promise.all([first, kept, newest]), ['running', 'kept', 'newest']);
+        assert.deepStrictEqual(q.stats(), {'waiting' : 0, 'running' : 0, 'completed' : 3, 'failed' : 0, 'dropped' : 1});
+    });
+
+    it('refuses the new job when full with drop-newest', async () => {
+        const log = [];
+        const q = queue.create({'maxSize' : 1, 'overflow' : 'drop-newest'});
+        const running = deferred(log, 'running');
+        const first = q.push(null, running.job);
+        const waiting = q.push(null, () => 'waiting');
+        await assert.rejects(q.push(null, () => 'refused'), err => err.dropped === true);
+        running.finish();
+        assert.deepStrictEqual(await Promise.all([first, waiting]), ['running', 'waiting']);
+    });
+
+    it('rejects an unknown overflow policy', () => {
+        assert.throws(() => queue.create({'overflow' : 'drop-random'}), /unknown overflow policy/);
+    });
+
+    it('refuses jobs once closed but drains the jobs it has', async () => {
+        const log = [];
+        const q = queue.create();
+        const running = deferred(log, 'running');
+        const first = q.push(null, running.job);
+        q.close();
+        await assert.rejects(q.push(null, () => 'late'), /closed/);
+        const alive = setTimeout(() => {}, 1000);  //drain's own timer doesn't keep the process running
+        assert.strictEqual(await q.drain(10), false);
+        clearTimeout(alive);
+        running.finish();
+        assert.strictEqual(await q.drain(), true);
+        assert.strictEqual(await first, 'running');
+    });
+
+    it('counts failed jobs and keeps going', async () => {
+        const q = queue.create();
+        await assert.rejects(q.push(null, () => Promise.reject(new Error('boom'))), /boom/);
+        assert.strictEqual(await q.push(null, () => 'next'), 'next');
+        assert.strictEqual(q.stats().failed, 1);
+    });
+});
+
+describe('retry', () => {
+    const failing = (errors, result) => {
+        let calls = 0;
+        const fn = async () => {
+            if (calls < errors.length) {
+                throw errors[calls++];
+            }
+            calls++;
+            return result;
+        };
+        fn.calls = () => calls;
+        return fn;
+    };
+
+    it('retries transient failures until one succeeds', async () => {
+        const fn = failing([Object.assign(new Error('503'), {'status' : 503}),
+            Object.assign(new Error('reset'), {'code' : 'ECONNRESET'})], 'ok');
+        assert.strictEqual(await queue.retry(fn, {'delay' : 0.01}), 'ok');
+        assert.strictEqual(fn.calls(), 3);
+    });
+
+    it('gives up on a failure that is not transient or once the attempts are used', async () => {
+        const notFound = failing([Object.assign(new Error('404'), {'status' : 404})], 'ok');
+        await assert.rejects(queue.retry(notFound, {'delay' : 0.01}), /404/);
+        assert.strictEqual(notFound.calls(), 1);
+
+        const down = failing(new Array(5).fill(Object.assign(new Error('500'), {'status' : 500})), 'ok');
+        await assert.rejects(queue.retry(down, {'attempts' : 2, 'delay' : 0.01}), /500/);
+        assert.strictEqual(down.calls(), 2);
+    });
+
+    it('waits as long as a Retry-After asks', async () => {
+        const fn = failing([Object.assign(new Error('429'), {'status' : 429, 'retryAfter' : 0.05})], 'ok');
+        const started = Date.now();
+        assert.strictEqual(await queue.retry(fn, {'delay' : 5}), 'ok');
+        assert.ok(Date.now() - started < 1000);
+    });
+});
+
+describe('guard', () => {
+    it('runs the wrapped calls through the limiter and leaves the others alone', async () => {
+        const limiter = queue.create({'concurrency' : 1});
+        let active = 0, peak = 0;
+        const client = {
+            'name' : 'client',
+            'fetch' : async value => {
+                active++;
+                peak = Math.max(peak, active);
+                await tick();
+                active--;
+                return value * 2;
+            }
+        };
+        const guarded = queue.guard(client, ['fetch'], limiter, {'attempts' : 1});
+        assert.deepStrictEqual(await Promise.all([1, 2, 3].map(guarded.fetch)), [2, 4, 6]);
+        assert.strictEqual(peak, 1);
+        assert.strictEqual(guarded.name, 'client');
+        assert.strictEqual(limiter.stats().completed, 3);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Replay price bracketing: the baseline is the last close at or before a tweet and the exit
+ * is the first close after it
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const replay = require('../replay');
+
+const BARS = [  //Thursday through the following Tuesday
+    {'date' : '2026-10-15', 'close' : 100},
+    {'date' : '2026-10-16', 'close' : 101},
+    {'date' : '2026-10-19', 'close' : 102},
+    {'date' : '2026-10-20', 'close' : 103}
+];
+
+/**
+ * Function that brackets a tweet time and returns the dates of the bars found
+ * @param {string} time - ISO time of the tweet
+ * @return {Array} previous and next bar dates
+ */
+const dates = time => {
+    const bars = replay.bracket(BARS, new Date(time));
+    return [bars.previous && bars.previous.date, bars.next && bars.next.date];
+};
+
+describe('bracket', () => {
+    it('measures an intraday tweet from the previous close to that day\'s close', () => {
+        assert.deepStrictEqual(dates('2026-10-19T15:00:00Z'), ['2026-10-16', '2026-10-19']);
+    });
+
+    it('measures a tweet after the close from that day\'s close to the next day\'s', () => {
+        assert.deepStrictEqual(dates('2026-10-19T21:30:00Z'), ['2026-10-19', '2026-10-20']);
+    });
+
+    it('counts a tweet at the close against the following close', () => {
+        assert.deepStrictEqual(dates('2026-10-19T20:00:00Z'), ['2026-10-19', '2026-10-20']);
+    });
+
+    it('measures a weekend tweet from Friday\'s close to Monday\'s', () => {
+        assert.deepStrictEqual(dates('2026-10-17T16:00:00Z'), ['2026-10-16', '2026-10-19']);
+    });
+
+    it('leaves a side undefined when the price file does not cover it', () => {
+        assert.deepStrictEqual(dates('2026-10-15T14:00:00Z'), [undefined, '2026-10-15']);
+        assert.deepStrictEqual(dates('2026-10-20T21:00:00Z'), ['2026-10-20', undefined]);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Symbol resolution: names, aliases, tickers and partial names, and cashtags that confirm a
+ * name or stand alone
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const resolver = require('../resolver');
+
+const INDEX = resolver.buildIndex([
+    {'symbol' : 'F', 'name' : 'Ford Motor Co.', 'type' : 'cs'},
+    {'symbol' : 'TSLA', 'name' : 'Tesla Inc', 'type' : 'cs'},
+    {'symbol' : 'AAPL', 'name' : 'Apple Inc', 'type' : 'cs'},
+    {'symbol' : 'AMZN', 'name' : 'Amazon.com Inc.', 'type' : 'cs'},
+    {'symbol' : 'GM', 'name' : 'General Motors Company', 'type' : 'cs'},
+    {'symbol' : 'OLD', 'name' : 'Old Company', 'type' : 'cs', 'isEnabled' : false}
+], {'Google' : 'AMZN'});
+
+describe('resolve', () => {
+    it('matches a company name without its corporate suffix', () => {
+        const resolution = resolver.resolve(INDEX, 'Ford Motor Company');
+        assert.strictEqual(resolution.symbol, 'F');
+        assert.strictEqual(resolution.confidence, 0.9);
+        assert.strictEqual(resolution.candidates[0].reason, 'name');
+    });
+
+    it('prefers an alias to a name match', () => {
+        const resolution = resolver.resolve(INDEX, 'Google');
+        assert.strictEqual(resolution.symbol, 'AMZN');
+        assert.strictEqual(resolution.candidates[0].reason, 'alias');
+    });
+
+    it('scores a partial name by how much of the listed name it covers', () => {
+        const resolution = resolver.resolve(INDEX, 'General');
+        assert.strictEqual(resolution.symbol, 'GM');
+        assert.strictEqual(resolution.confidence, 0.4);
+        assert.strictEqual(resolution.candidates[0].reason, 'partial');
+    });
+
+    it('confirms a name match with a cashtag for the same symbol', () => {
+        const resolution = resolver.resolve(INDEX, 'Tesla', 'Tesla is flying $TSLA');
+        assert.strictEqual(resolution.symbol, 'TSLA');
+        assert.strictEqual(resolution.confidence, 1);
+        assert.strictEqual(resolution.candidates[0].reason, 'name+cashtag');
+    });
+
+    it('does not resolve an unknown name to a cashtag for another company', () => {
+        assert.strictEqual(resolver.resolve(INDEX, 'SpaceX', 'SpaceX launch today $TSLA'), null);
+    });
+
+    it('does not add a cashtag for another company as a candidate for a name', () => {
+        const resolution = resolver.resolve(INDEX, 'Ford', 'Ford beats $TSLA');
+        assert.deepStrictEqual(resolution.candidates.map(candidate => candidate.symbol), ['F']);
+    });
+
+    it('resolves a cashtag alone when there is no name', () => {
+        const resolution = resolver.resolve(INDEX, null, '$tsla');
+        assert.strictEqual(resolution.symbol, 'TSLA');
+        assert.strictEqual(resolution.confidence, 0.9);
+        assert.strictEqual(resolution.candidates[0].reason, 'cashtag');
+    });
+
+    it('ignores disabled symbols and unknown names', () => {
+        assert.strictEqual(resolver.resolve(INDEX, 'Old Company'), null);
+        assert.strictEqual(resolver.resolve(INDEX, 'Nothing Like It'), null);
+    });
+});
+
+describe('cashtags', () => {
+    it('returns each known cashtag once, upper case', () => {
+        assert.deepStrictEqual(resolver.cashtags(INDEX, '$tsla $TSLA $F $NOPE $AAPL'), ['TSLA', 'F', 'AAPL']);
+    });
+});
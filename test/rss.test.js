@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Feed parsing: RSS 2.0 and Atom items, CDATA and escaped markup, entities and item ids
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const rss = require('../sources/rss');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel>
+  <title>Press releases</title>
+  <item>
+    <title>Ford &amp; GM raise prices</title>
+    <description><![CDATA[<p>Automakers <b>raise</b> prices</p>]]></description>
+    <link>https://example.com/1</link>
+    <guid isPermaLink="false">release-1</guid>
+    <dc:creator>Press Office</dc:creator>
+    <pubDate>Mon, 19 Oct 2026 14:00:00 GMT</pubDate>
+  </item>
+  <item>
+    <title>Boeing &#8212; orders &#x2191;</title>
+    <description>&lt;p&gt;Escaped &lt;i&gt;markup&lt;/i&gt;&lt;/p&gt;</description>
+    <link>https://example.com/2</link>
+  </item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Filings</title>
+  <entry>
+    <title type="html">Apple files 10-Q</title>
+    <link rel="self" href="https://example.com/self/1"/>
+    <link rel="alternate" href="https://example.com/entries/1?a=1&amp;b=2"/>
+    <id>urn:uuid:1</id>
+    <updated>2026-10-19T14:00:00Z</updated>
+    <author><name>Filing Desk</name></author>
+    <summary>Quarterly report</summary>
+  </entry>
+</feed>`;
+
+describe('parse', () => {
+    it('parses RSS items with CDATA, markup and Dublin Core authors', () => {
+        assert.deepStrictEqual(rss.parse(RSS)[0], {
+            'id' : 'release-1',
+            'title' : 'Ford & GM raise prices',
+            'summary' : 'Automakers raise prices',
+            'url' : 'https://example.com/1',
+            'author' : 'Press Office',
+            'createdAt' : 'Mon, 19 Oct 2026 14:00:00 GMT'
+        });
+    });
+
+    it('decodes numeric entities and strips escaped markup, and falls back to the link as id', () => {
+        const item = rss.parse(RSS)[1];
+        assert.strictEqual(item.title, 'Boeing — orders ↑');
+        assert.strictEqual(item.summary, 'Escaped markup');
+        assert.strictEqual(item.id, 'https://example.com/2');
+        assert.strictEqual(item.author, null);
+    });
+
+    it('keeps numeric entities beyond the Unicode range as written', () => {
+        const [item] = rss.parse('<rss><channel><item><title>Bad &#x110000; and &#99999999; entities</title>' +
+            '</item></channel></rss>');
+        assert.strictEqual(item.title, 'Bad &#x110000; and &#99999999; entities');
+        assert.strictEqual(item.id, item.title);
+    });
+
+    it('parses Atom entries with alternate links and author names', () => {
+        assert.deepStrictEqual(rss.parse(ATOM), [{
+            'id' : 'urn:uuid:1',
+            'title' : 'Apple files 10-Q',
+            'summary' : 'Quarterly report',
+            'url' : 'https://example.com/entries/1?a=1&b=2',
+            'author' : 'Filing Desk',
+            'createdAt' : '2026-10-19T14:00:00Z'
+        }]);
+    });
+
+    it('returns no items for a document that is not a feed', () => {
+        assert.deepStrictEqual(rss.parse('<html><body>not a feed</body></html>'), []);
+    });
+});
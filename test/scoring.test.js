@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Scoring models: expression compilation, the built-in formulas and signal normalization
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+require('./helpers');
+const scoring = require('../scoring');
+
+const ANALYTICS = {
+    'entitySentiment' : {'score' : -0.6, 'magnitude' : 1.2},
+    'documentSentiment' : {'score' : -0.2, 'magnitude' : 0.8},
+    'salience' : 0.75,
+    'confidence' : 0.9
+};
+const INPUT = scoring.inputs(ANALYTICS);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('compile', () => {
+    it('evaluates fields with the usual precedence', () => {
+        close(scoring.compile('entity.score * entity.magnitude * salience')(INPUT), -0.54);
+        close(scoring.compile('1 + 2 * 3 - 4 / 2')(INPUT), 5);
+        close(scoring.compile('(1 + 2) * -3')(INPUT), -9);
+        close(scoring.compile('--document.score')(INPUT), -0.2);
+    });
+
+    it('calls functions with one or more arguments', () => {
+        close(scoring.compile('abs(entity.score) + max(salience, confidence, .5)')(INPUT), 1.5);
+        close(scoring.compile('sign(document.score) * sqrt(4)')(INPUT), -2);
+        close(scoring.compile('TANH(0)')(INPUT), 0);
+    });
+
+    it('reports unknown fields and functions and syntax errors', () => {
+        assert.throws(() => scoring.compile('entity.bogus * 2'), /unknown field entity\.bogus/);
+        assert.throws(() => scoring.compile('log(salience)'), /unknown function log/);
+        assert.throws(() => scoring.compile('salience ^ 2'), /unexpected character at 8/);
+        assert.throws(() => scoring.compile('(salience * 2'), /expected '\)'/);
+        assert.throws(() => scoring.compile('salience *'), /unexpected end of expression/);
+        assert.throws(() => scoring.compile('salience confidence'), /unexpected 'confidence'/);
+        assert.throws(() => scoring.compile('max(salience,)'), /unexpected '\)'/);
+    });
+});
+
+describe('create', () => {
+    it('creates the built-in models with versioned ids', () => {
+        const classic = scoring.create('classic');
+        assert.strictEqual(classic.id, 'classic@1');
+        close(classic.raw(INPUT), ((1.2 + 0.8) / 2) * ((-0.6 - 0.2) / 2));
+        close(scoring.create('salience').raw(INPUT), (0.75 * 1.2 + 0.25 * 0.8) * (0.75 * -0.6 + 0.25 * -0.2));
+        close(scoring.create('entity').raw(INPUT), -0.72);
+        close(scoring.create('document').raw(INPUT), -0.16);
+    });
+
+    it('includes the formula in an expression model\'s id', () => {
+        const model = scoring.create('expression', 'entity.score * 2');
+        assert.strictEqual(model.id, 'expression@1:entity.score * 2');
+        close(model.raw(INPUT), -1.2);
+    });
+
+    it('rejects an unknown model and an expression model without an expression', () => {
+        assert.throws(() => scoring.create('magic'), /unknown scoring model magic/);
+        assert.throws(() => scoring.create('expression'), /requires an expression/);
+    });
+});
+
+describe('score', () => {
+    it('normalizes the raw score into strength, direction and confidence', () => {
+        const signal = scoring.score(scoring.create('entity'), ANALYTICS);
+        assert.strictEqual(signal.model, 'entity@1');
+        close(signal.raw, -0.72);
+        close(signal.strength, Math.tanh(0.72));
+        assert.strictEqual(signal.direction, -1);
+        close(signal.confidence, 0.9);
+    });
+
+    it('lowers the confidence when entity and document sentiment disagree', () => {
+        const analytics = Object.assign({}, ANALYTICS, {'documentSentiment' : {'score' : 0.4, 'magnitude' : 1}});
+        close(scoring.score(scoring.create('classic'), analytics).confidence, 0.45);
+    });
+
+    it('scores missing sentiment as neutral and a non-finite result as zero', () => {
+        const signal = scoring.score(scoring.create('expression', 'salience / document.score'), {});
+        assert.deepStrictEqual([signal.raw, signal.strength, signal.direction, signal.confidence], [0, 0, 0, 1]);
+    });
+});
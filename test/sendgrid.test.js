@@ -0,0 +1,73 @@
+/**
+ * @fileoverview SendGrid payloads against the SendGrid stand-in, sent directly and through the notifier
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+const helpers = require('./helpers');
+const notifiers = require('../notifiers');
+const sendgrid = require('../notifiers/sendgrid');
+
+const MESSAGE = {'subject' : 'Twitter Trade Alert - Positive Tweet: Ford', 'text' : 'plain body',
+    'html' : '<p>html body</p>'};
+
+describe('sendEmail', () => {
+    let fakes, url;
+
+    before(async () => {
+        fakes = await helpers.start({'sendgrid' : {'failures' : 1}});
+        url = process.env.SENDGRID_URL;
+    });
+
+    after(() => fakes.stop());
+
+    it('rejects a send that fails server side', async () => {
+        await assert.rejects(sendgrid.sendEmail('fake-key', url, {'email' : 'alerts@example.com'}, MESSAGE,
+            helpers.RECIPIENTS), /response status: 500/);
+    });
+
+    it('rejects a send without a valid API key', async () => {
+        await assert.rejects(sendgrid.sendEmail('', url, {'email' : 'alerts@example.com'}, MESSAGE,
+            helpers.RECIPIENTS), /response status: 401/);
+    });
+
+    it('posts the subject, recipients, sender and both bodies', async () => {
+        await sendgrid.sendEmail('fake-key', url, {'email' : 'alerts@example.com'}, MESSAGE, helpers.RECIPIENTS);
+        const messages = fakes.servers.sendgrid.messages();
+        assert.strictEqual(messages.length, 1);
+        assert.deepStrictEqual(messages[0].personalizations, [{'to' : helpers.RECIPIENTS, 'subject' : MESSAGE.subject}]);
+        assert.deepStrictEqual(messages[0].from, {'email' : 'alerts@example.com'});
+        assert.deepStrictEqual(messages[0].content, [{'type' : 'text/plain', 'value' : 'plain body'},
+            {'type' : 'text/html', 'value' : '<p>html body</p>'}]);
+    });
+
+    it('sends the rendered alert through the default notifier', async () => {
+        const notifier = await notifiers.load(null, {'recipientFile' : process.env.RECIPIENT_FILE,
+            'sendgridKey' : 'fake-key', 'sendgridUrl' : url, 'sender' : 'alerts@example.com'});
+        const alert = {
+            'tweet' : 'Ford is a great company',
+            'name' : 'Ford Motor Co.',
+            'symbol' : 'F',
+            'type' : 'ORGANIZATION',
+            'salience' : 0.8,
+            'entitySentiment' : {'score' : 0.6, 'magnitude' : 1.5},
+            'documentSentiment' : {'score' : 0.5, 'magnitude' : 1.2},
+            'aggregate' : 0.75,
+            'confidence' : 1,
+            'rules' : [],
+            'data' : {'current_price' : 10.25, 'close' : 10, 'marketCap' : 1.5e9}
+        };
+        const deliveries = await notifiers.notify(notifier, [alert]);
+        assert.deepStrictEqual(deliveries.map(delivery => [delivery.channel, delivery.ok]), [['email', true]]);
+
+        const message = fakes.servers.sendgrid.messages()[1];
+        assert.strictEqual(message.personalizations[0].subject, notifiers.subject([alert]));
+        assert.deepStrictEqual(message.personalizations[0].to, helpers.RECIPIENTS);
+        assert.deepStrictEqual(message.from, {'email' : 'alerts@example.com'});
+        assert.match(message.content[0].value, /Ford is a great company/);
+        assert.match(message.content[1].value, /Ford Motor Co\./);
+    });
+});
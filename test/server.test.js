@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Status server: routing, and the content type and token control requests must carry
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const fetch = require('node-fetch');
+const {after, before, describe, it} = require('node:test');
+require('./helpers');
+const server = require('../server');
+
+const JSON_TYPE = {'Content-Type' : 'application/json'};
+
+describe('status server', () => {
+    let base, paused = false, running;
+
+    before(async () => {
+        running = await server.start({
+            'GET /health' : async () => ({'status' : 'ok'}),
+            'POST /pause' : async () => {
+                paused = true;
+                return {'paused' : paused};
+            },
+            'POST /analyze' : async (query, body) => ({'text' : body.text})
+        }, 0, '127.0.0.1', 'secret');
+        base = `http://127.0.0.1:${running.address().port}`;
+    });
+
+    after(() => running.close());
+
+    const post = (path, headers, body) => fetch(base + path, {'method' : 'POST', 'headers' : headers, 'body' : body});
+
+    it('serves status requests without a token', async () => {
+        const response = await fetch(`${base}/health`);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), {'status' : 'ok'});
+    });
+
+    it('reports unknown routes and methods', async () => {
+        assert.strictEqual((await fetch(`${base}/nothing`)).status, 404);
+        assert.strictEqual((await fetch(`${base}/pause`)).status, 405);
+    });
+
+    it('refuses a control request without the token', async () => {
+        const response = await post('/pause', JSON_TYPE);
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual((await post('/pause', Object.assign({'Authorization' : 'Bearer wrong'}, JSON_TYPE))).status,
+            401);
+        assert.strictEqual(paused, false);
+    });
+
+    it('refuses a control request that is not sent as JSON', async () => {
+        const response = await post('/analyze', {'Authorization' : 'Bearer secret', 'Content-Type' : 'text/plain'},
+            'Ford is a terrible company');
+        assert.strictEqual(response.status, 415);
+        assert.strictEqual((await post('/pause', {'Authorization' : 'Bearer secret'})).status, 415);
+        assert.strictEqual(paused, false);
+    });
+
+    it('runs a control request with the token, sent as JSON', async () => {
+        const headers = Object.assign({'Authorization' : 'Bearer secret'}, JSON_TYPE);
+        assert.deepStrictEqual(await (await post('/pause', headers)).json(), {'paused' : true});
+        const response = await post('/analyze', headers, JSON.stringify({'text' : 'Ford is a terrible company'}));
+        assert.deepStrictEqual(await response.json(), {'text' : 'Ford is a terrible company'});
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Filter stream framing: messages split across chunks, several messages per chunk,
+ * heartbeats, system and invalid messages, and partial messages dropped on reset
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {beforeEach, describe, it} = require('node:test');
+require('./helpers');
+const streamParser = require('../streamParser');
+
+describe('stream parser', () => {
+    let parser, events;
+
+    beforeEach(() => {
+        parser = streamParser.create();
+        events = [];
+        parser.on('tweet', json => events.push(['tweet', json.data.id]));
+        parser.on('heartbeat', () => events.push(['heartbeat']));
+        parser.on('system', json => events.push(['system', json.errors ? 'errors' : 'disconnect']));
+        parser.on('invalid', (line, err) => events.push(['invalid', err.message]));
+    });
+
+    it('reassembles a message split across chunks', () => {
+        const line = JSON.stringify({'data' : {'id' : '1', 'text' : 'Ford is a great company'}});
+        parser.push(line.slice(0, 10));
+        parser.push(line.slice(10, 30));
+        assert.deepStrictEqual(events, []);
+        parser.push(line.slice(30) + '\r\n');
+        assert.deepStrictEqual(events, [['tweet', '1']]);
+    });
+
+    it('delivers every message in a chunk, in order', () => {
+        parser.push('{"data":{"id":"1"}}\r\n\r\n{"data":{"id":"2"}}\n{"errors":[{"title":"x"}]}\r\n{"data":');
+        assert.deepStrictEqual(events, [['tweet', '1'], ['heartbeat'], ['tweet', '2'], ['system', 'errors']]);
+        parser.push('{"id":"3"}}\r\n');
+        assert.deepStrictEqual(events.slice(4), [['tweet', '3']]);
+    });
+
+    it('keeps a multi-byte character split across buffers intact', () => {
+        const bytes = Buffer.from(JSON.stringify({'data' : {'id' : 'café \u{1F4C8}'}}) + '\r\n');
+        const cut = bytes.indexOf(0xF0) + 2;  //inside the four byte emoji
+        parser.push(bytes.subarray(0, cut));
+        parser.push(bytes.subarray(cut));
+        assert.deepStrictEqual(events, [['tweet', 'café \u{1F4C8}']]);
+    });
+
+    it('reports lines that are not JSON or not a known message', () => {
+        parser.push('not json\r\n{"something":"else"}\r\n{"disconnect":{"code":7}}\r\n');
+        assert.strictEqual(events[0][0], 'invalid');
+        assert.deepStrictEqual(events.slice(1), [['invalid', 'unrecognized message'], ['system', 'disconnect']]);
+        assert.deepStrictEqual(parser.stats(), {'messages' : 3, 'tweets' : 0, 'heartbeats' : 0, 'system' : 1,
+            'invalid' : 2, 'dropped' : 0});
+    });
+
+    it('drops a partial message on reset', () => {
+        parser.push('{"data":{"id":"1"');
+        parser.reset();
+        parser.push('{"data":{"id":"2"}}\r\n');
+        assert.deepStrictEqual(events, [['tweet', '2']]);
+        assert.strictEqual(parser.stats().dropped, 1);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Follow list handling: filter rule values, the diff against the rules on the filter, watch
+ * file validation and per-rule alert settings
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const helpers = require('./helpers');
+const watchlist = require('../watchlist');
+
+describe('toRules', () => {
+    it('builds a rule from accounts, keywords and exclusions, or uses an explicit value', () => {
+        const rules = watchlist.toRules({'watch' : [
+            {'tag' : 'potus', 'accounts' : ['realDonaldTrump'], 'keywords' : ['tariff', 'trade war'],
+                'excludeRetweets' : true, 'excludeQuotes' : true},
+            {'tag' : 'ford', 'accounts' : ['Ford']},
+            {'tag' : 'raw', 'value' : 'tariff lang:en'}
+        ]});
+        assert.deepStrictEqual(rules, [
+            {'value' : '(from:realDonaldTrump OR tariff OR "trade war") -is:retweet -is:quote', 'tag' : 'potus'},
+            {'value' : 'from:Ford', 'tag' : 'ford'},
+            {'value' : 'tariff lang:en', 'tag' : 'raw'}
+        ]);
+    });
+});
+
+describe('diffRules', () => {
+    const existing = [
+        {'id' : '1', 'value' : 'from:Ford', 'tag' : 'ford'},
+        {'id' : '2', 'value' : 'from:Apple', 'tag' : 'apple'},
+        {'id' : '3', 'value' : 'from:GM', 'tag' : 'gm'}
+    ];
+
+    it('leaves identical rules alone', () => {
+        const desired = existing.map(rule => ({'value' : rule.value, 'tag' : rule.tag}));
+        assert.deepStrictEqual(watchlist.diffRules(existing, desired), {'add' : [], 'delete' : []});
+    });
+
+    it('adds new rules and deletes rules no longer wanted', () => {
+        const diff = watchlist.diffRules(existing, [{'value' : 'from:Ford', 'tag' : 'ford'},
+            {'value' : 'from:Tesla', 'tag' : 'tesla'}]);
+        assert.deepStrictEqual(diff, {'add' : [{'value' : 'from:Tesla', 'tag' : 'tesla'}], 'delete' : ['2', '3']});
+    });
+
+    it('replaces a rule whose value or tag changed', () => {
+        const diff = watchlist.diffRules(existing.slice(0, 2), [{'value' : 'from:Ford -is:retweet', 'tag' : 'ford'},
+            {'value' : 'from:Apple', 'tag' : 'aapl'}]);
+        assert.deepStrictEqual(diff.delete, ['1', '2']);
+        assert.deepStrictEqual(diff.add.map(rule => rule.tag), ['ford', 'aapl']);
+    });
+
+    it('adds everything to a filter without rules', () => {
+        const desired = [{'value' : 'from:Ford', 'tag' : 'ford'}];
+        assert.deepStrictEqual(watchlist.diffRules(undefined, desired), {'add' : desired, 'delete' : []});
+    });
+});
+
+describe('load', () => {
+    it('accepts a watch file that only lists sources', async () => {
+        const watch = await watchlist.load(helpers.writeJson('sources.json',
+            {'sources' : [{'tag' : 'desk', 'type' : 'file', 'path' : 'inbox'}]}));
+        assert.deepStrictEqual(watch.watch, []);
+        assert.deepStrictEqual(watchlist.sources(watch).map(entry => entry.tag), ['desk']);
+    });
+
+    it('rejects duplicate tags across watch and sources', async () => {
+        await assert.rejects(watchlist.load(helpers.writeJson('duplicate.json', {
+            'watch' : [{'tag' : 'ford', 'accounts' : ['Ford']}],
+            'sources' : [{'tag' : 'ford', 'type' : 'rss', 'url' : 'http://example.com/feed'}]
+        })), /unique across watch and sources: ford/);
+    });
+
+    it('rejects a file with nothing to follow', async () => {
+        await assert.rejects(watchlist.load(helpers.writeJson('empty.json', {})), /no watch or source entries/);
+    });
+});
+
+describe('settings', () => {
+    it('overrides the defaults with the first matching entry', () => {
+        const watch = {
+            'defaults' : {'minAggregate' : 0, 'groups' : ['traders']},
+            'watch' : [{'tag' : 'potus', 'minAggregate' : 0.2}, {'tag' : 'ford', 'groups' : ['desk']}]
+        };
+        assert.deepStrictEqual(watchlist.settings(watch, ['ford', 'potus']),
+            {'minAggregate' : 0.2, 'groups' : ['traders'], 'rules' : ['ford', 'potus']});
+        assert.deepStrictEqual(watchlist.settings(watch, []), {'minAggregate' : 0, 'groups' : ['traders'], 'rules' : []});
+    });
+});
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Post-alert price tracking.  Each fired alert schedules price samples at configurable
+ * horizons after the alert; a polling scheduler takes the samples and records the percent move against
+ * the alert price and the direction predicted by the aggregate sentiment.
+ * Usage: node tracker.js summary [--json]
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+const logger = require('./logger');
+const config = require('./config');
+const market = require('./market');
+const store = require('./store');
+
+const POLL_INTERVAL = 30;  //seconds between checks for due samples
+const MAX_LATENESS = 24 * 60 * 60 * 1000;  //a sample that still fails this long after it was due is abandoned
+const MAX_ATTEMPTS = 8;  //a sample that fails this many times is abandoned
+const MAX_RETRY_DELAY = 60 * 60;  //seconds, cap on the backoff between attempts at a failing sample
+
+/**
+ * Function that maps an aggregate sentiment score to a reporting bucket
+ * @param {number} aggregate - aggregate sentiment score
+ * @return {string} bucket name
+ */
+function bucket(aggregate) {
+    if (aggregate <= -1) {
+        return 'strong negative';
+    }
+    if (aggregate < 0) {
+        return 'negative';
+    }
+    if (aggregate >= 1) {
+        return 'strong positive';
+    }
+    if (aggregate > 0) {
+        return 'positive';
+    }
+    return 'neutral';
+}
+
+/**
+ * Function that computes when a horizon's sample is due
+ * @param {string} horizon - horizon: minutes (<n>m), hours (<n>h), the next market close (close) or the
+ * close after it (nextClose)
+ * @param {Date} alertTime - time of the alert
+ * @return {Date} due time
+ * @throws {Error} unrecognized horizon
+ */
+function dueTime(horizon, alertTime) {
+    const match = /^(\d+)([mh])$/.exec(horizon);
+    if (match) {
+        const minutes = parseInt(match[1], 10) * (match[2] === 'h' ? 60 : 1);
+        return new Date(alertTime.getTime() + minutes * 60 * 1000);
+    }
+    if (horizon === 'close') {
+        return market.nextClose(alertTime);
+    }
+    if (horizon === 'nextClose') {
+        const close = market.nextClose(alertTime);
+        return market.marketTime(market.nextTradingDay(market.marketDay(close)), market.MARKET_CLOSE);
+    }
+    throw new Error(`unknown tracking horizon: ${horizon}`);
+}
+
+/**
+ * Function that takes every price sample that is due.  A sample whose price can't be fetched is retried
+ * with exponential backoff, starting at the poll interval, and abandoned after MAX_ATTEMPTS attempts or
+ * once it is MAX_LATENESS overdue.  Its first failure is logged as an error and its abandonment as a
+ * warning; the retries in between only at debug level.
+ * @param {object} db - better-sqlite3 database
+ * @param {function} priceFn - function taking a symbol and returning a promise for its current price
+ * @param {Date} now - current time
+ * @return {promise} number of samples taken
+ */
+async function sampleDue(db, priceFn, now = new Date()) {
+    const due = db.prepare(`SELECT id, symbol, horizon, due_at, alert_price, predicted, attempts FROM price_samples
+        WHERE sampled_at IS NULL AND due_at <= ? AND (retry_at IS NULL OR retry_at <= ?) ORDER BY due_at`)
+        .all(now.toISOString(), now.toISOString());
+    const update = db.prepare(`UPDATE price_samples SET sampled_at = ?, price = ?, move = ?, error = ?
+        WHERE id = ?`);
+    const failed = db.prepare(`UPDATE price_samples SET sampled_at = ?, error = ?, attempts = ?, retry_at = ?
+        WHERE id = ?`);
+    let taken = 0;
+
+    for (const sample of due) {
+        try {
+            const price = await priceFn(sample.symbol);
+            const move = (price - sample.alert_price) / sample.alert_price;
+            update.run(new Date().toISOString(), price, move, null, sample.id);
+            logger.info(`sampleDue() - ${sample.symbol} ${sample.horizon}: ${(move * 100).toFixed(2)}%`);
+            taken++;
+        }
+        catch (err) {
+            const attempts = sample.attempts + 1;
+            const abandoned = attempts >= MAX_ATTEMPTS || now - new Date(sample.due_at) > MAX_LATENESS;
+            const delay = Math.min(POLL_INTERVAL * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+            failed.run(abandoned ? new Date().toISOString() : null, `${err}`, attempts,
+                abandoned ? null : new Date(now.getTime() + delay * 1000).toISOString(), sample.id);
+            if (abandoned) {
+                logger.warn(`sampleDue() - ${sample.symbol} ${sample.horizon}: abandoned after ${attempts} attempts, ` +
+                    `${err}`);
+            }
+            else if (attempts === 1) {
+                logger.error(`sampleDue() - ${sample.symbol} ${sample.horizon}: ${err}, retrying`);
+            }
+            else {
+                logger.debug(`sampleDue() - ${sample.symbol} ${sample.horizon}: attempt ${attempts} failed, ${err}`);
+            }
+        }
+    }
+    return taken;
+}
+
+/**
+ * Function that schedules price samples for a fired alert
+ * @param {object} db - better-sqlite3 database
+ * @param {number} analysis - row id of the analysis, from store.recordAnalysis()
+ * @param {object} analytics - analytics object for one company, including stock data
+ * @param {Date} alertTime - time of the alert, defaults to now
+ * @return {number} number of samples scheduled; none if the alert has no price
+ */
+function schedule(db, analysis, analytics, alertTime = new Date()) {
+    const price = analytics.data && analytics.data.current_price;
+    if (typeof price !== 'number' || price <= 0) {
+        logger.warn(`schedule() - no alert price for ${analytics.symbol}, not tracking`);
+        return 0;
+    }
+
+    const insert = db.prepare(`INSERT INTO price_samples (analysis, symbol, horizon, due_at, alert_price, predicted)
+        VALUES (?, ?, ?, ?, ?, ?)`);
+    const horizons = config.get().trackHorizons;
+    for (const horizon of horizons) {
+        insert.run(analysis, analytics.symbol, horizon, dueTime(horizon, alertTime).toISOString(), price,
+            Math.sign(analytics.aggregate));
+    }
+    return horizons.length;
+}
+
+/**
+ * Function that starts the sampling scheduler.  Samples are kept in the store, so samples that came due
+ * while the process was down are taken on the first poll after a restart.
+ * @param {object} db - better-sqlite3 database
+ * @param {function} priceFn - function taking a symbol and returning a promise for its current price
+ * @return {object} interval timer
+ * @throws {Error} unrecognized horizon in the trackHorizons setting
+ */
+function start(db, priceFn) {
+    const horizons = config.get().trackHorizons;
+    logger.debug(`start() horizons:${horizons}`);
+
+    horizons.forEach(horizon => dueTime(horizon, new Date()));  //fail at startup rather than on the first alert
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {  //previous poll is still fetching prices
+            return;
+        }
+        running = true;
+        try {
+            await sampleDue(db, priceFn);
+        }
+        catch (err) {
+            logger.error(`start() - ${err}`);
+        }
+        finally {
+            running = false;
+        }
+    }, POLL_INTERVAL * 1000);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Function that summarizes prediction accuracy of the sampled alerts, per horizon, grouped by watch rule
+ * (account), entity type, sentiment bucket and the scoring model that produced the alert.  A prediction is
+ * correct when the price moved in the direction of the aggregate sentiment.
+ * @param {object} db - better-sqlite3 database
+ * @return {object} object keyed by grouping (account, entityType, sentiment, model), each an array of
+ * {group, horizon, samples, correct, accuracy, averageMove} rows
+ */
+function summary(db) {
+    const samples = db.prepare(`SELECT s.horizon, s.move, s.predicted, a.entity_type, a.aggregate, a.scoring_model,
+        t.rules FROM price_samples s JOIN analyses a ON s.analysis = a.id JOIN tweets t ON a.tweet = t.id
+        WHERE s.move IS NOT NULL`).all();
+
+    const horizons = config.get().trackHorizons;
+    const groupings = {
+        'account' : sample => (JSON.parse(sample.rules || '[]')[0] || 'none'),
+        'entityType' : sample => sample.entity_type || 'unknown',
+        'sentiment' : sample => bucket(sample.aggregate),
+        'model' : sample => sample.scoring_model || 'classic@1'  //analyses recorded before scoring models were classic
+    };
+    const result = {};
+    for (const [grouping, keyFn] of Object.entries(groupings)) {
+        const groups = new Map();
+        for (const sample of samples) {
+            const key = `${keyFn(sample)}\u0000${sample.horizon}`;
+            if (!groups.has(key)) {
+                groups.set(key, {'group' : keyFn(sample), 'horizon' : sample.horizon, 'samples' : 0, 'correct' : 0,
+                    'totalMove' : 0, 'scored' : 0});
+            }
+            const group = groups.get(key);
+            group.samples++;
+            group.totalMove += sample.move;
+            if (sample.predicted !== 0) {
+                group.scored++;
+                if (Math.sign(sample.move) === sample.predicted) {
+                    group.correct++;
+                }
+            }
+        }
+        result[grouping] = Array.from(groups.values())
+            .map(group => ({
+                'group' : group.group,
+                'horizon' : group.horizon,
+                'samples' : group.samples,
+                'correct' : group.correct,
+                'accuracy' : group.scored > 0 ? group.correct / group.scored : null,
+                'averageMove' : group.totalMove / group.samples
+            }))
+            .sort((a, b) => a.group.localeCompare(b.group) ||
+                horizons.indexOf(a.horizon) - horizons.indexOf(b.horizon));
+    }
+    return result;
+}
+
+/**
+ * Function that prints a summary as fixed-width text tables
+ * @param {object} result - summary from summary()
+ * @return none
+ */
+function printSummary(result) {
+    for (const [grouping, rows] of Object.entries(result)) {
+        console.log(`\nAccuracy by ${grouping}`);
+        console.log(`${'group'.padEnd(20)}${'horizon'.padEnd(12)}${'samples'.padStart(8)}${'accuracy'.padStart(10)}` +
+            `${'avg move'.padStart(10)}`);
+        for (const row of rows) {
+            const accuracy = row.accuracy === null ? 'n/a' : `${(row.accuracy * 100).toFixed(1)}%`;
+            console.log(`${row.group.slice(0, 19).padEnd(20)}${row.horizon.padEnd(12)}${String(row.samples).padStart(8)}` +
+                `${accuracy.padStart(10)}${`${(row.averageMove * 100).toFixed(2)}%`.padStart(10)}`);
+        }
+    }
+}
+
+/**
+ * Main function.  Prints the accuracy summary from the store.
+ */
+function main() {
+    logger.consoleToStderr();  //stdout is the report
+    const [command, format] = process.argv.slice(2);
+    if (command !== 'summary') {
+        console.error('usage: node tracker.js summary [--json]');
+        process.exit(1);
+    }
+
+    try {
+        const db = store.open(config.get().storeFile);
+        const result = summary(db);
+        if (format === '--json') {
+            console.log(JSON.stringify(result, null, 4));
+        }
+        else {
+            printSummary(result);
+        }
+        db.close();
+    }
+    catch (err) {
+        logger.error(`main() - ${err}`);
+        process.exit(-1);
+    }
+}
+
+module.exports = {
+    dueTime,
+    sampleDue,
+    schedule,
+    start,
+    summary
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Optional trade execution driven by alerts.  A fired alert that passes the trading
+ * criteria opens a position through the configured broker (long on a positive aggregate, short on a
+ * negative one), and a polling monitor closes it on stop-loss, take-profit or maximum holding time.
+ * Positions, fills and realized P&L are kept in the store.
+ * Usage: node trader.js ledger [--json]
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Broker file format:
+ * {
+ *   "broker": {"type": "paper", "slippage": 0.0005, "commission": 0},
+ *   "criteria": {"minAggregate": 0.25, "minConfidence": 0.8, "allowAmbiguous": false, "maxOpenPositions": 5,
+ *                "marketHoursOnly": true},
+ *   "sizing": {"notional": 1000},
+ *   "exits": {"stopLoss": 0.05, "takeProfit": 0.1, "maxHoldMinutes": 1440}
+ * }
+ * sizing is either notional (dollars per position) or shares (fixed quantity).  stopLoss and takeProfit
+ * are fractions of the entry price.
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('./logger');
+const config = require('./config');
+const brokers = require('./brokers');
+const market = require('./market');
+const store = require('./store');
+
+const POLL_INTERVAL = 60;  //seconds between exit checks on open positions
+
+const DEFAULTS = {
+    'broker' : {'type' : 'paper'},
+    'criteria' : {'minAggregate' : 0, 'minConfidence' : 0, 'allowAmbiguous' : false, 'maxOpenPositions' : 10,
+        'marketHoursOnly' : true},
+    'sizing' : {'notional' : 1000},
+    'exits' : {'stopLoss' : 0.05, 'takeProfit' : 0.1, 'maxHoldMinutes' : 24 * 60}
+};
+
+/**
+ * Function that checks every open position against its stop, target and expiry and closes those that hit
+ * one.  A position whose quote or close fails is left open for the next check.
+ * @param {object} trader - trader from create()
+ * @param {Date} now - current time
+ * @return {promise} number of positions closed
+ */
+async function checkExits(trader, now = new Date()) {
+    if (trader.config.criteria.marketHoursOnly && !market.isMarketHours(now)) {
+        return 0;
+    }
+
+    const open = trader.db.prepare('SELECT * FROM positions WHERE closed_at IS NULL').all();
+    let closed = 0;
+    for (const position of open) {
+        try {
+            const price = await trader.broker.quote(position.symbol);
+            const reason = exitReason(position, price, now);
+            if (reason) {
+                await closePosition(trader, position, reason);
+                closed++;
+            }
+        }
+        catch (err) {
+            logger.error(`checkExits() - ${position.symbol}: ${err}`);
+        }
+    }
+    return closed;
+}
+
+/**
+ * Function that closes a position at market and records the exit
+ * @param {object} trader - trader from create()
+ * @param {object} position - open position row
+ * @param {string} reason - exit reason: stop, target or expired
+ * @return {promise} realized P&L of the position
+ * @throws {Error} propagates broker errors
+ */
+async function closePosition(trader, position, reason) {
+    logger.debug(`closePosition() id:${position.id} reason:${reason}`);
+
+    const fill = await trader.broker.submitOrder({'symbol' : position.symbol, 'quantity' : position.quantity,
+        'side' : position.side === 'long' ? 'sell' : 'buy'});
+    const commission = trader.db.prepare('SELECT TOTAL(commission) AS total FROM fills WHERE position = ?')
+        .get(position.id).total + (fill.commission || 0);
+    const direction = position.side === 'long' ? 1 : -1;
+    const pnl = direction * (fill.price - position.entry_price) * position.quantity - commission;
+
+    trader.db.transaction(() => {
+        recordFill(trader.db, position.id, fill, position.side === 'long' ? 'sell' : 'buy');
+        trader.db.prepare(`UPDATE positions SET closed_at = ?, exit_price = ?, exit_reason = ?, pnl = ?
+            WHERE id = ?`).run(fill.filledAt.toISOString(), fill.price, reason, pnl, position.id);
+    })();
+    logger.info(`closePosition() - closed ${position.side} ${position.symbol} (${reason}), P&L ${pnl.toFixed(2)}`);
+    return pnl;
+}
+
+/**
+ * Function that builds a trader from a broker configuration
+ * @param {object} config - broker configuration (see file overview); missing sections take the defaults
+ * @param {object} db - better-sqlite3 database
+ * @param {function} priceFn - function taking a symbol and returning a promise for its current price
+ * @return {object} trader with config, broker and db
+ * @throws {Error} unknown broker type or invalid sizing
+ */
+function create(config, db, priceFn) {
+    logger.debug(`create()`);
+
+    const merged = {};
+    for (const section of Object.keys(DEFAULTS)) {
+        merged[section] = Object.assign({}, DEFAULTS[section], config[section]);
+    }
+    if (config.sizing && config.sizing.shares) {
+        delete merged.sizing.notional;
+    }
+    if (!(merged.sizing.notional > 0) && !(merged.sizing.shares > 0)) {
+        throw new Error('sizing requires a positive notional or shares');
+    }
+
+    return {
+        'config' : merged,
+        'broker' : brokers.create(merged.broker.type, merged.broker, priceFn),
+        'db' : db,
+        'pending' : new Set()  //symbols with an order in flight
+    };
+}
+
+/**
+ * Function that decides whether an open position should be closed at the given price
+ * @param {object} position - open position row
+ * @param {number} price - current price
+ * @param {Date} now - current time
+ * @return {string} exit reason (stop, target or expired), or null to stay in the position
+ */
+function exitReason(position, price, now) {
+    const long = position.side === 'long';
+    if (position.stop_price !== null && (long ? price <= position.stop_price : price >= position.stop_price)) {
+        return 'stop';
+    }
+    if (position.target_price !== null && (long ? price >= position.target_price : price <= position.target_price)) {
+        return 'target';
+    }
+    if (position.expires_at !== null && now >= new Date(position.expires_at)) {
+        return 'expired';
+    }
+    return null;
+}
+
+/**
+ * Function that lists the ledger: every position with its fills, and realized totals
+ * @param {object} db - better-sqlite3 database
+ * @return {object} object with positions and totals {open, closed, wins, losses, realized}
+ */
+function ledger(db) {
+    const positions = db.prepare('SELECT * FROM positions ORDER BY opened_at').all();
+    const fills = db.prepare('SELECT * FROM fills WHERE position = ? ORDER BY filled_at');
+    const totals = {'open' : 0, 'closed' : 0, 'wins' : 0, 'losses' : 0, 'realized' : 0};
+
+    for (const position of positions) {
+        position.fills = fills.all(position.id);
+        if (position.closed_at === null) {
+            totals.open++;
+            continue;
+        }
+        totals.closed++;
+        totals.realized += position.pnl;
+        if (position.pnl > 0) {
+            totals.wins++;
+        }
+        else {
+            totals.losses++;
+        }
+    }
+    return {'positions' : positions, 'totals' : totals};
+}
+
+/**
+ * Function that reads a broker file and builds a trader from it
+ * @param {string} file - path to the broker file
+ * @param {object} db - better-sqlite3 database
+ * @param {function} priceFn - function taking a symbol and returning a promise for its current price
+ * @return {promise} trader, or null if no file is configured (trading disabled)
+ * @throws {Error} propagates file system, JSON parse and configuration errors
+ */
+async function load(file, db, priceFn) {
+    logger.debug(`load() file:${file}`);
+
+    if (!file) {
+        return null;
+    }
+    try {
+        return create(JSON.parse(await fsp.readFile(file, 'utf8')), db, priceFn);
+    }
+    catch (err) {
+        logger.error(`load() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that opens a position for a fired alert if it passes the trading criteria
+ * @param {object} trader - trader from create()
+ * @param {number} analysis - row id of the analysis, from store.recordAnalysis()
+ * @param {object} analytics - analytics object for one company
+ * @param {Date} now - current time
+ * @return {promise} row id of the new position, or null if no position was opened
+ * @throws none
+ */
+async function onAlert(trader, analysis, analytics, now = new Date()) {
+    logger.debug(`onAlert() symbol:${analytics.symbol}`);
+
+    const symbol = analytics.symbol;
+    const reason = rejectReason(trader, analytics, now);
+    if (reason) {
+        logger.info(`onAlert() - no trade in ${symbol}: ${reason}`);
+        return null;
+    }
+
+    trader.pending.add(symbol);
+    try {
+        const {sizing, exits} = trader.config;
+        const side = analytics.aggregate > 0 ? 'long' : 'short';
+        let quantity = sizing.shares;
+        if (!quantity) {
+            const price = await trader.broker.quote(symbol);
+            quantity = Math.floor(sizing.notional / price);
+        }
+        if (!(quantity > 0)) {
+            logger.info(`onAlert() - no trade in ${symbol}: position size rounds to zero`);
+            return null;
+        }
+
+        const fill = await trader.broker.submitOrder({'symbol' : symbol, 'quantity' : quantity,
+            'side' : side === 'long' ? 'buy' : 'sell'});
+        const direction = side === 'long' ? 1 : -1;
+        const stop = exits.stopLoss ? fill.price * (1 - direction * exits.stopLoss) : null;
+        const target = exits.takeProfit ? fill.price * (1 + direction * exits.takeProfit) : null;
+        const expires = exits.maxHoldMinutes ?
+            new Date(fill.filledAt.getTime() + exits.maxHoldMinutes * 60 * 1000).toISOString() : null;
+
+        const position = trader.db.transaction(() => {
+            const info = trader.db.prepare(`INSERT INTO positions (analysis, broker, symbol, side, quantity,
+                entry_price, opened_at, stop_price, target_price, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(analysis, trader.broker.name, symbol, side, fill.quantity, fill.price,
+                    fill.filledAt.toISOString(), stop, target, expires);
+            recordFill(trader.db, info.lastInsertRowid, fill, side === 'long' ? 'buy' : 'sell');
+            return info.lastInsertRowid;
+        })();
+        logger.info(`onAlert() - opened ${side} ${fill.quantity} ${symbol} at ${fill.price.toFixed(2)}`);
+        return position;
+    }
+    catch (err) {
+        logger.error(`onAlert() - ${err}`);
+        return null;
+    }
+    finally {
+        trader.pending.delete(symbol);
+    }
+}
+
+/**
+ * Function that prints a ledger as fixed-width text
+ * @param {object} result - ledger from ledger()
+ * @return none
+ */
+function printLedger(result) {
+    console.log(`${'opened'.padEnd(22)}${'symbol'.padEnd(8)}${'side'.padEnd(7)}${'qty'.padStart(6)}` +
+        `${'entry'.padStart(10)}${'exit'.padStart(10)}${'reason'.padStart(9)}${'P&L'.padStart(11)}`);
+    for (const position of result.positions) {
+        const exit = position.exit_price === null ? 'open' : position.exit_price.toFixed(2);
+        const pnl = position.pnl === null ? '' : position.pnl.toFixed(2);
+        console.log(`${position.opened_at.slice(0, 19).padEnd(22)}${position.symbol.padEnd(8)}` +
+            `${position.side.padEnd(7)}${String(position.quantity).padStart(6)}` +
+            `${position.entry_price.toFixed(2).padStart(10)}${exit.padStart(10)}` +
+            `${(position.exit_reason || '').padStart(9)}${pnl.padStart(11)}`);
+    }
+    const totals = result.totals;
+    console.log(`\nopen: ${totals.open}  closed: ${totals.closed}  wins: ${totals.wins}  losses: ${totals.losses}` +
+        `  realized P&L: ${totals.realized.toFixed(2)}`);
+}
+
+/**
+ * Function that records an order fill against a position
+ * @param {object} db - better-sqlite3 database
+ * @param {number} position - row id of the position
+ * @param {object} fill - fill from the broker
+ * @param {string} side - order side: buy or sell
+ * @return {number} row id of the fill
+ */
+function recordFill(db, position, fill, side) {
+    return db.prepare(`INSERT INTO fills (position, order_id, side, quantity, price, commission, filled_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`).run(position, fill.orderId || null, side, fill.quantity, fill.price,
+        fill.commission || 0, fill.filledAt.toISOString()).lastInsertRowid;
+}
+
+/**
+ * Function that checks an alert against the trading criteria
+ * @param {object} trader - trader from create()
+ * @param {object} analytics - analytics object for one company
+ * @param {Date} now - current time
+ * @return {string} reason the alert is not traded, or null if it passes
+ */
+function rejectReason(trader, analytics, now) {
+    const criteria = trader.config.criteria;
+    if (analytics.aggregate === 0) {
+        return 'neutral sentiment';
+    }
+    if (Math.abs(analytics.aggregate) < criteria.minAggregate) {
+        return `aggregate below ${criteria.minAggregate}`;
+    }
+    if (analytics.confidence < criteria.minConfidence) {
+        return `confidence below ${criteria.minConfidence}`;
+    }
+    if (analytics.ambiguous && !criteria.allowAmbiguous) {
+        return 'ambiguous symbol';
+    }
+    if (criteria.marketHoursOnly && !market.isMarketHours(now)) {
+        return 'market closed';
+    }
+    if (trader.pending.has(analytics.symbol) || trader.db.prepare(`SELECT 1 FROM positions
+        WHERE symbol = ? AND closed_at IS NULL`).get(analytics.symbol)) {
+        return 'position already open';
+    }
+    const open = trader.db.prepare('SELECT COUNT(*) AS count FROM positions WHERE closed_at IS NULL').get().count;
+    if (open + trader.pending.size >= criteria.maxOpenPositions) {
+        return `${criteria.maxOpenPositions} positions already open`;
+    }
+    return null;
+}
+
+/**
+ * Function that starts the exit monitor on open positions
+ * @param {object} trader - trader from create()
+ * @return {object} interval timer
+ */
+function start(trader) {
+    logger.debug(`start() broker:${trader.broker.name}`);
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {  //previous check is still quoting
+            return;
+        }
+        running = true;
+        try {
+            await checkExits(trader);
+        }
+        catch (err) {
+            logger.error(`start() - ${err}`);
+        }
+        finally {
+            running = false;
+        }
+    }, POLL_INTERVAL * 1000);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Main function.  Prints the trading ledger from the store.
+ */
+function main() {
+    logger.consoleToStderr();  //stdout is the report
+    const [command, format] = process.argv.slice(2);
+    if (command !== 'ledger') {
+        console.error('usage: node trader.js ledger [--json]');
+        process.exit(1);
+    }
+
+    try {
+        const db = store.open(config.get().storeFile);
+        const result = ledger(db);
+        if (format === '--json') {
+            console.log(JSON.stringify(result, null, 4));
+        }
+        else {
+            printLedger(result);
+        }
+        db.close();
+    }
+    catch (err) {
+        logger.error(`main() - ${err}`);
+        process.exit(-1);
+    }
+}
+
+module.exports = {
+    checkExits,
+    closePosition,
+    create,
+    ledger,
+    load,
+    onAlert,
+    start
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Normalizes filter stream messages into the tweet objects passed to processTweet.  Handles
+ * Twitter API v2 messages (tweet.fields and the author_id expansion) and the retired labs/1 compact format,
+ * which carries only id and text.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+'use strict';
+'use esversion 6';
+
+const TWEET_URL = 'https://twitter.com/i/web/status/';  //tweet permalink by id, when the author is unknown
+
+//v2 stream query: fields and expansions requested with each tweet
+const V2_FIELDS = 'tweet.fields=created_at,author_id,entities,referenced_tweets&expansions=author_id' +
+    '&user.fields=username,name';
+
+/**
+ * Function that flattens tweet text for display and storage.  Mentions, hashtags and URLs are kept;
+ * preprocess.prepare() rewrites the text for analysis.
+ * @param {string} text - raw tweet text
+ * @return {string} text with newlines replaced by spaces
+ */
+function clean(text) {
+    return text.replace(/\r?\n|\r/g, ' ');
+}
+
+/**
+ * Function that builds a tweet object from a filter stream message
+ * @param {object} json - stream message with data, includes (v2 expansions) and matching_rules
+ * @return {object} tweet with id, text (cleaned), rawText, rules (matching rule tags), and where
+ * available author {id, username, name}, createdAt, url, cashtags and referencedTweets
+ * @throws {Error} message without tweet text
+ */
+function fromStream(json) {
+    const data = json.data || {};
+    if (typeof data.text !== 'string') {
+        throw new Error('message without tweet text');
+    }
+
+    const users = (json.includes && json.includes.users) || [];
+    const user = users.find(candidate => candidate.id === data.author_id);
+    const tweet = {
+        'id' : data.id,
+        'text' : clean(data.text),
+        'rawText' : data.text,
+        'rules' : (json.matching_rules || []).map(rule => rule.tag),
+        'createdAt' : data.created_at || null,
+        'author' : data.author_id ? {
+            'id' : data.author_id,
+            'username' : user ? user.username : null,
+            'name' : user ? user.name : null
+        } : null,
+        'cashtags' : ((data.entities && data.entities.cashtags) || []).map(cashtag => cashtag.tag.toUpperCase()),
+        'referencedTweets' : data.referenced_tweets || []
+    };
+    tweet.url = url(tweet);
+    return tweet;
+}
+
+/**
+ * Function that builds the permalink of a tweet
+ * @param {object} tweet - tweet with id and optional author
+ * @return {string} url, or null if the tweet has no id
+ */
+function url(tweet) {
+    if (!tweet.id) {
+        return null;
+    }
+    if (tweet.author && tweet.author.username) {
+        return `https://twitter.com/${tweet.author.username}/status/${tweet.id}`;
+    }
+    return TWEET_URL + tweet.id;
+}
+
+module.exports = {
+    V2_FIELDS,
+    clean,
+    fromStream,
+    url
+};
@@ -7,56 +7,133 @@
 'use esversion 6';
 const fetch = require('node-fetch');
 const btoa = require('btoa');
-const AbortController = require('abort-controller');
-const fs = require('fs');
-const fsp = fs.promises;
-const winston = require('winston');
-require('winston-daily-rotate-file');
-
-const ABORT_TIMEOUT = 90; //time, in seconds, to abort a streaming connection
-
-const TWITTER_KEY = process.env.TWITTER_KEY;  //twitter auth key
-const TWITTER_SECRET = process.env.TWITTER_SECRET;  //twitter auth secret
-const AUTH_URL   = 'https://api.twitter.com/oauth2/token';  //url for fetching a twitter bearer token
-const RULES_URL  = 'https://api.twitter.com/labs/1/tweets/stream/filter/rules';
-const STREAM_URL = 'https://api.twitter.com/labs/1/tweets/stream/filter?format=compact';
-const RULES = [{'value' : 'from:realDonaldTrump -is:retweet -is:quote'}];
-
-const IEX_KEY = process.env.IEX_KEY;  //IEX API key
-const SYMBOL_URL = 'https://cloud.iexapis.com/stable/ref-data/symbols?token=';
-const STOCK_URL = 'https://cloud.iexapis.com/stable/stock/';
-
-const GOOGLE_KEY = process.env.GOOGLE_KEY;  //Google NL API key
-//Google NL Entity/Sentiment REST end point
-const ENTITY_SENTIMENT_URL = 'https://language.googleapis.com/v1beta2/documents:analyzeEntitySentiment?key=';
-//Google NL Sentiment REST end point
-const SENTIMENT_URL = 'https://language.googleapis.com/v1beta2/documents:analyzeSentiment?key=';
-
-const SENDGRID_KEY = process.env.SENDGRID_KEY;
-const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
-const RECIPIENT_FILE = process.env.RECIPIENT_FILE;
-
-let g_reader;
-let g_backoff = 0;
-const logger = winston.createLogger({
-    transports: [
-        new winston.transports.Console(),
-        new (winston.transports.DailyRotateFile)({
-            filename: 'twitter-%DATE%.log',
-            datePattern: 'YYYY-MM-DD-HH',
-            zippedArchive: true,
-            maxSize: '20m',
-            maxFiles: '10d'
-          })
-    ],
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.align(),
-      winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
-    ),
-    level: 'debug'
-});
-let symbolArray;
+const logger = require('./logger');
+const config = require('./config');
+const sentimentProviders = require('./sentiment');
+const resolver = require('./resolver');
+const watchlist = require('./watchlist');
+const alertRules = require('./alertRules');
+const notifiers = require('./notifiers');
+const store = require('./store');
+const tracker = require('./tracker');
+const trader = require('./trader');
+const server = require('./server');
+const sources = require('./sources');
+const iex = require('./iex');
+const market = require('./market');
+const tweets = require('./tweets');
+const preprocess = require('./preprocess');
+const queue = require('./queue');
+const scoring = require('./scoring');
+const digest = require('./digest');
+
+const AUTH_PATH = 'oauth2/token';  //path for fetching a twitter bearer token
+const TWITTER_ENDPOINTS = {  //paths relative to the twitterUrl setting, by the twitterApi setting
+    'v2' : {
+        'rules' : '2/tweets/search/stream/rules',
+        'stream' : '2/tweets/search/stream?' + tweets.V2_FIELDS
+    },
+    'labs' : {
+        'rules' : 'labs/1/tweets/stream/filter/rules',
+        'stream' : 'labs/1/tweets/stream/filter?format=compact'
+    }
+};
+const SYMBOL_REFRESH = 24;  //hours between rebuilds of the symbol index from the IEX symbol list
+const RECENT_LIMIT = 20;  //default number of tweets and alerts listed by the status API
+const ANALYZE_BACKLOG = 10;  //on-demand analyses waiting, at most, before the status API refuses more
+
+let g_stream;  //twitter filter stream source
+let g_sources = [];  //polled sources from the follow list
+let symbolIndex;
+let g_iex;  //IEX client
+let g_watchlist;
+let g_alertRules = alertRules.create({});
+let g_notifier;
+let g_db;
+let g_trader = null;
+let g_token;
+let g_endpoints;  //auth, rules and stream urls of the configured twitter API
+let g_paused = false;  //alerting paused through the status API
+const g_started = new Date();
+const g_metrics = {'tweets' : 0, 'duplicates' : 0, 'analyses' : 0, 'fired' : 0, 'suppressed' : 0,
+    'deliveryFailures' : 0, 'connects' : 0};
+let g_provider = null;  //sentiment provider, created on first use
+let g_model = null;  //scoring model, created on first use
+let g_handles;  //company handles expanded by preprocessing
+let g_queue = null;  //tweets waiting for processTweet
+let g_limits = null;  //concurrency limiters by external service, created on first use
+let g_stopping = false;  //shutdown in progress
+let g_digest = null;  //digest schedule
+
+/**
+ * Function that runs a tweet through the preprocessing, entity-sentiment, symbol resolution and signal
+ * scoring steps.  Every ORGANIZATION entity at or above the salience floor is resolved and scored on its
+ * own, as is any cashtag that doesn't correspond to one of those entities.  Stock data is not fetched here
+ * so that callers can attach live or historical prices.
+ * @param {string} tweet - text of a tweet
+ * @param {object} index - symbol index from resolver.buildIndex()
+ * @param {object} provider - sentiment provider, defaults to the one selected by the sentimentProvider setting
+ * @param {number} salienceFloor - minimum entity salience to consider, defaults to the salienceFloor setting
+ * @param {object} handles - company handles from preprocess.load(), defaults to those of the handleFile setting
+ * @param {object} model - scoring model from scoring.create(), defaults to the one selected by the scoringModel
+ * setting
+ * @return {promise} array of analytics objects, one per publicly traded company; empty if none resolved
+ * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+ */
+async function analyzeTweet(tweet, index, provider = sentimentProvider(), salienceFloor = config.get().salienceFloor,
+    handles = g_handles, model = scoringModel()) {
+    logger.debug(`analyzeTweet() provider:${provider.name}`);
+
+    if (!index) {
+        return [];
+    }
+    const prepared = preprocess.prepare(tweet, handles);
+    const text = prepared.text;  //urls removed and company handles expanded
+    const entities = await provider.entitySentiment(text);
+    const companies = new Map();  //symbol to {entity, resolution}, keeping the most salient entity per symbol
+
+    entities.filter(esnt => esnt.type === 'ORGANIZATION' && esnt.salience >= salienceFloor)
+        .forEach(esnt => {
+            const resolution = resolver.resolve(index, esnt.name, text);  //cashtags only confirm the name
+            if (resolution && !companies.has(resolution.symbol)) {
+                companies.set(resolution.symbol, {'entity' : esnt, 'resolution' : resolution});
+            }
+        });
+    resolver.cashtags(index, text)
+        .filter(symbol => !companies.has(symbol))
+        .forEach(symbol => {
+            companies.set(symbol, {'entity' : null, 'resolution' : resolver.resolve(index, null, '$' + symbol)});
+        });
+
+    if (companies.size === 0) {
+        return [];
+    }
+
+    const snt = await provider.sentiment(text);  //names correspond to publicly traded companies - fetch full tweet sentiment
+    const results = [];
+    for (const {entity, resolution} of companies.values()) {
+        let analytics = {};
+        analytics.tweet = tweet;
+        analytics.text = text;
+        analytics.features = prepared.features;
+        analytics.name = entity ? entity.name : resolution.name;
+        analytics.type = entity ? entity.type : 'CASHTAG';
+        analytics.salience = entity ? entity.salience : 0;
+        //a cashtag-only match has no entity of its own, so the document sentiment stands in for it
+        analytics.entitySentiment = entity ? entity.entitySentiment : snt;
+        analytics.documentSentiment = snt;
+        analytics.symbol = resolution.symbol;
+        analytics.confidence = resolution.confidence;
+        analytics.ambiguous = resolution.ambiguous;
+        analytics.signal = scoring.score(model, analytics);
+        analytics.aggregate = analytics.signal.raw;
+        if (resolution.ambiguous) {
+            analytics.candidates = resolution.candidates;
+        }
+        results.push(analytics);
+    }
+    return results;
+}
 
 /**
  * Function that clears out existing rules on a twitter realtime filter
@@ -79,6 +156,17 @@ async function clear(token, url) {
     }
 }
 
+/**
+ * Function that closes the store opened by setup(), for commands that exit once they are done
+ * @return none
+ */
+function close() {
+    if (g_db) {
+        g_db.close();
+        g_db = null;
+    }
+}
+
 /**
  * Function that deletes an array of ids on a twitter realtime filter
  * @param {string} token - twitter bearer token
@@ -119,150 +207,75 @@ async function deleteRules(token, url, ids) {
 }
 
 /**
- * Function that calls Google Natural Language entitySentiment REST end point to derive sentiment
- * on the top salience entity within a tweet
- * @param {string} key - Google API key
- * @param {string} url - Goggle NL Rest endpoint for entitySentiment
- * @param {string} tweet - text of a tweet
- * @return {promise} JSON object containing entity-sentiment analysis of the top salience entity
- * @throws {Error} propagates HTTP status errors or node fetch exceptions
+ * Function that builds the twitter API urls from the twitterUrl and twitterApi settings
+ * @param {object} settings - settings keyed by setting name
+ * @return {object} auth, rules and stream urls
  */
-async function entitySentiment(key, url, tweet) {
-    logger.debug(`entitySentiment()`);
-
-    const document = {
-        'type': 'PLAIN_TEXT',
-        'language': 'en',
-        'content': tweet
-    };
-
-    const body = {
-        'document' : document,
-        'encodingType' : 'UTF8'
-    };	
-
-    try {
-        const response = await fetch(url + key, {
-            method : 'POST',
-            body : JSON.stringify(body),
-            headers: {'Content-Type' : 'application/json; charset=utf-8'},
-        });
+function endpoints(settings) {
+    const base = settings.twitterUrl.endsWith('/') ? settings.twitterUrl : settings.twitterUrl + '/';
+    const paths = TWITTER_ENDPOINTS[settings.twitterApi];
+    return {'auth' : base + AUTH_PATH, 'rules' : base + paths.rules, 'stream' : base + paths.stream};
+}
 
-        if (response.ok) {
-            const json = await response.json();
-            const topSalience = json.entities[0];
-            const results = {
-                'name' : topSalience.name,
-                'type' : topSalience.type,
-                'salience' : topSalience.salience,
-                'entitySentiment' : topSalience.sentiment
-            }
-            return results;
+/**
+ * Function that queues a tweet from a source for processTweet.  Tweets by the same author are processed
+ * one at a time in the order received.
+ * @param {object} tweet - tweet from a source's message event
+ * @return none
+ */
+function enqueue(tweet) {
+    const author = tweet.author ? (tweet.author.id || tweet.author.username || tweet.author.name) : null;
+    g_queue.push(author, () => processTweet(tweet))
+    .catch(err => {
+        if (err.dropped) {
+            logger.warn(`enqueue() - tweet ${tweet.id} not processed, ${err.message}`);
         }
         else {
-            let msg = (`response status: ${response.status}`);
-            throw new Error(msg);
+            logger.error(`enqueue() - ${err}`);
         }
-    }
-    catch (err) {
-        let msg = (`entitySentiment() - ${err}`);
-        logger.error(msg);
-        throw err;
-    }
+    });
 }
 
 /**
- * Main function.  Fetches a twitter bearer token, clears out any existing filter rules, adds
- * new rules, and then sets up a realtime tweet feed for those new rules.
+ * Main function.  Fetches a twitter bearer token, syncs the filter rules with the follow list, and
+ * then sets up a realtime tweet feed for those rules.
  */
 async function filter() {
     logger.debug(`filter()`);
     try {
-        symbolArray = await getSymbols(IEX_KEY, SYMBOL_URL);
-        const token = await getTwitterToken(AUTH_URL);
-        const deleted = await clear(token, RULES_URL);
-        logger.info(`Number of rules deleted: ${deleted}`);
-        const added = await setRules(token, RULES_URL, RULES);
-        logger.info(`Number of rules added: ${added}`);
-        await stream(token, STREAM_URL);
-    }
-    catch(err) {
-        logger.error(`filter() exiting`);
-        if (g_reader) {
-            g_reader.removeAllListeners();
+        const settings = config.init(true);  //reports every missing or malformed setting at once
+        logger.info(`filter() - configuration ${JSON.stringify(config.redact(settings))}`);
+        await setup(settings, true);
+        g_queue = queue.create({'name' : 'tweet queue', 'concurrency' : settings.queueConcurrency,
+            'maxSize' : settings.queueSize, 'overflow' : settings.queueOverflow});
+        setInterval(() => loadSymbols().catch(() => {}), SYMBOL_REFRESH * 60 * 60 * 1000).unref();
+        tracker.start(g_db, symbol => g_iex.price(symbol));
+        g_trader = await trader.load(settings.brokerFile, g_db, symbol => g_iex.price(symbol));
+        if (g_trader) {
+            trader.start(g_trader);
         }
-        process.exit(-1);
-    }
-}
-
-/**
- * Function that fetches the previous day pricing info for a given stock symbol
- * @param {string} token - IEX API token
- * @param {string} url - url to the IEX stock Rest endpoint
- * @param {string} symbol - stock symbol
- * @return {promise} previous day info
- * @throws {Error} propagates HTTP status errors or node-fetch exceptions
- */
-async function getPrevious(token, url, symbol) {
-    logger.debug(`getPrevious() symbol:${symbol}`);
-    
-    url += symbol + '/previous' + '?token=' + token;
-    try {
-        const response = await fetch(url, {
-            method: 'GET',
-        });
-        if (response.ok) {
-            const json = await response.json();
-            let previous;
-            if (json) {
-                previous = {
-                    'date' : json.date,
-                    'open' : json.open,
-                    'close' : json.close,
-                    'high' : json.high,
-                    'low' : json.low
-                }
-            }
-            return previous;
+        if (settings.digestSchedule !== 'off') {
+            g_digest = digest.start(settings.digestSchedule, settings.digestTime,
+                at => runDigest(settings.digestSchedule, at));
         }
-        else {
-            throw new Error(`response status: ${response.status} ${response.statusText}`);    
+        const token = await getTwitterToken(g_endpoints.auth);
+        g_token = token;
+        const changes = await sync(token, g_endpoints.rules, watchlist.toRules(g_watchlist));
+        logger.info(`Number of rules deleted: ${changes.deleted}, added: ${changes.added}`);
+        g_stream = stream(token, g_endpoints.stream, settings.streamTimeout);
+        g_sources = startSources(g_watchlist, g_sources);
+        if (settings.statusPort) {
+            await server.start(statusRoutes(), settings.statusPort, settings.statusHost, settings.statusToken);
         }
+        process.on('SIGHUP', () => reload().catch(() => {}));
+        ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => shutdown(signal)));
     }
-    catch (err) {
-        logger.error(`getPrevious() - ${err}`);
-        throw err;
-    }
-}
-
-/**
- * Function that fetches the current price for a given stock symbol
- * @param {string} token - IEX API token
- * @param {string} url - url to the IEX stock Rest endpoint
- * @param {string} symbol - stock symbol
- * @return {promise} current price
- * @throws {Error} propagates HTTP status errors or node-fetch exceptions
- */
-async function getPrice(token, url, symbol) {
-    logger.debug(`getPrice() symbol:${symbol}`);
-    
-    url += symbol + '/quote/latestPrice' + '?token=' + token;
-    
-    try {
-        const response = await fetch(url, {
-            method: 'GET',
-        });
-        if (response.ok) {
-            const price = await response.json();
-            return price;
-        }
-        else {
-            throw new Error(`response status: ${response.status} ${response.statusText}`);    
+    catch(err) {
+        logger.error(`filter() exiting - ${err}`);
+        if (g_stream) {
+            g_stream.stop();
         }
-    }
-    catch (err) {
-        logger.error(`getPrice() - ${err}`);
-        throw err;
+        process.exit(-1);
     }
 }
 
@@ -297,58 +310,6 @@ async function getRules(token, url) {
     }
 }
 
-/**
- * Function that fetches all existing stock names + symbols
- * @param {string} token - IEX API token
- * @param {string} url - url to the IEX stock Rest endpoint
- * @param {string} name - textual name of the company
- * @return {promise} if the name can be resolved to a stock symbol (publicly traded company), returns
- * the symbol + current and previous day pricing information.  Returns null if the name can't be resolved.
- * @throws {Error} propagates HTTP status errors or node-fetch exceptions
- */
-async function getStockData(token, url, symbol) {
-    logger.debug(`getStockData() - name:${symbol}`);
-    
-    let data = {};
-    const price = await getPrice(token, url, symbol);
-    const previous = await getPrevious(token, url, symbol);
-    data.current_price = price;
-    data.date = previous.date;
-    data.open = previous.open;
-    data.close = previous.close;
-    data.high = previous.high;
-    data.low = previous.low
-    return data;
-}
-
-/**
- * Function that fetches all existing stock names + symbols
- * @param {string} token - IEX API token
- * @param {string} url - url to the IEX stock symbol Rest endpoint
- * @return {promise} json object containing an array of stock symbol objects
- * @throws {Error} propagates HTTP status errors or node-fetch exceptions
- */
-async function getSymbols(token, url) {
-    logger.debug(`getSymbols()`);
-    
-    try {
-        const response = await fetch(url + token, {
-            method: 'GET',
-        });
-        if (response.ok) {
-            const arr = await response.json();
-            return arr;
-        }
-        else {
-            throw new Error(`response status: ${response.status} ${response.statusText}`);    
-        }
-    }
-    catch (err) {
-        logger.error(`getSymbols() - ${err}`);
-        throw err;
-    }
-}
-
 /**
 * Fetches an app-only bearer token via Twitter's oauth2 interface
 * @param {string} url- URL to Twitter's OAuth2 interface
@@ -356,7 +317,7 @@ async function getSymbols(token, url) {
 */
 async function getTwitterToken(url) {
     logger.debug(`getTwitterToken()`);
-    const consumerToken = btoa(urlEncode(TWITTER_KEY) + ':' + urlEncode(TWITTER_SECRET));
+    const consumerToken = btoa(urlEncode(config.get().twitterKey) + ':' + urlEncode(config.get().twitterSecret));
 
     let response, json;
 
@@ -385,164 +346,322 @@ async function getTwitterToken(url) {
 } 
 
 /**
- * Function for analyzing entity and sentiment content of a tweet.  If tweet represents a publicly traded company,
- * functions sends a trade alert via email.
- * @param {string} tweet - text of a tweet
- * @return none
- * @throws None
+ * Function that returns the concurrency limiters of the external services, creating them from the
+ * googleConcurrency, iexConcurrency and notifyConcurrency settings on first use
+ * @return {object} google, iex and notify queues
  */
-async function processTweet(tweet) {
-    logger.debug(`processTweet()`);
+function limits() {
+    if (!g_limits) {
+        const settings = config.get();
+        g_limits = {
+            'google' : queue.create({'name' : 'google', 'concurrency' : settings.googleConcurrency}),
+            'iex' : queue.create({'name' : 'iex', 'concurrency' : settings.iexConcurrency}),
+            'notify' : queue.create({'name' : 'notify', 'concurrency' : settings.notifyConcurrency}),
+            //on-demand analyses from the status API, kept out of the tweet queue so they can't displace tweets
+            'analyze' : queue.create({'name' : 'analyze', 'maxSize' : ANALYZE_BACKLOG, 'overflow' : 'drop-newest'})
+        };
+    }
+    return g_limits;
+}
+
+/**
+ * Function that (re)builds the symbol index from the IEX symbol list and the alias file
+ * @return {promise} none
+ * @throws {Error} propagates IEX and alias file errors; the previous index stays in place
+ */
+async function loadSymbols() {
+    logger.debug(`loadSymbols()`);
+
     try {
-        const esnt = await entitySentiment(GOOGLE_KEY, ENTITY_SENTIMENT_URL, tweet);
-
-        if (esnt.type === 'ORGANIZATION') { //entity corresponds to a type that might be a company
-            let stock;
-            if (Array.isArray(symbolArray)) {
-                stock = symbolArray.find(obj => {
-                    return obj.name.match(esnt.name);
-                });
-                if (stock) {  //name corresponds to a publicly traded company - fetch full tweet sentiment
-                    //and stock data
-                    const snt = await sentiment(GOOGLE_KEY, SENTIMENT_URL, tweet);
-                    const data = await getStockData(IEX_KEY, STOCK_URL, stock.symbol);
-
-                    let analytics = {};
-                    analytics.tweet = tweet;
-                    analytics.name = esnt.name;
-                    analytics.salience = esnt.salience;
-                    analytics.entitySentiment = esnt.entitySentiment;
-                    analytics.documentSentiment = snt;
-                    let mag = (analytics.entitySentiment.magnitude + analytics.documentSentiment.magnitude) / 2;
-                    let score = (analytics.entitySentiment.score + analytics.documentSentiment.score) / 2;
-                    analytics.aggregate = mag * score;
-                    analytics.symbol = stock.symbol;
-                    analytics.data = data;
-                    sendEmail(SENDGRID_KEY, SENDGRID_URL, analytics);
-                }
-            }
-        }
+        const symbols = await g_iex.symbols();
+        symbolIndex = resolver.buildIndex(symbols, await resolver.loadAliases(config.get().aliasFile));
     }
-    catch(err) {
-        logger.error(err);
+    catch (err) {
+        logger.error(`loadSymbols() - ${err}`);
+        throw err;
     }
 }
 
 /**
- * Function that calls SendGrid's REST endpoint to send an email with the tweet and analytics
- * @param {string} token - SendGrid API token
- * @param {string} url - SendGrid Rest endpoint
- * @param {string} analytics- Google NL + IEX analytics info on the tweet
- * @return none
- * @throws none
+ * Function that collects the process metrics for the status API
+ * @return {object} map of metric name to {type, help, value}
+ */
+function metrics() {
+    const status = g_stream.status();
+    const messages = status.messages;
+    const usage = g_iex.usage();
+    const backlog = g_queue.stats();
+    return {
+        'tweets_received_total' : {'type' : 'counter', 'help' : 'Tweets received', 'value' : g_metrics.tweets},
+        'tweets_duplicate_total' : {'type' : 'counter', 'help' : 'Redelivered tweets skipped',
+            'value' : g_metrics.duplicates},
+        'analyses_total' : {'type' : 'counter', 'help' : 'Companies resolved and scored', 'value' : g_metrics.analyses},
+        'alerts_fired_total' : {'type' : 'counter', 'help' : 'Company alerts that passed the alert rules',
+            'value' : g_metrics.fired},
+        'alerts_suppressed_total' : {'type' : 'counter', 'help' : 'Company alerts held back by thresholds, rules or pause',
+            'value' : g_metrics.suppressed},
+        'deliveries_failed_total' : {'type' : 'counter', 'help' : 'Notification channel deliveries that failed',
+            'value' : g_metrics.deliveryFailures},
+        'iex_requests_total' : {'type' : 'counter', 'help' : 'IEX API requests', 'value' : usage.requests},
+        'iex_messages_used_total' : {'type' : 'counter', 'help' : 'IEX messages (credits) used',
+            'value' : usage.messages},
+        'iex_rate_limited_total' : {'type' : 'counter', 'help' : 'IEX requests rejected with a 429',
+            'value' : usage.rateLimited},
+        'iex_cache_hits_total' : {'type' : 'counter', 'help' : 'IEX lookups answered from cache',
+            'value' : usage.cacheHits},
+        'stream_connects_total' : {'type' : 'counter', 'help' : 'Stream connection attempts', 'value' : g_metrics.connects},
+        'stream_heartbeats_total' : {'type' : 'counter', 'help' : 'Stream keep-alive heartbeats',
+            'value' : messages.heartbeats},
+        'stream_system_messages_total' : {'type' : 'counter', 'help' : 'Error and disconnect messages in the stream',
+            'value' : messages.system},
+        'stream_invalid_messages_total' : {'type' : 'counter', 'help' : 'Stream messages that could not be parsed',
+            'value' : messages.invalid},
+        'stream_dropped_messages_total' : {'type' : 'counter', 'help' : 'Partial stream messages discarded',
+            'value' : messages.dropped},
+        'stream_connected' : {'type' : 'gauge', 'help' : '1 if the stream is connected',
+            'value' : status.state === 'streaming' ? 1 : 0},
+        'stream_backoff_seconds' : {'type' : 'gauge', 'help' : 'Current reconnect backoff', 'value' : status.backoff},
+        'stream_retry_attempts' : {'type' : 'gauge', 'help' : 'Consecutive failed connection attempts',
+            'value' : status.attempts},
+        'stream_last_heartbeat_seconds' : {'type' : 'gauge', 'help' : 'Unix time of the last data or heartbeat',
+            'value' : status.lastData ? status.lastData.getTime() / 1000 : 0},
+        'tweets_dropped_total' : {'type' : 'counter', 'help' : 'Tweets dropped by a full or closing queue',
+            'value' : backlog.dropped},
+        'queue_waiting' : {'type' : 'gauge', 'help' : 'Tweets waiting to be processed', 'value' : backlog.waiting},
+        'queue_running' : {'type' : 'gauge', 'help' : 'Tweets being processed', 'value' : backlog.running},
+        'alerting_paused' : {'type' : 'gauge', 'help' : '1 if alerting is paused', 'value' : g_paused ? 1 : 0},
+        'uptime_seconds' : {'type' : 'gauge', 'help' : 'Seconds since the process started',
+            'value' : (Date.now() - g_started.getTime()) / 1000}
+    };
+}
+
+/**
+ * Function that collects the settings notifiers fall back on when the notify file doesn't give them
+ * @param {object} settings - settings keyed by setting name
+ * @return {object} recipientFile, templateDir, sendgridKey, sendgridUrl and sender
  */
-async function sendEmail(token, url, analytics) {
-    logger.debug(`sendEmail()`);
+function notifyDefaults(settings) {
+    return {
+        'recipientFile' : settings.recipientFile,
+        'templateDir' : settings.templateDir,
+        'sendgridKey' : settings.sendgridKey,
+        'sendgridUrl' : settings.sendgridUrl,
+        'sender' : settings.sender
+    };
+}
 
+/**
+ * Function for analyzing entity and sentiment content of a tweet.  If tweet mentions publicly traded companies,
+ * function sends a single trade alert covering all of them and waits for its delivery.  Thresholds and
+ * recipient groups come from the follow list entry of the watch rule or source that matched the tweet.  While
+ * alerting is paused tweets are still analyzed and recorded, but nothing is sent.
+ * @param {object} tweet - normalized message from a source (see sources/index.js): text, rules (tags of
+ * the matching filter rules or source) and optionally id, author, createdAt, url and cashtags, which are
+ * carried into the alert
+ * @param {boolean} live - record the tweet and deliver, track and trade fired alerts; when false the
+ * decisions are only returned, and neither the store nor the metrics see the tweet
+ * @return {promise} array of {symbol, name, aggregate, confidence, signal, fired, reason} decisions, empty for a
+ * duplicate tweet; null if processing failed
+ * @throws None
+ */
+async function processTweet(tweet, live = true) {
+    logger.debug(`processTweet() rules:${tweet.rules}`);
     try {
-        let subject = 'Twitter Trade Alert -'
-        if (analytics.aggregate < 0) {
-            subject += ' Negative Tweet: ';
+        const tags = tweet.rules || [];
+        if (live) {
+            g_metrics.tweets++;
         }
-        else if (analytics.aggregate > 0) {
-            subject += ' Positive Tweet: ';
+        const duplicate = () => {  //already processed, e.g. redelivered after a reconnect
+            logger.info(`processTweet() - duplicate tweet ${tweet.id} skipped`);
+            g_metrics.duplicates++;
+            return [];
+        };
+        if (live && store.hasTweet(g_db, tweet.id)) {
+            return duplicate();
         }
-        else
-            subject += ' Neutral Tweet: ';
-        subject += analytics.name;
-
-        let recipients = await fsp.readFile(RECIPIENT_FILE);
-        recipients = JSON.parse(recipients);
-
-        const personalizations = [
-            {
-                'to' : recipients,
-                'subject' : subject
+        const settings = watchlist.settings(g_watchlist, tags);
+        const salienceFloor = settings.salienceFloor !== undefined ? settings.salienceFloor : config.get().salienceFloor;
+        const minAggregate = settings.minAggregate || 0;
+        const candidates = await analyzeTweet(tweet.text, symbolIndex, sentimentProvider(), salienceFloor);
+        const eligible = candidates.filter(analytics => !g_paused && Math.abs(analytics.aggregate) >= minAggregate);
+        const stockData = eligible.length > 0 ?  //one batch request for every company that may alert
+            await g_iex.stockData(eligible.map(analytics => analytics.symbol)) : {};
+        //recorded only once the analysis succeeded, so a tweet that failed is processed again if redelivered
+        const row = live ? store.recordTweet(g_db, tweet) : undefined;
+        if (row === null) {  //a redelivery finished first
+            return duplicate();
+        }
+        const postedAt = tweet.createdAt && !isNaN(Date.parse(tweet.createdAt)) ? new Date(tweet.createdAt) : new Date();
+        const outOfHours = !market.isMarketHours(postedAt);  //the market reacts at the next open
+        const alerts = [];
+        const decisions = [];
+        const trades = [];
+        for (const analytics of candidates) {  //tweet resolved to publicly traded companies - fetch stock data
+            analytics.rules = settings.rules;
+            analytics.url = tweet.url || tweets.url(tweet);
+            analytics.author = tweet.author || null;
+            analytics.createdAt = tweet.createdAt || null;
+            analytics.cashtags = tweet.cashtags || [];
+            analytics.outOfHours = outOfHours;
+            analytics.nextOpen = outOfHours ? market.nextOpen(postedAt).toISOString() : null;
+            let decision;
+            if (Math.abs(analytics.aggregate) < minAggregate) {
+                decision = {'fired' : false, 'reason' : `aggregate below ${minAggregate}`};
             }
-        ];
-        const content = [
-            {
-                'type' : 'text/plain',
-                'value' : JSON.stringify(analytics, null, 4)
+            else if (g_paused) {
+                decision = {'fired' : false, 'reason' : 'alerting paused'};
             }
-        ];
-        const from = {'email' : 'twitterTrade@example.com'}
-
-        const body = {
-            'personalizations' : personalizations,
-            'content' : content,
-            'from' : from
-        };	
-
-        const response = await fetch(url, {
-            method : 'POST',
-            body : JSON.stringify(body),
-            headers: {
-                'Content-Type' : 'application/json',
-                'Authorization' : 'Bearer ' + token
+            else if (!stockData[analytics.symbol]) {
+                decision = {'fired' : false, 'reason' : 'no stock data'};
+            }
+            else {
+                analytics.data = stockData[analytics.symbol];
+                decision = alertRules.evaluate(g_alertRules, analytics, new Date(), postedAt);
+            }
+            decisions.push({'symbol' : analytics.symbol, 'name' : analytics.name, 'aggregate' : analytics.aggregate,
+                'confidence' : analytics.confidence, 'signal' : analytics.signal, 'fired' : decision.fired,
+                'reason' : decision.reason});
+            if (decision.fired) {
+                analytics.alertRule = decision.rule;
+                alerts.push(analytics);
+            }
+            if (!live) {
+                continue;
+            }
+            const analysis = store.recordAnalysis(g_db, row, analytics, decision);
+            g_metrics.analyses++;
+            if (decision.fired) {
+                g_metrics.fired++;
+                tracker.schedule(g_db, analysis, analytics);
+                if (g_trader) {
+                    trades.push(trader.onAlert(g_trader, analysis, analytics)
+                        .catch(err => logger.error(`processTweet() - ${err}`)));
+                }
+            }
+            else {
+                g_metrics.suppressed++;
             }
-        });
-
-        if (response.ok) {
-            logger.info(`Email sent, subject: ${subject}`);
-            return;
         }
-        else {
-            let msg = (`response status: ${response.status}`);
-            throw new Error(msg);
+        let delivered = false;
+        if (live && alerts.length > 0) {
+            try {
+                const deliveries = await limits().notify.push(null,
+                    () => notifiers.notify(g_notifier, alerts, settings.groups));
+                g_metrics.deliveryFailures += deliveries.filter(delivery => !delivery.ok).length;
+                delivered = deliveries.some(delivery => delivery.ok);
+                store.recordAlert(g_db, row, notifiers.subject(alerts), deliveries);
+            }
+            catch (err) {
+                logger.error(`processTweet() - ${err}`);
+                g_metrics.deliveryFailures++;
+                //recorded as a failed delivery so the digest still lists the alerts
+                store.recordAlert(g_db, row, notifiers.subject(alerts), [{'channel' : 'notify', 'ok' : false,
+                    'error' : `${err}`}]);
+            }
         }
+        //the cooldowns evaluate() reserved stand only for alerts that reached someone
+        alerts.forEach(analytics => (delivered ? alertRules.commit : alertRules.release)(g_alertRules, analytics.symbol));
+        await Promise.all(trades);
+        return decisions;
     }
-    catch (err) {
-        let msg = (`sendEmail() - ${err}`);
-        logger.error(msg)
+    catch(err) {
+        logger.error(err);
+        return null;
     }
 }
 
 /**
- * Function that calls Google Natural Language sentiment REST end point of the entire tweet
- * @param {string} key - Google API key
- * @param {string} url - Google NL Rest endpoint
- * @param {string} tweet - text of a tweet
- * @return {promise} JSON object containing sentiment analysis
- * @throws {Error} propagates HTTP status errors or node fetch exceptions
+ * Function that rereads the configuration, follow list, alert rules and notification config, syncs the
+ * filter rules with the new follow list and restarts the polled sources.  Everything is loaded before
+ * anything is swapped in, so a bad setting or file leaves the running configuration untouched.
+ * @return {promise} object with the number of filter rules added and deleted, and the settings changed
+ * and ignored until a restart
+ * @throws {Error} propagates configuration, file system, JSON parse and HTTP errors
  */
-async function sentiment(key, url, tweet) {
-    logger.debug(`sentiment()`);
-
-    const document = {
-        'type': 'PLAIN_TEXT',
-        'language': 'en',
-        'content': tweet
-    };
-
-    const body = {
-        'document' : document,
-        'encodingType' : 'UTF8'
-    };	
+async function reload() {
+    logger.debug(`reload()`);
 
     try {
-        const response = await fetch(url + key, {
-            method : 'POST',
-            body : JSON.stringify(body),
-            headers: {'Content-Type' : 'application/json; charset=utf-8'},
-        });
-
-        if (response.ok) {
-            const json = await response.json();
-            return json.documentSentiment;
-        }
-        else {
-            let msg = (`response status: ${response.status}`);
-            throw new Error(msg);
-        }
+        const next = config.reload();
+        const settings = next.settings;
+        const watch = await watchlist.load(settings.watchFile);
+        const rules = await alertRules.load(settings.alertRulesFile);
+        const notifier = await notifiers.load(settings.notifyFile, notifyDefaults(settings));
+        const handles = await preprocess.load(settings.handleFile);
+        const model = scoring.create(settings.scoringModel, settings.scoringExpression);
+        rules.cooldowns = g_alertRules.cooldowns;  //a reload shouldn't re-arm symbols that are cooling down
+        rules.reservations = g_alertRules.reservations;
+        const changes = await sync(g_token, g_endpoints.rules, watchlist.toRules(watch));
+        g_sources = startSources(watch, g_sources);
+        config.use(settings);
+        g_watchlist = watch;
+        g_alertRules = rules;
+        g_notifier = notifier;
+        g_handles = handles;
+        g_model = model;
+        logger.info(`reload() - rules deleted: ${changes.deleted}, added: ${changes.added}, ` +
+            `settings changed: ${next.changed.join(', ') || 'none'}`);
+        return Object.assign(changes, {'changed' : next.changed, 'ignored' : next.ignored});
     }
     catch (err) {
-        let msg = (`sentiment() - ${err}`);
-        logger.error(msg)
+        logger.error(`reload() - ${err}`);
         throw err;
     }
 }
 
+/**
+ * Function that builds a digest of the stored tweets and alerts and sends it through the notifier and/or
+ * writes it to the digestDir directory, as the digestDelivery setting says
+ * @param {string} schedule - daily or weekly
+ * @param {Date} at - time the digest was scheduled for, the end of the period it covers
+ * @return {promise} object with the report, the rendered digest, the files written and the deliveries
+ * @throws {Error} propagates template, file system and database errors
+ */
+async function runDigest(schedule, at) {
+    logger.debug(`runDigest() schedule:${schedule}`);
+
+    const settings = config.get();
+    return digest.run(g_db, schedule, {
+        'time' : settings.digestTime,
+        'now' : at,
+        'templateDir' : settings.templateDir,
+        'dir' : settings.digestDelivery !== 'notify' ? settings.digestDir : null,
+        'notifier' : settings.digestDelivery !== 'file' ? g_notifier : null,
+        'groups' : settings.digestGroups
+    });
+}
+
+/**
+ * Function that returns the scoring model selected by the scoringModel and scoringExpression settings,
+ * creating it on first use
+ * @return {object} scoring model
+ * @throws {Error} unknown model or invalid expression
+ */
+function scoringModel() {
+    if (!g_model) {
+        const settings = config.get();
+        g_model = scoring.create(settings.scoringModel, settings.scoringExpression);
+    }
+    return g_model;
+}
+
+/**
+ * Function that returns the sentiment provider selected by the sentimentProvider setting, creating it on
+ * first use so that requiring this module has no side effects
+ * @return {object} sentiment provider
+ * @throws {Error} unknown provider
+ */
+function sentimentProvider() {
+    if (!g_provider) {
+        const settings = config.get();
+        const provider = sentimentProviders.create(settings.sentimentProvider,
+            {'key' : settings.googleKey, 'baseUrl' : settings.googleUrl});
+        g_provider = queue.guard(provider, ['entitySentiment', 'sentiment'], limits().google,
+            {'attempts' : settings.retryAttempts});
+    }
+    return g_provider;
+}
+
 /**
  * Function that adds filter rules to an account
  * @param {string} token - twitter bearer token
@@ -579,118 +698,197 @@ async function setRules(token, url, rules) {
 }
 
 /**
- * Function that performs a call to the twitter filter search API and displays tweets in realtime.
+ * Function that prepares everything processTweet needs: the IEX client and symbol index, company handles,
+ * scoring model, follow list, alert rules and store, plus the notifier when alerts are to be delivered.
+ * Doesn't touch Twitter.  A dry run gets a scratch in-memory store, so it leaves nothing behind.
+ * @param {object} settings - settings keyed by setting name, from config.init()
+ * @param {boolean} live - load the notifier and open the store file so that fired alerts can be delivered
+ * @return {promise} none
+ * @throws {Error} propagates configuration, file system, JSON parse and HTTP errors
+ */
+async function setup(settings, live) {
+    logger.debug(`setup() live:${live}`);
+
+    g_endpoints = endpoints(settings);
+    g_iex = queue.guard(iex.fromConfig(settings), ['price', 'quote', 'stockData'], limits().iex,
+        {'attempts' : settings.retryAttempts});
+    await loadSymbols();
+    g_handles = await preprocess.load(settings.handleFile);
+    g_model = scoring.create(settings.scoringModel, settings.scoringExpression);
+    g_watchlist = await watchlist.load(settings.watchFile);
+    g_alertRules = await alertRules.load(settings.alertRulesFile);
+    if (live) {
+        g_notifier = await notifiers.load(settings.notifyFile, notifyDefaults(settings));
+    }
+    g_db = store.open(live ? settings.storeFile : ':memory:');
+}
+
+/**
+ * Function that stops the process gracefully on SIGINT or SIGTERM: the sources stop, tweets already
+ * queued are processed and their alerts delivered, then the store is closed.  A second signal, or the
+ * shutdownTimeout setting passing, exits without waiting.
+ * @param {string} signal - name of the signal received
+ * @return {promise} none; exits the process
+ */
+async function shutdown(signal) {
+    if (g_stopping) {
+        logger.warn(`shutdown() - ${signal} received again, exiting now`);
+        process.exit(1);
+    }
+    g_stopping = true;
+    const backlog = g_queue.stats();
+    logger.info(`shutdown() - ${signal} received, finishing ${backlog.running + backlog.waiting} queued tweets`);
+
+    g_queue.close();
+    if (g_digest) {
+        g_digest.stop();
+    }
+    if (g_stream) {
+        g_stream.stop();
+    }
+    g_sources.forEach(source => source.stop());
+    const drained = await g_queue.drain(config.get().shutdownTimeout * 1000);
+    if (!drained) {
+        const left = g_queue.stats();
+        logger.warn(`shutdown() - timed out with ${left.running + left.waiting} tweets unfinished`);
+    }
+    g_db.close();
+    logger.info(`shutdown() - stopped`);
+    process.exit(drained ? 0 : 1);
+}
+
+/**
+ * Function that starts the polled sources of a follow list, stopping any that were already running
+ * @param {object} watch - watchlist object
+ * @param {Array} running - sources started previously
+ * @return {Array} started sources
+ * @throws {Error} unknown source type or invalid source entry
+ */
+function startSources(watch, running) {
+    logger.debug(`startSources()`);
+
+    const started = watchlist.sources(watch).map(entry => sources.create(entry.type, entry));
+    running.forEach(source => source.stop());
+    started.forEach(source => {
+        source.on('message', enqueue);
+        source.start();
+    });
+    return started;
+}
+
+/**
+ * Function that builds the routes of the status/control API
+ * @return {object} map of 'METHOD /path' to handler(query, body)
+ */
+function statusRoutes() {
+    const limit = query => Math.min(parseInt(query.limit, 10) || RECENT_LIMIT, 500);
+    return {
+        'GET /health' : async () => {
+            const status = g_stream.status();
+            return {
+                'status' : status.state === 'streaming' ? 'ok' : status.state,
+                'connected' : status.state === 'streaming',
+                'lastHeartbeat' : status.lastData,
+                'backoff' : status.backoff,
+                'attempts' : status.attempts,
+                'lastError' : status.lastError,
+                'paused' : g_paused,
+                'sources' : g_sources.map(source => source.status()),
+                'uptime' : Math.round((Date.now() - g_started.getTime()) / 1000)
+            };
+        },
+        'GET /tweets' : async query => store.recentTweets(g_db, limit(query)),
+        'GET /alerts' : async query => store.recentAlerts(g_db, limit(query)),
+        'GET /rules' : async () => (await getRules(g_token, g_endpoints.rules)).data || [],
+        'GET /metrics' : async () => server.prometheus(metrics()),
+        'POST /reload' : async () => reload(),
+        'POST /pause' : async () => {
+            g_paused = true;
+            logger.warn(`statusRoutes() - alerting paused`);
+            return {'paused' : g_paused};
+        },
+        'POST /resume' : async () => {
+            g_paused = false;
+            logger.warn(`statusRoutes() - alerting resumed`);
+            return {'paused' : g_paused};
+        },
+        'POST /analyze' : async (query, body) => {  //body is {text, rules}
+            const text = body && body.text;
+            if (typeof text !== 'string' || text.trim().length === 0) {
+                throw Object.assign(new Error('tweet text required'), {'status' : 400});
+            }
+            const tags = Array.isArray(body.rules) ? body.rules : [];
+            let decisions;
+            try {
+                decisions = await limits().analyze.push(null, () =>  //never recorded, delivered, tracked or traded
+                    processTweet({'text' : tweets.clean(text), 'rules' : tags}, false));
+            }
+            catch (err) {  //backlog full
+                throw Object.assign(err, {'status' : 503});
+            }
+            if (decisions === null) {
+                throw Object.assign(new Error('analysis failed, see log'), {'status' : 502});
+            }
+            return decisions;
+        }
+    };
+}
+
+/**
+ * Function that opens the twitter filter stream source and queues each tweet for processTweet.  Reconnects,
+ * backoff and token refresh are handled by the connection manager; the process exits if it gives up.
  * @param {string} token - twitter bearer token
  * @param {string} url - url to the twitter stream API
- * @return {promise} none
- * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+ * @param {number} stallTimeout - seconds without data or heartbeat before the connection is aborted
+ * @return {object} started twitter source
  */
-async function stream(token, url) {
+function stream(token, url, stallTimeout) {
     logger.debug(`stream()`);
 
-    const controller = new AbortController();
-    let abortTimer = setTimeout(() => { controller.abort(); }, ABORT_TIMEOUT * 1000);
-    
-    try {
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-            'Authorization' : 'Bearer ' + token
-            },
-            signal: controller.signal 
-        });
-        switch (response.status) {
-            case 200:
-                logger.debug(`stream() - 200 response`);
-                g_reader = response.body;
-                g_reader.on('data', (chunk) => {
-                    try {
-                        const json = JSON.parse(chunk);
-                        let tweet = json.data.text.replace(/\r?\n|\r|@|#/g, ' ');  //remove newlines, @ and # from tweet text
-                        processTweet(tweet);
-                    }
-                    catch (err) {
-                        //heartbeat will generate a json parse error.  No action necessary; continue to read the stream.
-                        //logger.debug(`stream() - heartbeat received`);
-                    } 
-                    finally {
-                        g_backoff = 0;
-                        clearTimeout(abortTimer);
-                        abortTimer = setTimeout(() => { controller.abort(); }, ABORT_TIMEOUT * 1000);
-                    } 
-                });
-                g_reader.on('error', err => {  //self-induced timeout, immediately reconnect
-                    if (err.name === 'AbortError') {
-                        logger.warn(`stream() - connection aborted, reconnecting`);
-                        g_backoff = 0;
-                        clearTimeout(abortTimer);
-                        (async () => {await stream(token, url)}) ();
-                    }
-                    else if (err.code === 'ETIMEDOUT') { //back off 250 ms linearly to 16 sec for connection timeouts
-                        logger.warn(`stream() - connection timeout, reconnecting`);
-                        g_backoff += .25; 
-                        if (g_backoff > 16) {
-                            g_backoff = 16;
-                        }
-                        clearTimeout(abortTimer); 
-                        setTimeout(async () => {await stream(token, url)}, g_backoff * 1000);
-                    }
-                    else {  //fatal error, bail
-                        logger.error(`stream() - fatal error ${err}`);
-                        clearTimeout(abortTimer);
-                        g_reader.removeAllListeners();
-                        process.exit(-1);
-                    }
-                });
-                break;
-            case 304:  //60 second backoff
-                logger.debug(`stream() - 304 response`);
-                g_backoff = 60;
-                clearTimeout(abortTimer);
-                setTimeout(async () => {await stream(token, url)}, g_backoff * 1000);
-                break;
-            case 420:
-            case 429:  //exponential backoff, starting at 60 sec, for rate limit errors
-                logger.warn(`stream() - 420, 429 response`);
-                if (g_backoff == 0) {
-                    g_backoff = 60;
-                }
-                else {
-                    g_backoff = g_backoff * 2;
-                }
-                clearTimeout(abortTimer);
-                setTimeout(async () => {await stream(token, url)}, g_backoff * 1000);
-                break;
-            case 500:
-            case 502:
-            case 503:
-            case 504: //exponential backoff, starting at 5 sec, for server side errors
-                logger.warn(`stream() - 5xx response`);
-                if (g_backoff == 0) {
-                    g_backoff = 5;
-                }
-                else {
-                    g_backoff *= 2;
-                    if (g_backoff > 320) {
-                        g_backoff = 320;
-                    }
-                }
-                clearTimeout(abortTimer);  
-                setTimeout(async () => {await stream(token, url)}, g_backoff * 1000);
-                break;    
-            default:  //fail fast for any other errors (4xx client errors, for example)
-                clearTimeout(abortTimer);
-                g_reader.removeAllListeners();
-                throw new Error(`response status: ${response.status}`);
+    const source = sources.create('twitter', {
+        'url' : url,
+        'token' : token,
+        'getToken' : async () => {
+            g_token = await getTwitterToken(g_endpoints.auth);
+            return g_token;
+        },
+        'stallTimeout' : stallTimeout
+    });
+    source.on('state', state => {
+        if (state === 'connecting') {
+            g_metrics.connects++;
         }
-        return;
+    });
+    source.on('message', enqueue);
+    source.on('fatal', err => {
+        logger.error(`stream() - fatal error ${err}`);
+        process.exit(-1);
+    });
+    return source.start();
+}
+
+/**
+ * Function that brings the filter rules in line with the desired rules, deleting and adding only the
+ * rules that changed
+ * @param {string} token - twitter bearer token
+ * @param {string} url - url to the twitter filter rules API
+ * @param {Array} rules - array of desired {value, tag} filter rules
+ * @return {promise} object with the number of rules added and deleted
+ * @throws {Error} propagates HTTP status errors or node-fetch exceptions
+ */
+async function sync(token, url, rules) {
+    logger.debug(`sync()`);
+
+    const existing = await getRules(token, url);
+    const changes = watchlist.diffRules(existing.data, rules);
+    let deleted = 0, added = 0;
+    if (changes.delete.length > 0) {
+        deleted = await deleteRules(token, url, changes.delete);
     }
-    catch (err) { //fatal error
-        clearTimeout(abortTimer);
-        g_reader.removeAllListeners();
-        logger.error(`stream() - ${err}`);
-        throw err;
+    if (changes.add.length > 0) {
+        added = await setRules(token, url, changes.add);
     }
+    return {'added' : added, 'deleted' : deleted};
 }
 
 /**
@@ -708,23 +906,29 @@ function urlEncode (str) {
 }
 
 
-filter()
-.catch(err => {
-    logger.error(err);
-    g_reader.removeAllListeners();
-    process.exit(-1);
-});
-
-
-/*
-async function test() {
-    symbolArray = await getSymbols(IEX_KEY, SYMBOL_URL);
-    const tweet1 = "Surprised that Harley-Davidson, of all companies, would be the first to wave the White Flag. I fought hard for them and ultimately they will not pay tariffs selling into the E.U., which has hurt us badly on trade, down $151 Billion. Taxes just a Harley excuse - be patient!";
-    await processTweet(tweet1);
+module.exports = {
+    analyzeTweet,
+    clear,
+    close,
+    deleteRules,
+    endpoints,
+    filter,
+    getRules,
+    getTwitterToken,
+    notifyDefaults,
+    processTweet,
+    setRules,
+    setup,
+    sync
+};
+
+if (require.main === module) {
+    filter()
+    .catch(err => {
+        logger.error(err);
+        if (g_stream) {
+            g_stream.stop();
+        }
+        process.exit(-1);
+    });
 }
-
-test()
-.then(() => {
-    console.log('complete');
-});
-*/
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Follow list of accounts and keywords to monitor.  Each watch entry becomes one tagged
+ * Twitter filter rule and carries its own alert settings (thresholds, recipient groups).  Source entries
+ * add polled feeds and files (see sources/), each tagged and configured the same way.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ *
+ * Watch file format:
+ * {
+ *   "defaults": {"salienceFloor": 0.1, "minAggregate": 0, "groups": ["traders"]},
+ *   "watch": [
+ *     {"tag": "potus", "accounts": ["realDonaldTrump"], "keywords": [], "excludeRetweets": true,
+ *      "excludeQuotes": true, "minAggregate": 0.2},
+ *     {"tag": "tariffs", "value": "tariff (Apple OR Ford) lang:en"}
+ *   ],
+ *   "sources": [
+ *     {"tag": "fed", "type": "rss", "url": "https://www.federalreserve.gov/feeds/press_all.xml", "interval": 300},
+ *     {"tag": "desk", "type": "file", "path": "inbox", "interval": 10, "minAggregate": 0.3}
+ *   ]
+ * }
+ */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+const fsp = fs.promises;
+const logger = require('./logger');
+
+const MAX_RULE_LENGTH = 512;  //Twitter's limit on the length of a filter rule value
+
+//used when no watch file is configured
+const DEFAULT_WATCHLIST = {
+    'defaults' : {},
+    'watch' : [
+        {
+            'tag' : 'realDonaldTrump',
+            'accounts' : ['realDonaldTrump'],
+            'excludeRetweets' : true,
+            'excludeQuotes' : true
+        }
+    ]
+};
+
+/**
+ * Function that builds the Twitter filter rule value for a watch entry.  An explicit value is used as-is;
+ * otherwise accounts and keywords are OR'ed together with optional retweet/quote exclusions.
+ * @param {object} entry - watch entry
+ * @return {string} rule value
+ * @throws {Error} entry has nothing to match or the rule exceeds Twitter's length limit
+ */
+function ruleValue(entry) {
+    let value = entry.value;
+    if (!value) {
+        const terms = (entry.accounts || []).map(account => `from:${account}`)
+            .concat((entry.keywords || []).map(keyword => (/\s/.test(keyword) ? `"${keyword}"` : keyword)));
+        if (terms.length === 0) {
+            throw new Error(`watch entry ${entry.tag} has no accounts, keywords or value`);
+        }
+        value = terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0];
+        if (entry.excludeRetweets) {
+            value += ' -is:retweet';
+        }
+        if (entry.excludeQuotes) {
+            value += ' -is:quote';
+        }
+    }
+    if (value.length > MAX_RULE_LENGTH) {
+        throw new Error(`watch entry ${entry.tag} rule exceeds ${MAX_RULE_LENGTH} characters`);
+    }
+    return value;
+}
+
+/**
+ * Function that compares the rules currently on the filter with the desired rules.  Rules are
+ * identical when both value and tag match; anything else is deleted and re-added.
+ * @param {Array} existing - array of rule objects from getRules() ({id, value, tag})
+ * @param {Array} desired - array of rule objects from toRules() ({value, tag})
+ * @return {object} add (array of rule objects) and delete (array of rule ids)
+ */
+function diffRules(existing, desired) {
+    const key = rule => `${rule.tag || ''}\u0000${rule.value}`;
+    const current = new Map((existing || []).map(rule => [key(rule), rule]));
+    const wanted = new Set(desired.map(key));
+
+    return {
+        'add' : desired.filter(rule => !current.has(key(rule))),
+        'delete' : Array.from(current.values()).filter(rule => !wanted.has(key(rule))).map(rule => rule.id)
+    };
+}
+
+/**
+ * Function that reads and validates the watch file
+ * @param {string} file - path to the watch file
+ * @return {promise} watchlist object, DEFAULT_WATCHLIST if no file is configured
+ * @throws {Error} propagates file system and JSON parse errors, duplicate or missing tags, no watch or
+ * source entries
+ */
+async function load(file) {
+    logger.debug(`load() file:${file}`);
+
+    if (!file) {
+        return DEFAULT_WATCHLIST;
+    }
+    try {
+        const watchlist = JSON.parse(await fsp.readFile(file, 'utf8'));
+        watchlist.defaults = watchlist.defaults || {};
+        watchlist.watch = watchlist.watch || [];  //a file may follow only polled sources
+        if (!Array.isArray(watchlist.watch) || !Array.isArray(sources(watchlist))) {
+            throw new Error('watch file watch and sources must be arrays');
+        }
+        if (watchlist.watch.length === 0 && sources(watchlist).length === 0) {
+            throw new Error('watch file has no watch or source entries');
+        }
+        const tags = new Set();
+        for (const entry of watchlist.watch) {
+            if (!entry.tag || tags.has(entry.tag)) {
+                throw new Error(`watch entries require a unique tag: ${entry.tag}`);
+            }
+            tags.add(entry.tag);
+            ruleValue(entry);
+        }
+        for (const entry of sources(watchlist)) {
+            if (!entry.tag || tags.has(entry.tag)) {
+                throw new Error(`source entries require a tag unique across watch and sources: ${entry.tag}`);
+            }
+            if (!entry.type) {
+                throw new Error(`source entry ${entry.tag} has no type`);
+            }
+            tags.add(entry.tag);
+        }
+        return watchlist;
+    }
+    catch (err) {
+        logger.error(`load() - ${err}`);
+        throw err;
+    }
+}
+
+/**
+ * Function that returns the alert settings for the watch rules (or source) that matched a message.  The
+ * first matching tag's entry wins; its settings override the watchlist defaults.
+ * @param {object} watchlist - watchlist object from load(); DEFAULT_WATCHLIST if not yet loaded
+ * @param {Array} tags - tags of the matching rules
+ * @return {object} merged settings, with the matched tags under rules
+ */
+function settings(watchlist, tags) {
+    watchlist = watchlist || DEFAULT_WATCHLIST;
+    const entry = watchlist.watch.concat(sources(watchlist)).find(watch => (tags || []).includes(watch.tag)) || {};
+    const merged = Object.assign({}, watchlist.defaults);
+    for (const field of ['salienceFloor', 'minAggregate', 'groups']) {
+        if (entry[field] !== undefined) {
+            merged[field] = entry[field];
+        }
+    }
+    merged.rules = tags || [];
+    return merged;
+}
+
+/**
+ * Function that returns the polled source entries of a watchlist
+ * @param {object} watchlist - watchlist object from load()
+ * @return {Array} source entries; empty if there are none
+ */
+function sources(watchlist) {
+    return (watchlist && watchlist.sources) || [];
+}
+
+/**
+ * Function that converts a watchlist into Twitter filter rules
+ * @param {object} watchlist - watchlist object from load()
+ * @return {Array} array of {value, tag} rule objects
+ */
+function toRules(watchlist) {
+    return watchlist.watch.map(entry => ({'value' : ruleValue(entry), 'tag' : entry.tag}));
+}
+
+module.exports = {
+    diffRules,
+    load,
+    settings,
+    sources,
+    toRules
+};